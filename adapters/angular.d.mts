@@ -0,0 +1,50 @@
+/**
+ * Hermes Client - Angular bindings TypeScript Definitions
+ */
+
+import type { InjectionToken, Provider } from '@angular/core';
+import type { Observable } from 'rxjs';
+import type {
+  HermesClient,
+  HermesClientConfig,
+  Notification,
+  ConnectionStatus,
+  GetNotificationsParams,
+  GetNotificationsResult,
+  EventType,
+  HermesEventMap
+} from '../hermes-client.js';
+
+export interface ProvideHermesOptions {
+  /** Existing client to share */
+  client?: HermesClient;
+  /** Configuration used to create the client when `client` is omitted */
+  config?: HermesClientConfig;
+  /** Open the SSE stream on creation, close it with the injector (default: true) */
+  connect?: boolean;
+  /** Load the first page and the unread count on creation (default: true) */
+  preload?: boolean;
+}
+
+export const HERMES_CLIENT: InjectionToken<HermesClient>;
+
+/** Observable-based access to a shared HermesClient */
+export class HermesService {
+  constructor(client: HermesClient);
+  readonly client: HermesClient;
+  /** Stored notifications, newest first */
+  readonly notifications$: Observable<ReadonlyArray<Notification>>;
+  /** Current unread count */
+  readonly unreadCount$: Observable<number>;
+  /** Connection status, updated on every connection event */
+  readonly status$: Observable<ConnectionStatus>;
+  /** Observable of a client event */
+  on<K extends EventType>(event: K): Observable<HermesEventMap[K]>;
+  on<T = any>(event: string): Observable<T>;
+  markAsRead(notificationId: string): Promise<any>;
+  markAllAsRead(): Promise<any>;
+  getNotifications(options?: GetNotificationsParams): Promise<GetNotificationsResult>;
+}
+
+/** Providers for HERMES_CLIENT and HermesService */
+export function provideHermes(options?: ProvideHermesOptions): Provider[];
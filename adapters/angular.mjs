@@ -0,0 +1,116 @@
+/**
+ * Hermes Notifications - Angular bindings
+ * 
+ * `provideHermes()` registers one HermesClient for the injector and a
+ * HermesService exposing the store and connection status as RxJS
+ * observables.
+ * 
+ * @example
+ * bootstrapApplication(AppComponent, {
+ *     providers: [provideHermes({ config: { baseUrl, profileToken, userId } })]
+ * });
+ * 
+ * // In a component
+ * unreadCount$ = inject(HermesService).unreadCount$;
+ */
+
+import { InjectionToken, inject, DestroyRef } from '@angular/core';
+import { Observable } from 'rxjs';
+import { distinctUntilChanged, map, shareReplay } from 'rxjs/operators';
+import HermesClient from '../hermes-client.js';
+
+export const HERMES_CLIENT = new InjectionToken('HERMES_CLIENT');
+
+const STATUS_EVENTS = [
+    'stateChange',
+    'connected',
+    'disconnected',
+    'reconnecting',
+    'reconnectFailed',
+    'leaderChange'
+];
+
+/**
+ * Observable-based access to a shared HermesClient
+ */
+export class HermesService {
+    constructor(client) {
+        this.client = client;
+        
+        const snapshot$ = new Observable(subscriber => {
+            subscriber.next(client.getSnapshot());
+            return client.subscribe(next => subscriber.next(next));
+        }).pipe(shareReplay({ bufferSize: 1, refCount: true }));
+        
+        this.notifications$ = snapshot$.pipe(
+            map(snapshot => snapshot.notifications),
+            distinctUntilChanged()
+        );
+        this.unreadCount$ = snapshot$.pipe(
+            map(snapshot => snapshot.unreadCount),
+            distinctUntilChanged()
+        );
+        this.status$ = new Observable(subscriber => {
+            const update = () => subscriber.next(client.getStatus());
+            STATUS_EVENTS.forEach(event => client.on(event, update));
+            update();
+            return () => STATUS_EVENTS.forEach(event => client.off(event, update));
+        }).pipe(shareReplay({ bufferSize: 1, refCount: true }));
+    }
+    
+    /**
+     * Observable of a client event
+     */
+    on(event) {
+        return new Observable(subscriber => {
+            const listener = (data) => subscriber.next(data);
+            this.client.on(event, listener);
+            return () => this.client.off(event, listener);
+        });
+    }
+    
+    markAsRead(notificationId) {
+        return this.client.markAsRead(notificationId);
+    }
+    
+    markAllAsRead() {
+        return this.client.markAllAsRead();
+    }
+    
+    getNotifications(options) {
+        return this.client.getNotifications(options);
+    }
+}
+
+/**
+ * Providers for HERMES_CLIENT and HermesService
+ * 
+ * Options: `client` or `config`, `connect` (default true) and `preload`
+ * (default true). The stream closes when the injector is destroyed.
+ */
+export function provideHermes(options = {}) {
+    return [
+        {
+            provide: HERMES_CLIENT,
+            useFactory: () => {
+                const client = options.client || new HermesClient(options.config);
+                
+                if (options.connect !== false) {
+                    client.connectSSE();
+                    inject(DestroyRef).onDestroy(() => client.disconnectSSE());
+                }
+                
+                if (options.preload !== false) {
+                    client.getNotifications().catch(error => client.log('Preload failed', error));
+                    client.getUnreadCount().catch(error => client.log('Preload failed', error));
+                }
+                
+                return client;
+            }
+        },
+        {
+            provide: HermesService,
+            useFactory: () => new HermesService(inject(HERMES_CLIENT))
+        }
+    ];
+}
@@ -0,0 +1,45 @@
+/**
+ * Hermes Client - React bindings TypeScript Definitions
+ */
+
+import type { ReactNode, ReactElement } from 'react';
+import type {
+  HermesClient,
+  HermesClientConfig,
+  Notification,
+  ConnectionStatus,
+  EventType,
+  EventCallback,
+  HermesEventMap
+} from '../hermes-client.js';
+
+export interface HermesProviderProps {
+  /** Existing client to share */
+  client?: HermesClient;
+  /** Configuration used to create the client when `client` is omitted */
+  config?: HermesClientConfig;
+  /** Open the SSE stream on mount, close it on unmount (default: true) */
+  connect?: boolean;
+  /** Load the first page and the unread count on mount (default: true) */
+  preload?: boolean;
+  children?: ReactNode;
+}
+
+/** Provide a shared HermesClient to the tree */
+export function HermesProvider(props: HermesProviderProps): ReactElement;
+
+/** Get the client of the nearest <HermesProvider> */
+export function useHermes(): HermesClient;
+
+/** Stored notifications, newest first */
+export function useNotifications(): ReadonlyArray<Notification>;
+
+/** Current unread count */
+export function useUnreadCount(): number;
+
+/** Connection status, updated on every connection event */
+export function useHermesStatus(): ConnectionStatus;
+
+/** Subscribe to a client event for the lifetime of the component */
+export function useHermesEvent<K extends EventType>(event: K, callback: EventCallback<HermesEventMap[K]>): void;
+export function useHermesEvent<T = any>(event: string, callback: EventCallback<T>): void;
@@ -0,0 +1,136 @@
+/**
+ * Hermes Notifications - React bindings
+ * 
+ * One HermesClient per <HermesProvider>, shared by every hook below it.
+ * Hooks read from the client's local store, so components re-render
+ * only when notifications, the unread count or the connection change.
+ * 
+ * @example
+ * <HermesProvider config={{ baseUrl, profileToken, userId }}>
+ *     <Bell />
+ * </HermesProvider>
+ * 
+ * function Bell() {
+ *     const unreadCount = useUnreadCount();
+ *     return <span>{unreadCount}</span>;
+ * }
+ */
+
+import {
+    createContext,
+    createElement,
+    useCallback,
+    useContext,
+    useEffect,
+    useRef,
+    useState,
+    useSyncExternalStore
+} from 'react';
+import HermesClient from '../hermes-client.js';
+
+const HermesContext = createContext(null);
+
+const STATUS_EVENTS = [
+    'stateChange',
+    'connected',
+    'disconnected',
+    'reconnecting',
+    'reconnectFailed',
+    'leaderChange'
+];
+
+/**
+ * Provide a shared HermesClient to the tree
+ * 
+ * Pass an existing `client`, or a `config` to create one. The stream is
+ * opened on mount and closed on unmount unless `connect` is false; the
+ * first page and the unread count are loaded unless `preload` is false.
+ */
+export function HermesProvider({ client, config, connect = true, preload = true, children }) {
+    // Created once; later config changes are ignored on purpose
+    const [instance] = useState(() => client || new HermesClient(config));
+    
+    useEffect(() => {
+        if (!connect) return undefined;
+        
+        instance.connectSSE();
+        return () => instance.disconnectSSE();
+    }, [instance, connect]);
+    
+    useEffect(() => {
+        if (!preload) return;
+        
+        instance.getNotifications().catch(error => instance.log('Preload failed', error));
+        instance.getUnreadCount().catch(error => instance.log('Preload failed', error));
+    }, [instance, preload]);
+    
+    return createElement(HermesContext.Provider, { value: instance }, children);
+}
+
+/**
+ * Get the client of the nearest <HermesProvider>
+ */
+export function useHermes() {
+    const client = useContext(HermesContext);
+    if (!client) {
+        throw new Error('useHermes must be used inside a <HermesProvider>');
+    }
+    return client;
+}
+
+function useSnapshot() {
+    const client = useHermes();
+    const subscribe = useCallback(listener => client.subscribe(listener), [client]);
+    const getSnapshot = useCallback(() => client.getSnapshot(), [client]);
+    return useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+}
+
+/**
+ * Stored notifications, newest first
+ */
+export function useNotifications() {
+    return useSnapshot().notifications;
+}
+
+/**
+ * Current unread count
+ */
+export function useUnreadCount() {
+    return useSnapshot().unreadCount;
+}
+
+/**
+ * Connection status, updated on every connection event
+ */
+export function useHermesStatus() {
+    const client = useHermes();
+    const [status, setStatus] = useState(() => client.getStatus());
+    
+    useEffect(() => {
+        const update = () => setStatus(client.getStatus());
+        
+        STATUS_EVENTS.forEach(event => client.on(event, update));
+        update();
+        
+        return () => STATUS_EVENTS.forEach(event => client.off(event, update));
+    }, [client]);
+    
+    return status;
+}
+
+/**
+ * Subscribe to a client event for the lifetime of the component
+ * 
+ * The latest `callback` is always called, without re-subscribing.
+ */
+export function useHermesEvent(event, callback) {
+    const client = useHermes();
+    const ref = useRef(callback);
+    ref.current = callback;
+    
+    useEffect(() => {
+        const listener = (data) => ref.current(data);
+        client.on(event, listener);
+        return () => client.off(event, listener);
+    }, [client, event]);
+}
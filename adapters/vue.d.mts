@@ -0,0 +1,62 @@
+/**
+ * Hermes Client - Vue bindings TypeScript Definitions
+ */
+
+import type { App, InjectionKey, ShallowRef } from 'vue';
+import type {
+  HermesClient,
+  HermesClientConfig,
+  Notification,
+  ConnectionStatus,
+  EventType,
+  EventCallback,
+  HermesEventMap
+} from '../hermes-client.js';
+
+export interface HermesPluginOptions {
+  /** Existing client to share */
+  client?: HermesClient;
+  /** Configuration used to create the client when `client` is omitted */
+  config?: HermesClientConfig;
+  /** Open the SSE stream on install, close it on unmount (default: true) */
+  connect?: boolean;
+  /** Load the first page and the unread count on install (default: true) */
+  preload?: boolean;
+}
+
+export const HERMES_KEY: InjectionKey<HermesClient>;
+
+/** Vue plugin providing a shared HermesClient */
+export const HermesPlugin: {
+  install(app: App, options?: HermesPluginOptions): void;
+};
+
+/** Get the shared client */
+export function useHermes(): HermesClient;
+
+/** Notifications, unread count and status as refs */
+export function useNotifications(client?: HermesClient): {
+  notifications: ShallowRef<ReadonlyArray<Notification>>;
+  unreadCount: ShallowRef<number>;
+  status: ShallowRef<ConnectionStatus>;
+  markAsRead(notificationId: string): Promise<any>;
+  markAllAsRead(): Promise<any>;
+};
+
+/** Unread count as a ref */
+export function useUnreadCount(client?: HermesClient): ShallowRef<number>;
+
+/** Connection status as a ref */
+export function useHermesStatus(client?: HermesClient): ShallowRef<ConnectionStatus>;
+
+/** Subscribe to a client event for the lifetime of the component */
+export function useHermesEvent<K extends EventType>(
+  event: K,
+  callback: EventCallback<HermesEventMap[K]>,
+  client?: HermesClient
+): void;
+export function useHermesEvent<T = any>(
+  event: string,
+  callback: EventCallback<T>,
+  client?: HermesClient
+): void;
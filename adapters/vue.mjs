@@ -0,0 +1,135 @@
+/**
+ * Hermes Notifications - Vue 3 bindings
+ * 
+ * Install the plugin once to share a HermesClient with every component,
+ * then read notifications, the unread count and the connection status as
+ * refs from the composables.
+ * 
+ * @example
+ * app.use(HermesPlugin, { config: { baseUrl, profileToken, userId } });
+ * 
+ * // In a component
+ * const { notifications, unreadCount, status } = useNotifications();
+ */
+
+import { inject, onScopeDispose, shallowRef, getCurrentScope } from 'vue';
+import HermesClient from '../hermes-client.js';
+
+export const HERMES_KEY = Symbol('hermes');
+
+const STATUS_EVENTS = [
+    'stateChange',
+    'connected',
+    'disconnected',
+    'reconnecting',
+    'reconnectFailed',
+    'leaderChange'
+];
+
+/**
+ * Vue plugin providing a shared HermesClient
+ * 
+ * Options: `client` or `config`, `connect` (default true) and `preload`
+ * (default true). The stream is closed when the app unmounts.
+ */
+export const HermesPlugin = {
+    install(app, options = {}) {
+        const client = options.client || new HermesClient(options.config);
+        app.provide(HERMES_KEY, client);
+        app.config.globalProperties.$hermes = client;
+        
+        if (options.connect !== false) {
+            client.connectSSE();
+            
+            const unmount = app.unmount.bind(app);
+            app.unmount = () => {
+                client.disconnectSSE();
+                unmount();
+            };
+        }
+        
+        if (options.preload !== false) {
+            client.getNotifications().catch(error => client.log('Preload failed', error));
+            client.getUnreadCount().catch(error => client.log('Preload failed', error));
+        }
+    }
+};
+
+/**
+ * Get the shared client
+ */
+export function useHermes() {
+    const client = inject(HERMES_KEY, null);
+    if (!client) {
+        throw new Error('useHermes requires app.use(HermesPlugin)');
+    }
+    return client;
+}
+
+/**
+ * Run `cleanup` when the calling component or effect scope is disposed
+ */
+function onDispose(cleanup) {
+    if (getCurrentScope()) {
+        onScopeDispose(cleanup);
+    }
+}
+
+/**
+ * Notifications, unread count and status as refs
+ * 
+ * Listeners are removed automatically with the component.
+ */
+export function useNotifications(client = useHermes()) {
+    const snapshot = client.getSnapshot();
+    const notifications = shallowRef(snapshot.notifications);
+    const unreadCount = shallowRef(snapshot.unreadCount);
+    
+    const unsubscribe = client.subscribe(next => {
+        notifications.value = next.notifications;
+        unreadCount.value = next.unreadCount;
+    });
+    onDispose(unsubscribe);
+    
+    return {
+        notifications,
+        unreadCount,
+        status: useHermesStatus(client),
+        markAsRead: (id) => client.markAsRead(id),
+        markAllAsRead: () => client.markAllAsRead()
+    };
+}
+
+/**
+ * Unread count as a ref
+ */
+export function useUnreadCount(client = useHermes()) {
+    const unreadCount = shallowRef(client.getSnapshot().unreadCount);
+    onDispose(client.subscribe(next => {
+        unreadCount.value = next.unreadCount;
+    }));
+    return unreadCount;
+}
+
+/**
+ * Connection status as a ref
+ */
+export function useHermesStatus(client = useHermes()) {
+    const status = shallowRef(client.getStatus());
+    const update = () => {
+        status.value = client.getStatus();
+    };
+    
+    STATUS_EVENTS.forEach(event => client.on(event, update));
+    onDispose(() => STATUS_EVENTS.forEach(event => client.off(event, update)));
+    
+    return status;
+}
+
+/**
+ * Subscribe to a client event for the lifetime of the component
+ */
+export function useHermesEvent(event, callback, client = useHermes()) {
+    client.on(event, callback);
+    onDispose(() => client.off(event, callback));
+}
@@ -11,35 +11,35 @@ import { useEffect, useState, useCallback } from 'react';
 // <script src="/hermes-client.js"></script>
 
 function NotificationsApp() {
-    const [notifications, setNotifications] = useState([]);
-    const [unreadCount, setUnreadCount] = useState(0);
+    const [snapshot, setSnapshot] = useState({ notifications: [], unreadCount: 0 });
     const [isConnected, setIsConnected] = useState(false);
     const [hermesClient, setHermesClient] = useState(null);
+    const { notifications, unreadCount } = snapshot;
     
     // Configuration
     const config = {
         baseUrl: 'http://localhost:8000',
         profileToken: 'your-profile-token-here',
         userId: 'user-123',
-        debug: true
+        debug: true,
+        // Native notifications for high and urgent priorities while the tab is hidden
+        browserNotifications: { icon: '/notification-icon.png' }
     };
     
     useEffect(() => {
         // Initialize HermesClient
         const client = new window.HermesClient(config);
         
-        // Listen for notifications
+        // Render from the client's local store (SSE + REST, de-duplicated)
+        const unsubscribe = client.subscribe(setSnapshot);
+        
         client.on('notification', (notification) => {
             console.log('New notification:', notification);
-            setNotifications(prev => [notification, ...prev]);
-            
-            // Show browser notification
-            if (Notification.permission === 'granted') {
-                new Notification(notification.title, {
-                    body: notification.body,
-                    icon: '/notification-icon.png'
-                });
-            }
+        });
+        
+        // Clicks on native notifications come back here
+        client.on('notificationClick', ({ notification }) => {
+            client.markAsRead(notification.id);
         });
         
         // Listen for connection events
@@ -53,28 +53,16 @@ function NotificationsApp() {
             setIsConnected(false);
         });
         
-        client.on('unreadCount', (count) => {
-            console.log('Unread count:', count);
-            setUnreadCount(count);
-        });
-        
         // Connect to SSE
         client.connectSSE();
         
-        // Load existing notifications
+        // Load existing notifications and unread count into the store
         client.getNotifications({ limit: 50 })
-            .then(result => {
-                setNotifications(result.results || []);
-            })
             .catch(error => {
                 console.error('Error loading notifications:', error);
             });
         
-        // Get unread count
         client.getUnreadCount()
-            .then(count => {
-                setUnreadCount(count);
-            })
             .catch(error => {
                 console.error('Error getting unread count:', error);
             });
@@ -83,6 +71,7 @@ function NotificationsApp() {
         
         // Cleanup
         return () => {
+            unsubscribe();
             client.disconnectSSE();
         };
     }, []);
@@ -92,12 +81,6 @@ function NotificationsApp() {
         
         try {
             await hermesClient.markAsRead(notificationId);
-            setNotifications(prev => 
-                prev.map(n => 
-                    n.id === notificationId ? { ...n, is_read: true } : n
-                )
-            );
-            setUnreadCount(prev => Math.max(0, prev - 1));
         } catch (error) {
             console.error('Error marking as read:', error);
         }
@@ -108,10 +91,6 @@ function NotificationsApp() {
         
         try {
             await hermesClient.markAllAsRead();
-            setNotifications(prev => 
-                prev.map(n => ({ ...n, is_read: true }))
-            );
-            setUnreadCount(0);
         } catch (error) {
             console.error('Error marking all as read:', error);
         }
@@ -163,6 +142,13 @@ function NotificationsApp() {
                             Send Test
                         </button>
                         
+                        <button
+                            onClick={() => hermesClient && hermesClient.requestNotificationPermission()}
+                            className="bg-gray-200 text-gray-800 px-4 py-2 rounded hover:bg-gray-300"
+                        >
+                            Enable Alerts
+                        </button>
+                        
                         {unreadCount > 0 && (
                             <button
                                 onClick={markAllAsRead}
@@ -12,8 +12,707 @@ export interface HermesClientConfig {
   profileToken?: string | null;
   /** User ID */
   userId?: string | null;
+  /**
+   * Called before every request and SSE connection to get the current token.
+   * Returning null falls back to `appToken` / `profileToken`.
+   */
+  getToken?: (kind: TokenKind) => string | null | Promise<string | null>;
+  /**
+   * Called after a 401 to obtain a new token. Concurrent failures share a
+   * single refresh; the failed request is retried once with the new token
+   * and the SSE stream reconnects with it.
+   */
+  refreshToken?: (kind: TokenKind) => string | Promise<string>;
+  /** Request timeout in ms, per attempt (default: 30000) */
+  timeout?: number;
+  /** Retries for idempotent requests on 5xx, network errors and timeouts (default: 2) */
+  retries?: number;
+  /** Base delay between retries in ms, doubled on every retry (default: 500) */
+  retryDelay?: number;
   /** Enable debug logging */
   debug?: boolean;
+  /** Where logs go (default: the console) */
+  logger?: HermesLogger;
+  /** Lowest level written (default: 'debug' with `debug: true`, 'warn' otherwise) */
+  logLevel?: LogLevel;
+  /** Extra object keys whose values are redacted from logs */
+  redactKeys?: string[];
+  /** Emit `metrics` every this many ms while a stream is connected (default: off) */
+  metricsInterval?: number;
+  /** Base SSE reconnect delay in ms, doubled on every attempt (default: 5000) */
+  reconnectDelay?: number;
+  /** Upper bound for the SSE reconnect delay in ms (default: 60000) */
+  maxReconnectDelay?: number;
+  /** Random fraction (0-1) subtracted from each reconnect delay (default: 0.5) */
+  reconnectJitter?: number;
+  /** Reconnect attempts before giving up with `reconnectFailed` (default: 10) */
+  maxReconnectAttempts?: number;
+  /**
+   * Reconnect (emitting `stale`) when nothing, not even a heartbeat,
+   * arrives for this many ms (default: 0, off). Set it a bit above the
+   * server's keep-alive interval.
+   */
+  heartbeatTimeout?: number;
+  /** Message types treated as heartbeats (default: ['ping', 'heartbeat', 'keepalive']) */
+  heartbeatEvents?: string[];
+  /** Pause the SSE stream while `navigator.onLine` is false (default: true) */
+  pauseWhenOffline?: boolean;
+  /** Pause the SSE stream while the page is hidden (default: false) */
+  pauseWhenHidden?: boolean;
+  /**
+   * SSE transport (default: 'fetch')
+   * - 'fetch': fetch/ReadableStream, token sent as a Bearer header
+   * - 'eventsource': native EventSource, token sent in the query string
+   * - 'auto': native EventSource when available, fetch otherwise
+   * - a factory returning a custom transport
+   */
+  transport?: 'auto' | 'eventsource' | 'fetch' | SSETransportFactory;
+  /** Extra headers sent with every REST request and by the fetch SSE transport */
+  headers?: Record<string, string>;
+  /** fetch implementation for REST and the fetch SSE transport (default: global fetch) */
+  fetch?: typeof fetch;
+  /** Credentials mode for the SSE request (default: 'same-origin') */
+  credentials?: RequestCredentials;
+  /** Fetch notifications missed while the stream was down after each reconnect (default: true) */
+  catchUpOnReconnect?: boolean;
+  /** Page size of the catch-up fetch (default: 50) */
+  catchUpLimit?: number;
+  /**
+   * Named SSE event types (`event:` field) to listen for besides the
+   * built-in ones. Only needed by the EventSource transport, which cannot
+   * receive named events it has not subscribed to.
+   */
+  eventTypes?: string[];
+  /** Maximum number of notifications kept in the local store (default: 500) */
+  storeLimit?: number;
+  /**
+   * Queue mutations made while offline and replay them when connectivity
+   * returns (default: false). `true` uses IndexedDB in browsers and memory
+   * elsewhere.
+   */
+  outbox?: boolean | OutboxOptions;
+  /**
+   * Keep a persistent copy of the store for `userId` and hydrate it on
+   * startup, then revalidate in the background (default: false). `true`
+   * uses localStorage in browsers and memory elsewhere.
+   */
+  cache?: boolean | CacheOptions;
+  /**
+   * Share one SSE connection between the tabs of this origin (default: false).
+   * The elected leader tab owns the stream and rebroadcasts its events.
+   */
+  multiTab?: boolean | MultiTabOptions;
+  /**
+   * Show live notifications natively and optionally receive Web Push
+   * through a service worker (default: false)
+   */
+  browserNotifications?: boolean | BrowserNotificationsOptions;
+  /**
+   * Mute, quiet hours, grouping and digest rules for live notifications.
+   * Notifications they hold back are still stored and counted as unread.
+   */
+  rules?: NotificationRulesOptions;
+  /** Named notification templates, see TemplateRegistry */
+  templates?: Record<string, NotificationTemplate>;
+  /** Locale templates are rendered in (default: navigator.language or 'en') */
+  locale?: string;
+  /** Default `sourceSystem` of sent notifications (default: 'web-app') */
+  sourceSystem?: string;
+  /**
+   * Validation of sent payloads and stream messages (default: 'lenient').
+   * 'strict' rejects invalid payloads and drops invalid messages, 'lenient'
+   * warns and goes on, false turns it off.
+   */
+  validation?: boolean | ValidationMode | ValidationOptions;
+  /** Plugins added at construction, see HermesClient#use() */
+  plugins?: HermesPlugin[];
+}
+
+/** A REST call as seen by `beforeRequest` */
+export interface PluginRequest {
+  method: string;
+  url: string;
+  headers: Record<string, string>;
+  /** JSON body, serialized after the hooks ran */
+  body?: any;
+  /** Plugins may keep their own fields (e.g. a start time) */
+  [key: string]: any;
+}
+
+/** A REST response as seen by `afterResponse` */
+export interface PluginResponse {
+  status: number;
+  /** Whether it counts as a success; a hook may flip it */
+  ok: boolean;
+  headers: Headers;
+  /** Parsed body */
+  data: any;
+}
+
+export interface PluginMessage {
+  type: string;
+  data: any;
+  lastEventId: string | null;
+}
+
+export interface PluginStreamContext {
+  /** Stream that received the message */
+  streamId: string;
+  client: HermesClient;
+}
+
+export interface PluginLifecycleInfo {
+  streamId: string;
+  userId: string | null;
+  topic: string | null;
+  /** Why the stream closed (`onDisconnect` only) */
+  reason?: string;
+}
+
+type Awaitable<T> = T | Promise<T>;
+
+/**
+ * Hooks into the client's requests and streams; every hook is optional.
+ * Returning undefined keeps the value as it is.
+ */
+export interface HermesPlugin {
+  name?: string;
+  /** Runs when the plugin is added; may return a teardown function */
+  setup?(client: HermesClient): void | (() => void);
+  /** Before every REST call; change the request or return a new one */
+  beforeRequest?(request: PluginRequest, client: HermesClient): Awaitable<PluginRequest | void>;
+  /** After every REST response; change it or return a new one */
+  afterResponse?(response: PluginResponse, request: PluginRequest): Awaitable<PluginResponse | void>;
+  /** Each parsed stream message; return null to drop it */
+  onMessage?(message: PluginMessage, context: PluginStreamContext): PluginMessage | null | void;
+  /** Each live notification; return null to drop it */
+  onNotification?(notification: Notification, context: PluginStreamContext): Notification | null | void;
+  /** A stream opened */
+  onConnect?(info: PluginLifecycleInfo): void;
+  /** A stream closed */
+  onDisconnect?(info: PluginLifecycleInfo): void;
+}
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+/** Any console-like object, e.g. a pino or winston logger */
+export interface HermesLogger {
+  debug?(...args: any[]): void;
+  info?(...args: any[]): void;
+  warn?(...args: any[]): void;
+  error?(...args: any[]): void;
+  log?(...args: any[]): void;
+}
+
+export interface LoggerOptions {
+  output?: HermesLogger;
+  /** Default: 'warn' */
+  level?: LogLevel;
+  /** Default: '[HermesClient]' */
+  prefix?: string;
+  /** Current secret values to redact wherever they appear */
+  secrets?: () => Array<string | null | undefined>;
+  /** Extra object keys whose values are redacted */
+  redactKeys?: string[];
+}
+
+/**
+ * Leveled logger that redacts tokens, Bearer credentials, `token=` query
+ * parameters and secret-looking keys (token, authorization, password, ...)
+ */
+export class Logger {
+  constructor(options?: LoggerOptions);
+  static LEVELS: LogLevel[];
+  level: LogLevel;
+  debug(...args: any[]): void;
+  info(...args: any[]): void;
+  warn(...args: any[]): void;
+  error(...args: any[]): void;
+  enabled(level: LogLevel): boolean;
+}
+
+export interface EndpointMetrics {
+  count: number;
+  /** Failed attempts (each retry counts) */
+  errors: number;
+  avgMs: number;
+  maxMs: number;
+  lastMs: number;
+}
+
+export interface StreamMetrics {
+  connected: boolean;
+  /** Time open since the last connect */
+  uptimeMs: number;
+  /** Time open overall */
+  totalUptimeMs: number;
+  connects: number;
+  reconnects: number;
+  messages: number;
+  /** Messages received over the last 60 seconds */
+  messagesPerMinute: number;
+  lastMessageAt: string | null;
+  lastMessageAgeMs: number | null;
+}
+
+export interface MetricsSnapshot {
+  timestamp: string;
+  /** Time covered, since creation or the last reset */
+  sinceMs: number;
+  /** By endpoint, e.g. 'PATCH /api/notifications/:id/read' */
+  requests: Record<string, EndpointMetrics>;
+  /** By stream id */
+  streams: Record<string, StreamMetrics>;
+}
+
+/** Request latency and stream health counters */
+export class Metrics {
+  constructor();
+  recordRequest(method: string, path: string, duration: number, ok: boolean): void;
+  streamOpened(id: string, now?: number): void;
+  streamClosed(id: string, now?: number): void;
+  streamReconnecting(id: string): void;
+  messageReceived(id: string, now?: number): void;
+  snapshot(now?: number): MetricsSnapshot;
+  reset(): void;
+  /** Endpoint name of a request, ids replaced by ':id' */
+  static endpoint(method: string, path: string): string;
+}
+
+export type ValidationMode = 'strict' | 'lenient';
+
+export interface ValidationOptions {
+  mode?: ValidationMode;
+  /** Default: 255 */
+  maxTitleLength?: number;
+  /** Default: 5000 */
+  maxBodyLength?: number;
+  /** Maximum metadata size in bytes of JSON (default: 16384) */
+  maxMetadataSize?: number;
+}
+
+/**
+ * Runtime checks matching these types; each returns a list of issues
+ */
+export class NotificationSchema {
+  constructor(options?: ValidationOptions);
+  static PRIORITIES: NotificationPriority[];
+  static CHANNELS: NotificationChannel[];
+  mode: ValidationMode;
+  readonly strict: boolean;
+  /** Check a send payload, as posted (snake_case) */
+  validateSend(payload: Record<string, any>): string[];
+  /** Check a parsed stream message; only known types have a schema */
+  validateMessage(type: string | undefined, data: any): string[];
+}
+
+export interface InvalidMessageEvent {
+  /** SSE event type */
+  type: string;
+  /** Parsed data, null when it is not valid JSON */
+  data: any;
+  /** Raw event data */
+  raw: string;
+  issues: string[];
+  lastEventId: string | null;
+  /** Stream that received it */
+  streamId: string;
+}
+
+/**
+ * A notification template
+ *
+ * `title` and `body` use `{{variables}}` (dotted paths allowed) and plurals:
+ * `{{count|one:# item|other:# items}}`, `=0:` for exact values, `#` for the
+ * formatted number, or the short `{{count|# item|# items}}`.
+ */
+export interface NotificationTemplate extends Partial<Omit<SendNotificationParams, 'userId' | 'idempotencyKey' | 'sendAt' | 'signal'>> {
+  title: string;
+  body: string;
+  /** Per-locale overrides; 'pt-BR' falls back to 'pt', then to the template */
+  locales?: Record<string, Partial<Omit<NotificationTemplate, 'locales'>>>;
+}
+
+/** Template fields with the rendered title and body */
+export type RenderedTemplate = Omit<NotificationTemplate, 'locales'>;
+
+export class TemplateRegistry {
+  constructor(templates?: Record<string, NotificationTemplate>, options?: { locale?: string });
+  /** Default locale */
+  locale: string;
+  /** Register (or replace) a template */
+  register(name: string, template: NotificationTemplate): void;
+  has(name: string): boolean;
+  /** Render a template; throws when it is unknown or a variable is missing */
+  render(name: string, vars?: Record<string, any>, locale?: string): RenderedTemplate;
+  static interpolate(text: string, vars: Record<string, any>, locale: string, name?: string): string;
+  /** Pick the plural form of `count` from 'one:# item|other:# items' */
+  static pluralize(count: number, forms: string, locale: string): string;
+}
+
+export interface NotificationRulesOptions {
+  /** Notifications kept silent */
+  mute?: {
+    /** Source systems to mute */
+    sourceSystems?: string[];
+    /** Priorities to mute */
+    priorities?: Array<'low' | 'normal' | 'high' | 'urgent'>;
+  };
+  /** Return false to mute a notification */
+  filter?: (notification: Notification) => boolean;
+  /** Metadata key grouping notifications into threads, e.g. 'thread_id' */
+  groupBy?: string;
+  /**
+   * Collapse bursts: after `threshold` notifications (per group when
+   * `groupBy` is set) within `window` ms, the rest arrive as one `digest`
+   * event when the window ends. `true` uses the defaults.
+   */
+  digest?: boolean | {
+    /** Burst window in ms, from its first notification (default: 10000) */
+    window?: number;
+    /** Notifications delivered individually per window (default: 3) */
+    threshold?: number;
+  };
+  /** Local-time window without `notification` events, e.g. 22:00-07:00 */
+  quietHours?: {
+    /** 'HH:MM' */
+    start: string;
+    /** 'HH:MM' */
+    end: string;
+    /** Priorities still delivered (default: ['urgent']) */
+    allowPriorities?: Array<'low' | 'normal' | 'high' | 'urgent'>;
+  };
+}
+
+export type NotificationRoute = 'deliver' | 'muted' | 'quiet' | 'digest';
+
+export interface NotificationGroup {
+  /** Value of the `groupBy` key, null for an ungrouped notification */
+  key: string | null;
+  /** Notifications of the group, in the given order */
+  notifications: Notification[];
+  unreadCount: number;
+}
+
+/**
+ * Routing of live notifications by the configured rules
+ */
+export class NotificationRules {
+  constructor(client: HermesClient, options?: NotificationRulesOptions);
+  /** How a live notification is delivered */
+  route(notification: Notification, now?: Date): NotificationRoute;
+  isMuted(notification: Notification): boolean;
+  isQuiet(notification: Notification, now?: Date): boolean;
+  /** Group key of a notification, null when it is not grouped */
+  groupKey(notification: Notification): string | null;
+  /** Emit every pending digest now */
+  flushAll(): void;
+  /** Group notifications by the `groupBy` key */
+  group(notifications: Notification[]): NotificationGroup[];
+}
+
+export interface NotificationSuppressedEvent {
+  notification: Notification;
+  /** Rule that held it back */
+  reason: Exclude<NotificationRoute, 'deliver'>;
+}
+
+export interface DigestEvent {
+  /** Group of the burst, null without `groupBy` */
+  groupKey: string | null;
+  /** Notifications held back during the burst */
+  notifications: Notification[];
+  count: number;
+}
+
+export interface BrowserNotificationsOptions {
+  /** Priorities shown natively (default: ['high', 'urgent']) */
+  priorities?: Array<'low' | 'normal' | 'high' | 'urgent'>;
+  /** Decide per notification instead of `priorities` */
+  filter?: (notification: Notification) => boolean;
+  /** Also show them while the page is visible (default: false) */
+  showWhenVisible?: boolean;
+  /** Priorities that stay on screen until dismissed (default: ['urgent']) */
+  requireInteraction?: Array<'low' | 'normal' | 'high' | 'urgent'>;
+  /** Icon URL */
+  icon?: string;
+  /** Badge URL */
+  badge?: string;
+  /** Service worker script URL, e.g. '/hermes-sw.js' (required for Web Push) */
+  serviceWorker?: string;
+  /** Service worker scope */
+  scope?: string;
+  /** Base64url VAPID public key of the Hermes server (required for Web Push) */
+  vapidPublicKey?: string;
+  /** Endpoint receiving subscriptions (default: '/api/notifications/push/subscriptions') */
+  subscriptionPath?: string;
+}
+
+/**
+ * Native notifications and Web Push subscription
+ */
+export class BrowserNotifications {
+  constructor(client: HermesClient, options?: BrowserNotificationsOptions);
+  /** Whether the Notification API is available */
+  static isSupported(): boolean;
+  /** Whether service workers and the Push API are available */
+  static isPushSupported(): boolean;
+  /** Current permission ('denied' when unsupported) */
+  readonly permission: NotificationPermission;
+  /** Service worker registration, once registered */
+  readonly registration: ServiceWorkerRegistration | null;
+  requestPermission(): Promise<NotificationPermission>;
+  /** Whether a live notification passes the rules */
+  shouldShow(notification: Notification): boolean;
+  /** Show a notification natively if the rules allow it */
+  notify(notification: Notification): Promise<void>;
+  register(): Promise<ServiceWorkerRegistration>;
+  subscribe(userId?: string): Promise<PushSubscription>;
+  unsubscribe(userId?: string): Promise<boolean>;
+}
+
+export interface NotificationClickEvent {
+  /** The clicked notification */
+  notification: Notification;
+  /** Action button id, null for the notification itself */
+  action: string | null;
+}
+
+export interface PushSubscribedEvent {
+  subscription: PushSubscription;
+  userId: string;
+}
+
+export interface MultiTabOptions {
+  /** Channel name (default: 'hermes:<baseUrl>:<userId>') */
+  channelName?: string;
+  /** Leader heartbeat interval in ms (default: 1000) */
+  heartbeatInterval?: number;
+  /** Time without heartbeat before a new leader is elected, in ms (default: 3000) */
+  leaseTimeout?: number;
+  /** Time spent collecting election claims, in ms (default: 200) */
+  electionDelay?: number;
+}
+
+/**
+ * Leader election between tabs
+ */
+export class TabCoordinator {
+  constructor(client: HermesClient, options: MultiTabOptions & {
+    channelName: string;
+    onBecomeLeader?: () => void;
+    onLoseLeadership?: () => void;
+    onMessage?: (message: Record<string, any>) => void;
+  });
+  /** Random id of this tab */
+  readonly tabId: string;
+  /** Whether this tab is the leader */
+  readonly isLeader: boolean;
+  /** Join the election */
+  start(): void;
+  /** Resign (if leader) and leave */
+  stop(): void;
+  /** Send a message to every other tab */
+  post(message: Record<string, any>): void;
+}
+
+export interface LeaderChangeEvent {
+  /** Whether this tab now owns the SSE connection */
+  isLeader: boolean;
+}
+
+export interface OutboxOptions {
+  /** Where queued mutations are persisted */
+  storage?: StorageAdapter;
+  /** Storage key (default: 'hermes:outbox:<baseUrl>') */
+  key?: string;
+  /** Replay attempts before an entry is dropped as failed (default: 10) */
+  maxAttempts?: number;
+}
+
+/**
+ * Async key/value storage used for persistence
+ */
+export interface StorageAdapter {
+  getItem(key: string): Promise<any>;
+  setItem(key: string, value: any): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+/** In-memory storage */
+export class MemoryStorage implements StorageAdapter {
+  getItemSync(key: string): any;
+  getItem(key: string): Promise<any>;
+  setItem(key: string, value: any): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+/** IndexedDB storage for browsers */
+export class IndexedDBStorage implements StorageAdapter {
+  constructor(options?: { dbName?: string; storeName?: string });
+  getItem(key: string): Promise<any>;
+  setItem(key: string, value: any): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+/** localStorage / sessionStorage storage for browsers, also readable synchronously */
+export class WebStorage implements StorageAdapter {
+  /** Default: window.localStorage */
+  constructor(storage?: Storage);
+  getItemSync(key: string): any;
+  getItem(key: string): Promise<any>;
+  setItem(key: string, value: any): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+/** JSON file storage for Node.js */
+export class FileStorage implements StorageAdapter {
+  constructor(filePath: string);
+  getItem(key: string): Promise<any>;
+  setItem(key: string, value: any): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+export interface CacheOptions {
+  /**
+   * Where the cache is persisted. Adapters with `getItemSync` (WebStorage,
+   * MemoryStorage) hydrate before the constructor returns.
+   */
+  storage?: StorageAdapter & { getItemSync?(key: string): any };
+  /** Storage key (default: 'hermes:cache:<baseUrl>:<userId>') */
+  key?: string;
+  /** Notifications kept, newest first (default: 50) */
+  maxItems?: number;
+  /** Age in ms after which the cache is ignored (default: 1 day) */
+  maxAge?: number;
+  /** Refresh the list and unread count from the server on startup (default: true) */
+  revalidate?: boolean;
+}
+
+/**
+ * Persistent copy of the local store
+ */
+export class NotificationCache {
+  /** Resolves once the cached data is in the store */
+  readonly ready: Promise<void>;
+  /** Resolves once the startup revalidation is done, null when disabled */
+  readonly revalidating: Promise<void> | null;
+  /** When the hydrated data was saved (ms), null when nothing was hydrated */
+  readonly hydratedAt: number | null;
+  /** When the data was last revalidated (ms) */
+  readonly revalidatedAt: number | null;
+  /** Refresh from the server, dropping cached notifications that are gone */
+  revalidate(): Promise<void>;
+  /** Delete the cached copy */
+  clear(): Promise<void>;
+}
+
+export type OutboxMutationType =
+  | 'send'
+  | 'markAsRead'
+  | 'markAllAsRead'
+  | 'markManyAsRead'
+  | 'markAsUnread'
+  | 'archive'
+  | 'delete';
+
+export interface OutboxEntry {
+  id: string;
+  type: OutboxMutationType;
+  payload: Record<string, any>;
+  /** Sent as the Idempotency-Key header on every replay */
+  idempotencyKey: string;
+  createdAt: string;
+  attempts: number;
+}
+
+export interface NotificationUpdatedEvent {
+  /** Notification as it is now in the store */
+  notification: Notification;
+  /** Notification before the change */
+  previous: Notification;
+}
+
+export interface MutationFailedEvent {
+  type: OutboxMutationType;
+  payload: Record<string, any>;
+  /** Optimistic changes were rolled back before this event */
+  error: HermesError | Error;
+}
+
+/** Result of a mutation that was queued instead of sent */
+export interface QueuedResult {
+  queued: true;
+  id: string;
+  idempotencyKey: string;
+}
+
+/**
+ * Persistent queue of mutations made while offline
+ */
+export class Outbox {
+  /** Number of queued entries */
+  readonly size: number;
+  /** Copy of the queued entries, oldest first */
+  getEntries(): OutboxEntry[];
+  /** Replay queued entries in order */
+  flush(): Promise<void>;
+  /** Drop every queued entry */
+  clear(): Promise<void>;
+}
+
+export type TokenKind = 'app' | 'profile';
+
+export interface TokenRefreshedEvent {
+  kind: TokenKind;
+}
+
+export type HermesErrorCode =
+  | 'HTTP_ERROR'
+  | 'NETWORK_ERROR'
+  | 'TIMEOUT'
+  | 'ABORTED'
+  | 'MISSING_TOKEN'
+  | 'LISTENER_ERROR'
+  | 'VALIDATION_ERROR'
+  | 'PLUGIN_ERROR'
+  | (string & {});
+
+/**
+ * Error thrown by every failed Hermes request
+ */
+export class HermesError extends Error {
+  constructor(message: string, details?: {
+    status?: number | null;
+    code?: HermesErrorCode | null;
+    body?: any;
+    request?: HermesRequestInfo | null;
+    cause?: unknown;
+    issues?: string[];
+  });
+  name: 'HermesError';
+  /** HTTP status, null when no response was received */
+  status: number | null;
+  /** Server error code, or one of the client codes */
+  code: HermesErrorCode | null;
+  /** Parsed response body */
+  body: any;
+  /** Request that failed */
+  request: HermesRequestInfo | null;
+  /** Underlying error, if any */
+  cause?: unknown;
+  /** What failed validation (VALIDATION_ERROR only) */
+  issues?: string[];
+}
+
+export interface HermesRequestInfo {
+  method: string;
+  url: string;
+}
+
+export interface RequestOptions {
+  /** Abort the request */
+  signal?: AbortSignal;
 }
 
 export interface Notification {
@@ -50,8 +749,55 @@ export interface SendNotificationParams {
   channels?: Array<'in_app' | 'email' | 'sms' | 'push'>;
   /** Additional metadata */
   metadata?: Record<string, any>;
+  /** Source system name (default: the client's `sourceSystem`) */
+  sourceSystem?: string;
+  /** Idempotency key (generated when omitted) */
+  idempotencyKey?: string;
+  /** Schedule the delivery (sent to the server as `scheduled_at`) */
+  sendAt?: Date | string | number;
+  /** Abort the request */
+  signal?: AbortSignal;
+}
+
+/**
+ * Send a registered template: title, body and defaults come from it,
+ * explicit fields win. The name and vars are added to the metadata.
+ */
+export interface TemplateNotificationParams extends Partial<SendNotificationParams> {
+  userId: string;
+  /** Name of a registered template */
+  template: string;
+  /** Values of the template's variables */
+  vars?: Record<string, any>;
+  /** Locale to render in (default: the client's) */
+  locale?: string;
+}
+
+export interface TemplateBatchFanOut extends Omit<TemplateNotificationParams, 'userId' | 'idempotencyKey'> {
+  /** Recipients, each receiving the same payload */
+  userIds: string[];
+}
+
+export interface SendBatchFanOut extends Omit<SendNotificationParams, 'userId' | 'idempotencyKey'> {
+  /** Recipients, each receiving the same payload */
+  userIds: string[];
+}
+
+export interface SendBatchOptions {
+  /** Maximum number of requests in flight (default: 5) */
+  concurrency?: number;
+  /** Abort the remaining requests */
+  signal?: AbortSignal;
 }
 
+export type SendBatchResult =
+  | { status: 'fulfilled'; value: any | QueuedResult; params: SendNotificationParams }
+  | { status: 'rejected'; reason: HermesError | Error; params: SendNotificationParams };
+
+export type NotificationPriority = 'low' | 'normal' | 'high' | 'urgent';
+
+export type NotificationChannel = 'in_app' | 'email' | 'sms' | 'push';
+
 export interface GetNotificationsParams {
   /** User ID */
   userId?: string;
@@ -60,7 +806,33 @@ export interface GetNotificationsParams {
   /** Offset for pagination */
   offset?: number;
   /** Filter by read status */
-  is_read?: boolean;
+  isRead?: boolean | null;
+  /** @deprecated Use `isRead` */
+  is_read?: boolean | null;
+  /** Filter by priority (one or several) */
+  priority?: NotificationPriority | NotificationPriority[];
+  /** Filter by source system (one or several) */
+  sourceSystem?: string | string[];
+  /** Filter by delivery channel (one or several) */
+  channel?: NotificationChannel | NotificationChannel[];
+  /** Only notifications created at or after this date */
+  createdAfter?: Date | string;
+  /** Only notifications created before this date */
+  createdBefore?: Date | string;
+  /** Filter by metadata values, sent as `metadata__<key>` */
+  metadata?: Record<string, string | number | boolean>;
+  /**
+   * `next` or `previous` link of an earlier page. When set, every other
+   * query option is ignored.
+   */
+  cursor?: string | null;
+  /** Abort the request */
+  signal?: AbortSignal;
+}
+
+export interface IterateNotificationsParams extends Omit<GetNotificationsParams, 'limit' | 'cursor'> {
+  /** Page size (default: 50) */
+  pageSize?: number;
 }
 
 export interface GetNotificationsResult {
@@ -74,15 +846,307 @@ export interface GetNotificationsResult {
   previous: string | null;
 }
 
-export type EventType = 
-  | 'notification'
-  | 'connected'
-  | 'disconnected'
-  | 'error'
-  | 'unreadCount';
+export interface SSEMessageEvent {
+  /** Event name (`event:` field), 'message' by default */
+  type: string;
+  /** Raw event data */
+  data: string;
+  /** Last event id seen on the stream */
+  lastEventId: string;
+}
+
+export interface SSETransportOptions {
+  /** Stream URL, without credentials */
+  url: string;
+  /** Profile token to authenticate with */
+  token: string | null;
+  /** Last event id to resume from */
+  lastEventId: string | null;
+  /** Extra request headers */
+  headers: Record<string, string>;
+  /** Credentials mode */
+  credentials: RequestCredentials;
+  /** Extra named event types to listen for */
+  eventTypes: string[];
+  /** fetch implementation from the client config, if any */
+  fetch: typeof fetch | null;
+  onOpen(): void;
+  onMessage(event: SSEMessageEvent): void;
+  /** SSE comment received (e.g. a keep-alive), optional for custom transports */
+  onComment(comment: string): void;
+  onError(error: any): void;
+}
+
+export interface SSETransport {
+  close(): void;
+}
+
+export type SSETransportFactory = (options: SSETransportOptions) => SSETransport;
+
+/**
+ * Incremental text/event-stream parser
+ */
+export class SSEParser {
+  constructor(handlers?: {
+    onEvent?: (event: SSEMessageEvent) => void;
+    onComment?: (comment: string) => void;
+    onRetry?: (retry: number) => void;
+    lastEventId?: string;
+  });
+  /** Feed a decoded chunk of the stream */
+  feed(chunk: string): void;
+}
+
+/** SSE transport backed by the native EventSource */
+export class EventSourceTransport implements SSETransport {
+  constructor(options: SSETransportOptions);
+  close(): void;
+}
+
+/** SSE transport backed by fetch and ReadableStream */
+export class FetchTransport implements SSETransport {
+  constructor(options: SSETransportOptions);
+  close(): void;
+}
+
+export interface NotificationSnapshot {
+  /** Stored notifications, de-duplicated by id and ordered newest first */
+  readonly notifications: ReadonlyArray<Notification>;
+  /** Unread count (server count when known, local estimate otherwise) */
+  readonly unreadCount: number;
+}
+
+export type SnapshotListener = (snapshot: NotificationSnapshot) => void;
+
+/**
+ * Local notification store shared by SSE pushes and REST pages
+ */
+export class NotificationStore {
+  constructor(options?: {
+    limit?: number;
+    /** Called with errors thrown by subscribers (default: console.error) */
+    onError?: (error: unknown) => void;
+  });
+
+  /**
+   * Merge notifications into the store
+   * @returns Notifications that were not known before
+   */
+  upsert(notifications: Notification | Notification[], options?: { live?: boolean }): Notification[];
+
+  /** Set the unread count reported by the server */
+  setUnreadCount(count: number): void;
+
+  /** Mark the given notifications as read */
+  markRead(ids: string[]): void;
+
+  /** Mark every stored notification as read */
+  markAllRead(): void;
+
+  /** Mark the given notifications as unread */
+  markUnread(ids: string[]): void;
+
+  /** Remove the given notifications */
+  remove(ids: string[]): void;
+
+  /** Put notifications and the unread count back to an earlier state */
+  restore(notifications: Notification[], unreadCount: number, hasServerCount: boolean): void;
+  /** Load cached data; notifications already stored win */
+  hydrate(notifications: Notification[], unreadCount?: number | null): void;
+
+  /** Get a single notification by id */
+  get(id: string): Notification | null;
+
+  /** Remove every notification */
+  clear(): void;
+
+  /**
+   * Subscribe to store changes
+   * @returns Function that removes the listener
+   */
+  subscribe(listener: SnapshotListener): () => void;
+
+  /** Get the current immutable snapshot */
+  getSnapshot(): NotificationSnapshot;
+}
+
+export type ConnectionState =
+  | 'idle'
+  | 'connecting'
+  | 'open'
+  | 'reconnecting'
+  | 'failed'
+  | 'closed';
+
+export interface StateChangeEvent {
+  state: ConnectionState;
+  previousState: ConnectionState;
+  userId: string | null;
+  /** Stream the change belongs to */
+  streamId: string;
+}
+
+export interface ReconnectingEvent {
+  /** Attempt number, starting at 1 */
+  attempt: number;
+  /** Delay before the attempt in ms */
+  delay: number;
+  /** Timestamp (ms) of the attempt */
+  nextRetryAt: number;
+  userId: string | null;
+  streamId: string;
+}
+
+export interface ReconnectFailedEvent {
+  attempts: number;
+  userId: string | null;
+  streamId: string;
+}
+
+export interface StaleEvent {
+  /** Timestamp (ms) of the last message, heartbeat or comment */
+  lastActivityAt: number;
+  /** Time without traffic in ms */
+  idleMs: number;
+  userId: string | null;
+  streamId: string;
+}
+
+export interface ConnectionStatus {
+  /** Current connection state */
+  state: ConnectionState;
+  /** True while the stream is open */
+  isConnected: boolean;
+  /** Reconnect attempts since the last successful open */
+  reconnectAttempts: number;
+  /** Timestamp (ms) of the next scheduled reconnect, if any */
+  nextRetryAt: number | null;
+  /** True while paused because the browser is offline or the page is hidden */
+  paused: boolean;
+  /** Timestamp (ms) of the last message, heartbeat or comment, if any */
+  lastActivityAt: number | null;
+  /** Resolved transport type */
+  transport: 'eventsource' | 'fetch' | 'custom';
+  /** True while a transport is open or opening */
+  hasEventSource: boolean;
+  /** Role of this tab in multi-tab mode, null otherwise */
+  tabRole: 'leader' | 'follower' | null;
+  /** Status of every stream of this tab, the main one included, by id */
+  streams: Record<string, StreamStatus>;
+  /** Request and stream metrics */
+  metrics: MetricsSnapshot;
+}
+
+export interface StreamOptions {
+  /** Stream of a user's notifications */
+  userId?: string;
+  /** Stream of a topic, e.g. a team channel ('/sse/topics/<topic>/') */
+  topic?: string;
+  /** Custom stream path, relative to `baseUrl` */
+  path?: string;
+  /** Stream id (default: 'user:<userId>' or 'topic:<topic>') */
+  id?: string;
+  /** Add its notifications to the client's store (default: false) */
+  store?: boolean;
+}
+
+export interface StreamStatus {
+  id: string;
+  userId: string | null;
+  topic: string | null;
+  state: ConnectionState;
+  isConnected: boolean;
+  reconnectAttempts: number;
+  nextRetryAt: number | null;
+  paused: boolean;
+  lastActivityAt: number | null;
+}
+
+/**
+ * One SSE stream of the client
+ *
+ * Its listeners only receive this stream's events. Extra streams also
+ * pass their connection events (stateChange, connected, disconnected,
+ * reconnecting, reconnectFailed, error) on to the client.
+ */
+export interface HermesStream {
+  readonly id: string;
+  readonly userId: string | null;
+  readonly topic: string | null;
+  readonly state: ConnectionState;
+  on<K extends EventType>(event: K, callback: EventCallback<HermesEventMap[K]>): Unsubscribe;
+  on<T = any>(event: string, callback: EventCallback<T>): Unsubscribe;
+  once<K extends EventType>(event: K, callback: EventCallback<HermesEventMap[K]>): Unsubscribe;
+  once<T = any>(event: string, callback: EventCallback<T>): Unsubscribe;
+  off(event: EventType | string, callback: EventCallback<any>): void;
+  getStatus(): StreamStatus;
+  /** Reconnect now, resetting the backoff */
+  reconnect(): void;
+  /** Close the stream */
+  disconnect(): void;
+}
+
+export interface ServerMessageEvent {
+  /** Server event type (`type` field of the payload or named SSE event) */
+  type: string;
+  /** Parsed payload (raw text for non-JSON named events) */
+  data: any;
+  /** SSE event id */
+  lastEventId: string | null;
+}
+
+/**
+ * Payload of every client event. Declare custom server events by
+ * augmenting this interface:
+ *
+ * ```typescript
+ * declare module '@raphab3/hermes-client' {
+ *   interface HermesEventMap { order_update: { orderId: string } }
+ * }
+ * ```
+ */
+export interface HermesEventMap {
+  notification: Notification;
+  connected: void;
+  disconnected: void;
+  error: Error | HermesError;
+  unreadCount: number;
+  stateChange: StateChangeEvent;
+  reconnecting: ReconnectingEvent;
+  reconnectFailed: ReconnectFailedEvent;
+  /** No traffic within `heartbeatTimeout`; a reconnect follows */
+  stale: StaleEvent;
+  tokenRefreshed: TokenRefreshedEvent;
+  outboxQueued: OutboxEntry;
+  outboxFlushed: { entry: OutboxEntry; result: any };
+  outboxFailed: { entry: OutboxEntry; error: HermesError };
+  leaderChange: LeaderChangeEvent;
+  notificationClick: NotificationClickEvent;
+  pushSubscribed: PushSubscribedEvent;
+  /** Server event types the client does not handle itself */
+  message: ServerMessageEvent;
+  /** A live notification held back by `rules` */
+  notificationSuppressed: NotificationSuppressedEvent;
+  /** Notifications held back during a burst */
+  digest: DigestEvent;
+  /** Stream data that failed to parse or validate */
+  invalidMessage: InvalidMessageEvent;
+  /** A stored notification changed (read state, optimistic or reconciled) */
+  notificationUpdated: NotificationUpdatedEvent;
+  /** A mutation failed, or was dropped by the outbox, and was rolled back */
+  mutationFailed: MutationFailedEvent;
+  /** Periodic metrics, see `metricsInterval` */
+  metrics: MetricsSnapshot;
+}
+
+export type EventType = keyof HermesEventMap;
 
+/** Listeners may be async; rejections are reported through `error` */
 export type EventCallback<T = any> = (data: T) => void;
 
+/** Removes the listener it was returned for */
+export type Unsubscribe = () => void;
+
 /**
  * Hermes Client - Real-time notification client
  * 
@@ -112,6 +1176,58 @@ export class HermesClient {
   userId: string | null;
   /** Enable debug logging */
   debug: boolean;
+  /** Leveled, redacting logger */
+  logger: Logger;
+  /** Request and stream metrics */
+  metrics: Metrics;
+  /** Local notification store */
+  store: NotificationStore;
+  /** Offline outbox, null unless enabled */
+  outbox: Outbox | null;
+  /** Persistent cache, null unless enabled */
+  cache: NotificationCache | null;
+  /** Notification rules, null unless configured */
+  rules: NotificationRules | null;
+  /** Native notifications and Web Push, null unless enabled */
+  browserNotifications: BrowserNotifications | null;
+  /** Locale templates are rendered in */
+  locale: string;
+  /** Registered notification templates */
+  templates: TemplateRegistry;
+  /** Default `sourceSystem` of sent notifications */
+  sourceSystem: string;
+  /** Payload and message validation, null when disabled */
+  schema: NotificationSchema | null;
+  /** Plugins, in the order they run */
+  plugins: HermesPlugin[];
+
+  /** Error class thrown by failed requests */
+  static HermesError: typeof HermesError;
+
+  /** Building blocks, exposed for standalone use */
+  static NotificationStore: typeof NotificationStore;
+  static NotificationRules: typeof NotificationRules;
+  static TemplateRegistry: typeof TemplateRegistry;
+  static NotificationSchema: typeof NotificationSchema;
+  static Logger: typeof Logger;
+  static Metrics: typeof Metrics;
+  static Outbox: typeof Outbox;
+  static MemoryStorage: typeof MemoryStorage;
+  static IndexedDBStorage: typeof IndexedDBStorage;
+  static FileStorage: typeof FileStorage;
+  static WebStorage: typeof WebStorage;
+  static NotificationCache: typeof NotificationCache;
+  static TabCoordinator: typeof TabCoordinator;
+  static BrowserNotifications: typeof BrowserNotifications;
+
+  /** Build the query string used by getNotifications */
+  static buildNotificationQuery(params?: GetNotificationsParams): URLSearchParams;
+
+  /** Generate a random id (used for idempotency keys) */
+  static generateId(): string;
+  static SSEParser: typeof SSEParser;
+  static EventSourceTransport: typeof EventSourceTransport;
+  static FetchTransport: typeof FetchTransport;
 
   /**
    * Create a new Hermes client instance
@@ -131,26 +1247,44 @@ export class HermesClient {
    * });
    * ```
    */
-  on(event: 'notification', callback: EventCallback<Notification>): void;
-  on(event: 'connected', callback: EventCallback<void>): void;
-  on(event: 'disconnected', callback: EventCallback<void>): void;
-  on(event: 'error', callback: EventCallback<Error>): void;
-  on(event: 'unreadCount', callback: EventCallback<number>): void;
-  on(event: EventType, callback: EventCallback): void;
+  on<K extends EventType>(event: K, callback: EventCallback<HermesEventMap[K]>): Unsubscribe;
+  /** Custom server event, forwarded under its own name */
+  on<T = any>(event: string, callback: EventCallback<T>): Unsubscribe;
 
   /**
-   * Remove an event listener
+   * Register a listener that runs at most once
+   */
+  once<K extends EventType>(event: K, callback: EventCallback<HermesEventMap[K]>): Unsubscribe;
+  once<T = any>(event: string, callback: EventCallback<T>): Unsubscribe;
+
+  /**
+   * Remove an event listener (also one registered with `once`)
    * @param event - Event type
    * @param callback - Callback function to remove
    */
-  off(event: EventType, callback: EventCallback): void;
+  off(event: EventType | string, callback: EventCallback<any>): void;
+
+  /**
+   * Listen to every event, client and server alike
+   *
+   * @example
+   * ```typescript
+   * const stop = hermes.onAny((event, data) => console.log(event, data));
+   * ```
+   */
+  onAny(callback: (event: string, data: any) => void): Unsubscribe;
+
+  /**
+   * Remove a listener added with `onAny`
+   */
+  offAny(callback: (event: string, data: any) => void): void;
 
   /**
    * Emit an event (internal use)
    * @param event - Event type
    * @param data - Event data
    */
-  emit(event: EventType, data?: any): void;
+  emit(event: EventType | string, data?: any): void;
 
   /**
    * Send a notification
@@ -168,7 +1302,27 @@ export class HermesClient {
    * });
    * ```
    */
-  sendNotification(params: SendNotificationParams): Promise<any>;
+  sendNotification(params: SendNotificationParams | TemplateNotificationParams): Promise<any | QueuedResult>;
+
+  /**
+   * Send many notifications with limited concurrency
+   * @param input - Array of payloads, or one payload with `userIds`
+   * @param options - Concurrency and abort signal
+   * @returns One result per item, in order; never rejects for a single failure
+   * 
+   * @example
+   * ```typescript
+   * const results = await hermes.sendBatch(
+   *   { userIds: ['user-1', 'user-2'], title: 'Maintenance', body: 'Tonight at 10pm' },
+   *   { concurrency: 3 }
+   * );
+   * const failed = results.filter(r => r.status === 'rejected');
+   * ```
+   */
+  sendBatch(
+    input: Array<SendNotificationParams | TemplateNotificationParams> | SendBatchFanOut | TemplateBatchFanOut,
+    options?: SendBatchOptions
+  ): Promise<SendBatchResult[]>;
 
   /**
    * Get notifications for a user
@@ -180,13 +1334,31 @@ export class HermesClient {
    * const result = await hermes.getNotifications({
    *   userId: 'user-123',
    *   limit: 50,
-   *   is_read: false
+   *   isRead: false,
+   *   priority: ['high', 'urgent']
    * });
    * console.log('Unread notifications:', result.results);
+   * 
+   * // Next page
+   * const page2 = await hermes.getNotifications({ cursor: result.next });
    * ```
    */
   getNotifications(params?: GetNotificationsParams): Promise<GetNotificationsResult>;
 
+  /**
+   * Walk every page of notifications lazily
+   * @param params - Filters and page size
+   * @returns Async iterator over notifications, following `next` links
+   * 
+   * @example
+   * ```typescript
+   * for await (const notification of hermes.iterateNotifications({ sourceSystem: 'billing' })) {
+   *   exportRow(notification);
+   * }
+   * ```
+   */
+  iterateNotifications(params?: IterateNotificationsParams): AsyncGenerator<Notification, void, undefined>;
+
   /**
    * Get unread notification count
    * @param userId - User ID (optional, uses client userId if not provided)
@@ -198,7 +1370,7 @@ export class HermesClient {
    * console.log('Unread:', count);
    * ```
    */
-  getUnreadCount(userId?: string): Promise<number>;
+  getUnreadCount(userId?: string, options?: RequestOptions): Promise<number>;
 
   /**
    * Mark a notification as read
@@ -210,7 +1382,7 @@ export class HermesClient {
    * await hermes.markAsRead('notification-id-123');
    * ```
    */
-  markAsRead(notificationId: string): Promise<any>;
+  markAsRead(notificationId: string, options?: RequestOptions): Promise<any | QueuedResult>;
 
   /**
    * Mark all notifications as read for a user
@@ -222,7 +1394,60 @@ export class HermesClient {
    * await hermes.markAllAsRead();
    * ```
    */
-  markAllAsRead(userId?: string): Promise<any>;
+  markAllAsRead(userId?: string, options?: RequestOptions): Promise<any | QueuedResult>;
+
+  /**
+   * Mark several notifications as read in one request
+   * @param notificationIds - Notification IDs to mark as read
+   * 
+   * @example
+   * ```typescript
+   * await hermes.markManyAsRead(['id-1', 'id-2']);
+   * ```
+   */
+  markManyAsRead(notificationIds: string[], options?: RequestOptions): Promise<any | QueuedResult>;
+
+  /**
+   * Mark a notification as unread again
+   * @param notificationId - Notification ID
+   */
+  markAsUnread(notificationId: string, options?: RequestOptions): Promise<any | QueuedResult>;
+
+  /**
+   * Archive a notification (removes it from the local store)
+   * @param notificationId - Notification ID
+   */
+  archive(notificationId: string, options?: RequestOptions): Promise<any | QueuedResult>;
+
+  /**
+   * Delete a notification
+   * @param notificationId - Notification ID
+   */
+  deleteNotification(notificationId: string, options?: RequestOptions): Promise<any | QueuedResult>;
+
+  /**
+   * Replay mutations queued in the outbox now
+   * 
+   * Runs automatically on startup, when the browser goes back online and
+   * when the SSE stream (re)opens.
+   */
+  flushOutbox(): Promise<void>;
+
+  /**
+   * Ask for permission to show native notifications (call from a user gesture)
+   */
+  requestNotificationPermission(): Promise<NotificationPermission>;
+
+  /**
+   * Register the service worker, subscribe to Web Push and send the
+   * subscription to the Hermes server
+   */
+  subscribeToPush(userId?: string): Promise<PushSubscription>;
+
+  /**
+   * Remove this browser's Web Push subscription here and on the server
+   */
+  unsubscribeFromPush(userId?: string): Promise<boolean>;
 
   /**
    * Connect to SSE (Server-Sent Events) for real-time notifications
@@ -238,7 +1463,7 @@ export class HermesClient {
   connectSSE(userId?: string): void;
 
   /**
-   * Disconnect from SSE
+   * Disconnect from SSE, closing every stream
    * 
    * @example
    * ```typescript
@@ -247,6 +1472,105 @@ export class HermesClient {
    */
   disconnectSSE(): void;
 
+  /**
+   * Reconnect every SSE stream now, resetting the backoff
+   *
+   * Also restarts a stream that gave up after `maxReconnectAttempts`.
+   *
+   * @example
+   * ```typescript
+   * hermes.on('reconnectFailed', () => showRetryButton(() => hermes.reconnect()));
+   * ```
+   */
+  reconnect(): void;
+
+  /**
+   * Open an extra stream (another user, a topic) next to the main one
+   *
+   * Streams share the client's auth, transport and reconnect policy. An
+   * already open stream with the same id is returned as is.
+   *
+   * @example
+   * ```typescript
+   * const team = hermes.connectStream({ topic: 'support' });
+   * team.on('notification', (notification) => console.log('Team:', notification));
+   * ```
+   */
+  connectStream(options: StreamOptions): HermesStream;
+
+  /**
+   * Close an extra stream
+   */
+  disconnectStream(id: string): void;
+
+  /**
+   * Get a stream by id, the main one included
+   */
+  getStream(id: string): HermesStream | null;
+
+  /**
+   * Subscribe to local store changes
+   * @param listener - Called with the new snapshot on every change
+   * @returns Function that removes the listener
+   * 
+   * @example
+   * ```typescript
+   * const unsubscribe = hermes.subscribe(({ notifications, unreadCount }) => {
+   *   render(notifications, unreadCount);
+   * });
+   * ```
+   */
+  subscribe(listener: SnapshotListener): () => void;
+
+  /**
+   * Get the current store snapshot
+   * @returns Immutable snapshot, replaced on every change
+   */
+  getSnapshot(): NotificationSnapshot;
+
+  /**
+   * Empty the local store and delete its cached copy (e.g. on logout)
+   */
+  clearCache(): Promise<void>;
+
+  /**
+   * Group notifications (the store's by default) by the `rules.groupBy` key
+   */
+  groupNotifications(notifications?: Notification[]): NotificationGroup[];
+
+  /**
+   * Add a plugin
+   * @returns Function that removes it (and runs its teardown)
+   */
+  use(plugin: HermesPlugin): () => void;
+
+  /** Register (or replace) a notification template */
+  registerTemplate(name: string, template: NotificationTemplate): this;
+
+  /** Render a template with `vars`, in the client's locale by default */
+  renderTemplate(name: string, vars?: Record<string, any>, locale?: string): RenderedTemplate;
+
+  /**
+   * Localized copy of a received notification whose `metadata.template`
+   * names a registered template (rendered with `metadata.vars`); others
+   * are returned as is
+   */
+  renderNotification(notification: Notification, locale?: string): Notification;
+
+  /**
+   * Get connection status, including metrics
+   */
+  getStatus(): ConnectionStatus;
+
+  /**
+   * Get request latency per endpoint, and uptime, reconnects, throughput
+   * and last-message age per stream
+   */
+  getMetrics(): MetricsSnapshot;
+
+  /** Start the metrics over */
+  resetMetrics(): void;
+
   /**
    * Check if SSE is connected
    * @returns True if connected, false otherwise
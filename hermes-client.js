@@ -10,378 +10,4678 @@
  * @author Hermes Team
  */
 
-class HermesClient {
-    constructor(config = {}) {
-        this.baseUrl = config.baseUrl || 'http://localhost:8000';
-        this.appToken = config.appToken || null;
-        this.profileToken = config.profileToken || null;
-        this.userId = config.userId || null;
-        this.timeout = config.timeout || 30000;
-        this.debug = config.debug || false;
-        
-        // SSE configuration
-        this.sseEnabled = config.sseEnabled !== false;
-        this.reconnectDelay = config.reconnectDelay || 5000;
-        this.maxReconnectAttempts = config.maxReconnectAttempts || 10;
-        
-        // Internal state
-        this.eventSource = null;
-        this.reconnectAttempts = 0;
-        this.isConnected = false;
-        this.listeners = {
-            notification: [],
-            connected: [],
-            disconnected: [],
-            error: [],
-            unreadCount: []
-        };
-        
-        this.log('HermesClient initialized', config);
-    }
-    
+(function () {
     /**
-     * Internal logging
+     * Error thrown by every failed Hermes request
+     * 
+     * `status` is the HTTP status (null for network errors), `code` is the
+     * server's error code or one of HTTP_ERROR, NETWORK_ERROR, TIMEOUT,
+     * ABORTED and MISSING_TOKEN, `body` the parsed response body and
+     * `request` the `{ method, url }` that failed. Errors thrown by event
+     * listeners are reported with the LISTENER_ERROR code, and payloads
+     * rejected by strict validation with VALIDATION_ERROR and their `issues`.
      */
-    log(...args) {
-        if (this.debug) {
-            console.log('[HermesClient]', ...args);
+    class HermesError extends Error {
+        constructor(message, details = {}) {
+            super(message);
+            this.name = 'HermesError';
+            this.status = details.status || null;
+            this.code = details.code || null;
+            this.body = details.body !== undefined ? details.body : null;
+            this.request = details.request || null;
+            
+            if (details.cause) {
+                this.cause = details.cause;
+            }
+            if (details.issues) {
+                this.issues = details.issues;
+            }
         }
     }
-    
+
     /**
-     * Send a notification
+     * Leveled logger with secret redaction
+     * 
+     * Writes to any console-like object (`debug`, `info`, `warn`, `error`).
+     * Known token values, Bearer credentials, `token=` query parameters and
+     * secret-looking object keys are replaced with [REDACTED] first.
      */
-    async sendNotification(options = {}) {
-        const {
-            userId,
-            title,
-            body,
-            sourceSystem = 'web-app',
-            priority = 'normal',
-            channels = ['in_app'],
-            metadata = {}
-        } = options;
+    class Logger {
+        constructor(options = {}) {
+            this.output = options.output || Logger.CONSOLE;
+            this.level = options.level || 'warn';
+            this.prefix = options.prefix || '[HermesClient]';
+            this.secrets = options.secrets || (() => []);
+            this.redactKeys = (options.redactKeys || []).map(key => key.toLowerCase());
+            
+            if (Logger.LEVELS.indexOf(this.level) === -1) {
+                throw new Error(`Unknown log level: ${this.level}`);
+            }
+        }
         
-        if (!userId) {
-            throw new Error('userId is required');
+        debug(...args) {
+            this.write('debug', args);
         }
         
-        if (!title || !body) {
-            throw new Error('title and body are required');
+        info(...args) {
+            this.write('info', args);
         }
         
-        const token = this.appToken;
-        if (!token) {
-            throw new Error('appToken is required for sending notifications');
+        warn(...args) {
+            this.write('warn', args);
         }
         
-        this.log('Sending notification', options);
+        error(...args) {
+            this.write('error', args);
+        }
         
-        const response = await fetch(`${this.baseUrl}/api/notifications/send`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            },
-            body: JSON.stringify({
-                user_id: userId,
-                title,
-                body,
-                source_system: sourceSystem,
-                priority,
-                channels,
-                metadata
-            })
-        });
+        enabled(level) {
+            return Logger.LEVELS.indexOf(level) >= Logger.LEVELS.indexOf(this.level);
+        }
+        
+        write(level, args) {
+            if (!this.enabled(level)) return;
+            
+            const method = this.output[level] || this.output.log;
+            if (typeof method !== 'function') return;
+            
+            // Very short values would redact half the output
+            const secrets = this.secrets().filter(secret => typeof secret === 'string' && secret.length > 3);
+            method.call(this.output, this.prefix, ...args.map(arg => this.redact(arg, secrets, 0)));
+        }
+        
+        /**
+         * Copy `value` with its secrets replaced
+         * 
+         * Plain objects and arrays are copied; errors and class instances are
+         * passed through as they are.
+         */
+        redact(value, secrets, depth) {
+            if (typeof value === 'string') {
+                return this.redactString(value, secrets);
+            }
+            if (!value || typeof value !== 'object') {
+                return value;
+            }
+            if (depth >= 5) {
+                return '[Object]';
+            }
+            if (Array.isArray(value)) {
+                return value.map(item => this.redact(item, secrets, depth + 1));
+            }
+            
+            const prototype = Object.getPrototypeOf(value);
+            if (prototype !== Object.prototype && prototype !== null) {
+                return value;
+            }
+            
+            const copy = {};
+            Object.keys(value).forEach(key => {
+                copy[key] = this.isSecretKey(key)
+                    ? '[REDACTED]'
+                    : this.redact(value[key], secrets, depth + 1);
+            });
+            return copy;
+        }
         
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({ error: 'Unknown error' }));
-            throw new Error(error.error || `HTTP ${response.status}`);
+        isSecretKey(key) {
+            return Logger.SECRET_KEY.test(key) || this.redactKeys.indexOf(key.toLowerCase()) > -1;
         }
         
-        const result = await response.json();
-        this.log('Notification sent', result);
-        return result;
+        redactString(text, secrets) {
+            let result = text
+                .replace(/(Bearer\s+)[^\s"',]+/gi, '$1[REDACTED]')
+                .replace(/([?&][a-z_]*token=)[^&#\s]+/gi, '$1[REDACTED]');
+            
+            secrets.forEach(secret => {
+                result = result.split(secret).join('[REDACTED]');
+            });
+            return result;
+        }
     }
-    
+
     /**
-     * Get notifications for a user
+     * Request and stream metrics
+     * 
+     * Requests are grouped by endpoint (method and path, with ids replaced by
+     * `:id`) and streams by id. `snapshot()` returns plain numbers, ready to
+     * hand to an observability pipeline.
      */
-    async getNotifications(options = {}) {
-        const {
-            userId = this.userId,
-            isRead = null,
-            limit = 20,
-            offset = 0
-        } = options;
+    class Metrics {
+        constructor() {
+            this.startedAt = Date.now();
+            this.requests = new Map();
+            this.streams = new Map();
+        }
         
-        if (!userId) {
-            throw new Error('userId is required');
+        recordRequest(method, path, duration, ok) {
+            const endpoint = Metrics.endpoint(method, path);
+            let entry = this.requests.get(endpoint);
+            
+            if (!entry) {
+                entry = { count: 0, errors: 0, totalMs: 0, maxMs: 0, lastMs: 0 };
+                this.requests.set(endpoint, entry);
+            }
+            
+            entry.count++;
+            if (!ok) entry.errors++;
+            entry.totalMs += duration;
+            entry.maxMs = Math.max(entry.maxMs, duration);
+            entry.lastMs = duration;
         }
         
-        const token = this.profileToken || this.appToken;
-        if (!token) {
-            throw new Error('profileToken or appToken is required');
+        stream(id) {
+            let entry = this.streams.get(id);
+            
+            if (!entry) {
+                entry = {
+                    openedAt: null,
+                    uptimeMs: 0,
+                    connects: 0,
+                    reconnects: 0,
+                    messages: 0,
+                    recent: [],
+                    lastMessageAt: null
+                };
+                this.streams.set(id, entry);
+            }
+            return entry;
         }
         
-        const params = new URLSearchParams({
-            limit: limit.toString(),
-            offset: offset.toString()
-        });
+        streamOpened(id, now = Date.now()) {
+            const entry = this.stream(id);
+            entry.openedAt = now;
+            entry.connects++;
+        }
         
-        if (isRead !== null) {
-            params.append('is_read', isRead.toString());
+        streamClosed(id, now = Date.now()) {
+            const entry = this.stream(id);
+            if (entry.openedAt === null) return;
+            
+            entry.uptimeMs += now - entry.openedAt;
+            entry.openedAt = null;
         }
         
-        this.log('Getting notifications', { userId, params: params.toString() });
+        streamReconnecting(id) {
+            this.stream(id).reconnects++;
+        }
         
-        const response = await fetch(
-            `${this.baseUrl}/api/notifications/user/${userId}?${params}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
+        messageReceived(id, now = Date.now()) {
+            const entry = this.stream(id);
+            entry.messages++;
+            entry.lastMessageAt = now;
+            entry.recent.push(now);
+            Metrics.prune(entry, now);
+        }
+        
+        snapshot(now = Date.now()) {
+            const requests = {};
+            this.requests.forEach((entry, endpoint) => {
+                requests[endpoint] = {
+                    count: entry.count,
+                    errors: entry.errors,
+                    avgMs: Math.round(entry.totalMs / entry.count),
+                    maxMs: entry.maxMs,
+                    lastMs: entry.lastMs
+                };
+            });
+            
+            const streams = {};
+            this.streams.forEach((entry, id) => {
+                const current = entry.openedAt !== null ? now - entry.openedAt : 0;
+                Metrics.prune(entry, now);
+                
+                streams[id] = {
+                    connected: entry.openedAt !== null,
+                    uptimeMs: current,
+                    totalUptimeMs: entry.uptimeMs + current,
+                    connects: entry.connects,
+                    reconnects: entry.reconnects,
+                    messages: entry.messages,
+                    messagesPerMinute: entry.recent.length,
+                    lastMessageAt: entry.lastMessageAt !== null ? new Date(entry.lastMessageAt).toISOString() : null,
+                    lastMessageAgeMs: entry.lastMessageAt !== null ? now - entry.lastMessageAt : null
+                };
+            });
+            
+            return {
+                timestamp: new Date(now).toISOString(),
+                sinceMs: now - this.startedAt,
+                requests,
+                streams
+            };
+        }
+        
+        reset() {
+            this.startedAt = Date.now();
+            this.requests.clear();
+            this.streams.forEach(entry => {
+                entry.uptimeMs = 0;
+                entry.connects = 0;
+                entry.reconnects = 0;
+                entry.messages = 0;
+                entry.recent = [];
+                if (entry.openedAt !== null) entry.openedAt = this.startedAt;
+            });
+        }
+        
+        /**
+         * Drop message timestamps older than the throughput window
+         */
+        static prune(entry, now) {
+            while (entry.recent.length > 0 && now - entry.recent[0] >= 60000) {
+                entry.recent.shift();
             }
-        );
+        }
+        
+        /**
+         * `GET /api/notifications/user/abc/` -> `GET /api/notifications/user/:id/`
+         */
+        static endpoint(method, path) {
+            const segments = path.split(/[?#]/)[0].split('/').map(segment => {
+                return !segment || Metrics.PATH_WORDS.indexOf(segment) > -1 ? segment : ':id';
+            });
+            return `${method} ${segments.join('/')}`;
+        }
+    }
+
+    /**
+     * In-memory key/value storage
+     * 
+     * All storage adapters share the same async interface:
+     * getItem(key), setItem(key, value) and removeItem(key), with
+     * JSON-serializable values.
+     */
+    class MemoryStorage {
+        constructor() {
+            this.data = new Map();
+        }
+        
+        getItemSync(key) {
+            return this.data.has(key) ? JSON.parse(this.data.get(key)) : null;
+        }
+        
+        async getItem(key) {
+            return this.getItemSync(key);
+        }
         
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({ error: 'Unknown error' }));
-            throw new Error(error.error || `HTTP ${response.status}`);
+        async setItem(key, value) {
+            this.data.set(key, JSON.stringify(value));
         }
         
-        const result = await response.json();
-        this.log('Notifications received', result);
-        return result;
+        async removeItem(key) {
+            this.data.delete(key);
+        }
     }
-    
+
     /**
-     * Get unread count
+     * IndexedDB key/value storage for browsers
      */
-    async getUnreadCount(userId = this.userId) {
-        if (!userId) {
-            throw new Error('userId is required');
+    class IndexedDBStorage {
+        constructor(options = {}) {
+            this.dbName = options.dbName || 'hermes-client';
+            this.storeName = options.storeName || 'kv';
+            this.dbPromise = null;
+        }
+        
+        open() {
+            if (!this.dbPromise) {
+                this.dbPromise = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(this.dbName, 1);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore(this.storeName);
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return this.dbPromise;
+        }
+        
+        async run(mode, operation) {
+            const db = await this.open();
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction(this.storeName, mode);
+                const request = operation(transaction.objectStore(this.storeName));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        }
+        
+        async getItem(key) {
+            const value = await this.run('readonly', store => store.get(key));
+            return value === undefined ? null : value;
         }
         
-        const token = this.profileToken || this.appToken;
-        if (!token) {
-            throw new Error('profileToken or appToken is required');
+        async setItem(key, value) {
+            await this.run('readwrite', store => store.put(value, key));
         }
         
-        this.log('Getting unread count', userId);
+        async removeItem(key) {
+            await this.run('readwrite', store => store.delete(key));
+        }
+    }
+
+    /**
+     * JSON file key/value storage for Node.js
+     * 
+     * Every key lives in a single JSON file; writes are serialized.
+     */
+    class FileStorage {
+        constructor(filePath) {
+            if (!filePath) {
+                throw new Error('filePath is required for FileStorage');
+            }
+            
+            // module.require keeps browser bundlers from resolving `fs`
+            this.fs = module.require('fs').promises;
+            this.filePath = filePath;
+            this.writing = Promise.resolve();
+        }
         
-        const response = await fetch(
-            `${this.baseUrl}/api/notifications/user/${userId}/unread-count`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
+        async readAll() {
+            try {
+                return JSON.parse(await this.fs.readFile(this.filePath, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return {};
                 }
+                throw error;
             }
-        );
+        }
+        
+        update(change) {
+            this.writing = this.writing
+                .catch(() => {})
+                .then(async () => {
+                    const data = await this.readAll();
+                    change(data);
+                    await this.fs.writeFile(this.filePath, JSON.stringify(data), 'utf8');
+                });
+            return this.writing;
+        }
         
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
+        async getItem(key) {
+            await this.writing.catch(() => {});
+            const data = await this.readAll();
+            return data[key] !== undefined ? data[key] : null;
         }
         
-        const result = await response.json();
-        this.log('Unread count', result);
-        return result.count || 0;
+        async setItem(key, value) {
+            await this.update(data => {
+                data[key] = value;
+            });
+        }
+        
+        async removeItem(key) {
+            await this.update(data => {
+                delete data[key];
+            });
+        }
     }
-    
+
     /**
-     * Mark notification as read
+     * localStorage (or sessionStorage) key/value storage for browsers
+     * 
+     * Also readable synchronously, so a cache can hydrate before first render.
      */
-    async markAsRead(notificationId) {
-        if (!notificationId) {
-            throw new Error('notificationId is required');
+    class WebStorage {
+        constructor(storage) {
+            this.storage = storage || window.localStorage;
         }
         
-        const token = this.profileToken || this.appToken;
-        if (!token) {
-            throw new Error('profileToken or appToken is required');
+        getItemSync(key) {
+            const value = this.storage.getItem(key);
+            return value === null ? null : JSON.parse(value);
         }
         
-        this.log('Marking as read', notificationId);
-        
-        const response = await fetch(
-            `${this.baseUrl}/api/notifications/${notificationId}/read`,
-            {
-                method: 'PATCH',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            }
-        );
+        async getItem(key) {
+            return this.getItemSync(key);
+        }
         
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
+        async setItem(key, value) {
+            this.storage.setItem(key, JSON.stringify(value));
         }
         
-        const result = await response.json();
-        this.log('Marked as read', result);
-        return result;
+        async removeItem(key) {
+            this.storage.removeItem(key);
+        }
     }
-    
+
     /**
-     * Mark all notifications as read
+     * Persistent queue of mutations made while offline
+     * 
+     * Entries are replayed strictly in order. A network failure stops the
+     * flush and keeps the entry for the next one; a rejection by the server
+     * drops the entry and reports it through `outboxFailed`.
      */
-    async markAllAsRead(userId = this.userId) {
-        if (!userId) {
-            throw new Error('userId is required');
+    class Outbox {
+        constructor(client, options = {}) {
+            this.client = client;
+            this.storage = options.storage || Outbox.defaultStorage();
+            this.key = options.key || `hermes:outbox:${client.baseUrl}`;
+            this.maxAttempts = options.maxAttempts || 10;
+            this.entries = [];
+            this.flushing = null;
+            this.ready = this.load();
+        }
+        
+        static defaultStorage() {
+            if (typeof indexedDB !== 'undefined') {
+                return new IndexedDBStorage();
+            }
+            return new MemoryStorage();
+        }
+        
+        async load() {
+            try {
+                const stored = await this.storage.getItem(this.key);
+                // Keep anything queued before the stored entries finished loading
+                this.entries = (stored || []).concat(this.entries);
+            } catch (error) {
+                this.client.logger.warn('Could not load outbox', error);
+            }
+        }
+        
+        async save() {
+            try {
+                await this.storage.setItem(this.key, this.entries);
+            } catch (error) {
+                this.client.logger.warn('Could not persist outbox', error);
+            }
+        }
+        
+        get size() {
+            return this.entries.length;
         }
         
-        const token = this.profileToken || this.appToken;
-        if (!token) {
-            throw new Error('profileToken or appToken is required');
+        /**
+         * Get a copy of the queued entries
+         */
+        getEntries() {
+            return this.entries.slice();
         }
         
-        this.log('Marking all as read', userId);
+        /**
+         * Queue a mutation
+         */
+        async enqueue(entry) {
+            await this.ready;
+            
+            const queued = {
+                id: HermesClient.generateId(),
+                createdAt: new Date().toISOString(),
+                attempts: 0,
+                ...entry
+            };
+            
+            this.entries.push(queued);
+            await this.save();
+            
+            this.client.log('Mutation queued', queued);
+            this.client.emit('outboxQueued', queued);
+            
+            return {
+                queued: true,
+                id: queued.id,
+                idempotencyKey: queued.idempotencyKey
+            };
+        }
         
-        const response = await fetch(
-            `${this.baseUrl}/api/notifications/user/${userId}/read-all`,
-            {
-                method: 'PATCH',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
+        /**
+         * Replay queued mutations in order
+         * 
+         * Concurrent calls share the same flush.
+         */
+        flush() {
+            if (!this.flushing) {
+                this.flushing = this.run().finally(() => {
+                    this.flushing = null;
+                });
             }
-        );
+            return this.flushing;
+        }
         
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
+        async run() {
+            await this.ready;
+            
+            while (this.entries.length > 0) {
+                const entry = this.entries[0];
+                entry.attempts++;
+                
+                try {
+                    const result = await this.client.executeMutation(entry);
+                    this.entries.shift();
+                    await this.save();
+                    this.client.emit('outboxFlushed', { entry, result });
+                    this.client.settleMutation(entry, null, result);
+                } catch (error) {
+                    const transient = error.code === 'NETWORK_ERROR' ||
+                        error.code === 'TIMEOUT' ||
+                        error.status >= 500;
+                    
+                    if (transient && entry.attempts < this.maxAttempts) {
+                        this.client.log('Outbox flush paused', error);
+                        await this.save();
+                        return;
+                    }
+                    
+                    this.entries.shift();
+                    await this.save();
+                    this.client.emit('outboxFailed', { entry, error });
+                    this.client.settleMutation(entry, error);
+                }
+            }
         }
         
-        const result = await response.json();
-        this.log('All marked as read', result);
-        return result;
+        /**
+         * Drop every queued mutation
+         */
+        async clear() {
+            await this.ready;
+            this.entries = [];
+            await this.storage.removeItem(this.key);
+        }
     }
-    
+
     /**
-     * Connect to SSE for real-time notifications
+     * Persistent copy of the local store, for instant rendering on page load
+     * 
+     * The last known notifications and unread count of `userId` are loaded
+     * into the store on startup (synchronously with localStorage), then
+     * revalidated against the server in the background. Every store change is
+     * written back; entries older than `maxAge` are ignored.
      */
-    connectSSE(userId = this.userId) {
-        if (!userId) {
-            throw new Error('userId is required for SSE connection');
+    class NotificationCache {
+        constructor(client, options = {}) {
+            this.client = client;
+            this.storage = options.storage || NotificationCache.defaultStorage();
+            this.key = options.key || `hermes:cache:${client.baseUrl}:${client.userId}`;
+            this.maxItems = options.maxItems || 50;
+            this.maxAge = options.maxAge || 24 * 60 * 60 * 1000;
+            this.revalidateOnStart = options.revalidate !== false;
+            this.hydratedIds = new Set();
+            this.hydratedAt = null;
+            this.revalidatedAt = null;
+            this.hydrating = false;
+            this.pending = false;
+            this.ready = null;
+            this.writing = null;
+            this.revalidating = null;
+            this.unsubscribe = null;
         }
         
-        const token = this.profileToken;
-        if (!token) {
-            throw new Error('profileToken is required for SSE connection');
+        static defaultStorage() {
+            if (typeof window !== 'undefined' && window.localStorage) {
+                return new WebStorage(window.localStorage);
+            }
+            if (typeof indexedDB !== 'undefined') {
+                return new IndexedDBStorage();
+            }
+            return new MemoryStorage();
         }
         
-        if (this.eventSource) {
-            this.log('SSE already connected, disconnecting first');
-            this.disconnectSSE();
+        /**
+         * Hydrate the store, start persisting it and revalidate
+         */
+        start() {
+            this.ready = this.hydrate();
+            this.writing = this.ready;
+            this.unsubscribe = this.client.store.subscribe(() => this.schedule());
+            
+            if (this.revalidateOnStart) {
+                this.revalidating = this.ready.then(() => this.revalidate());
+            }
+            return this.ready;
         }
         
-        const sseUrl = `${this.baseUrl}/sse/notifications/${userId}/?token=${token}`;
-        this.log('Connecting to SSE', sseUrl);
+        stop() {
+            if (this.unsubscribe) {
+                this.unsubscribe();
+                this.unsubscribe = null;
+            }
+        }
         
-        this.eventSource = new EventSource(sseUrl);
+        hydrate() {
+            if (typeof this.storage.getItemSync === 'function') {
+                try {
+                    this.apply(this.storage.getItemSync(this.key));
+                } catch (error) {
+                    this.client.logger.warn('Could not load cache', error);
+                }
+                return Promise.resolve();
+            }
+            
+            return this.storage.getItem(this.key)
+                .then(entry => this.apply(entry))
+                .catch(error => this.client.logger.warn('Could not load cache', error));
+        }
         
-        this.eventSource.onopen = () => {
-            this.log('SSE connection opened');
-            this.isConnected = true;
-            this.reconnectAttempts = 0;
-            this.emit('connected', { userId });
-        };
+        apply(entry) {
+            if (!entry || !Array.isArray(entry.notifications)) return;
+            
+            if (!(Date.now() - entry.savedAt < this.maxAge)) {
+                this.client.log('Cache expired');
+                this.storage.removeItem(this.key).catch(() => {});
+                return;
+            }
+            
+            const notifications = entry.notifications.slice(0, this.maxItems);
+            notifications.forEach(notification => this.hydratedIds.add(String(notification.id)));
+            
+            // Loading the cache is not a change worth writing back
+            this.hydrating = true;
+            try {
+                this.client.store.hydrate(notifications, entry.unreadCount);
+            } finally {
+                this.hydrating = false;
+            }
+            
+            this.hydratedAt = entry.savedAt;
+            this.client.log(`Hydrated ${notifications.length} notification(s) from the cache`);
+        }
         
-        this.eventSource.onmessage = (event) => {
+        /**
+         * Replace the cached data with the server's
+         * 
+         * Cached notifications missing from the fresh first page were deleted
+         * or archived meanwhile and are dropped.
+         */
+        async revalidate() {
+            const client = this.client;
+            
             try {
-                const data = JSON.parse(event.data);
-                this.log('SSE message received', data);
+                const [page, count] = await Promise.all([
+                    client.fetchNotifications({ userId: client.userId, limit: this.maxItems }),
+                    client.getUnreadCount(client.userId)
+                ]);
+                const results = (page && page.results) || [];
                 
-                if (data.type === 'notification') {
-                    this.emit('notification', data);
-                } else if (data.type === 'unread_count') {
-                    this.emit('unreadCount', data.count);
-                } else if (data.type === 'connected') {
-                    this.emit('connected', data);
-                }
+                client.store.remove(this.missingIds(results));
+                client.store.upsert(results);
+                client.store.setUnreadCount(count);
+                
+                this.hydratedIds.clear();
+                this.revalidatedAt = Date.now();
+                client.log('Cache revalidated');
             } catch (error) {
-                this.log('Error parsing SSE message', error);
+                client.logger.warn('Could not revalidate cache', error);
             }
-        };
+        }
         
-        this.eventSource.onerror = (error) => {
-            this.log('SSE error', error);
-            this.isConnected = false;
-            this.emit('error', error);
-            this.emit('disconnected', { reason: 'error' });
-
-            // Auto-reconnect
-            if (this.reconnectAttempts < this.maxReconnectAttempts) {
-                this.reconnectAttempts++;
-                this.log(`Reconnecting in ${this.reconnectDelay}ms (attempt ${this.reconnectAttempts})`);
-                setTimeout(() => this.connectSSE(userId), this.reconnectDelay);
-            } else {
-                this.log('Max reconnect attempts reached');
+        missingIds(results) {
+            const fresh = new Set(results.map(notification => String(notification.id)));
+            const oldest = results[results.length - 1];
+            const complete = results.length < this.maxItems;
+            
+            return Array.from(this.hydratedIds).filter(id => {
+                const cached = this.client.store.get(id);
+                if (!cached || fresh.has(id)) return false;
+                // Older than the fresh page may simply be on the next one
+                return complete || NotificationStore.compare(cached, oldest) < 0;
+            });
+        }
+        
+        /**
+         * Write the store after the current burst of changes
+         */
+        schedule() {
+            if (this.hydrating || this.pending) return;
+            
+            this.pending = true;
+            this.writing = this.writing.then(() => {
+                this.pending = false;
+                return this.save();
+            });
+        }
+        
+        async save() {
+            const store = this.client.store;
+            const { notifications, unreadCount } = store.getSnapshot();
+            
+            try {
+                await this.storage.setItem(this.key, {
+                    savedAt: Date.now(),
+                    notifications: notifications.slice(0, this.maxItems),
+                    unreadCount: store.hasServerCount ? unreadCount : null
+                });
+            } catch (error) {
+                this.client.logger.warn('Could not persist cache', error);
             }
-        };
+        }
+        
+        /**
+         * Delete the cached copy (after any pending write)
+         */
+        clear() {
+            this.hydratedIds.clear();
+            this.writing = this.writing
+                .then(() => this.storage.removeItem(this.key))
+                .catch(error => this.client.logger.warn('Could not clear cache', error));
+            return this.writing;
+        }
     }
 
     /**
-     * Disconnect from SSE
+     * Cross-tab coordination for a shared SSE connection
+     * 
+     * Tabs talk over a BroadcastChannel (or `storage` events where it is not
+     * available) and elect a single leader that owns the stream. The leader
+     * sends heartbeats; when they stop, or the leader resigns on page hide,
+     * the remaining tabs elect a new one. The lowest tab id wins an election.
      */
-    disconnectSSE() {
-        if (this.eventSource) {
-            this.log('Disconnecting SSE');
-            this.eventSource.close();
-            this.eventSource = null;
-            this.isConnected = false;
-            this.emit('disconnected', { reason: 'manual' });
+    class TabCoordinator {
+        constructor(client, options = {}) {
+            this.client = client;
+            this.channelName = options.channelName;
+            this.heartbeatInterval = options.heartbeatInterval || 1000;
+            this.leaseTimeout = options.leaseTimeout || 3000;
+            this.electionDelay = options.electionDelay || 200;
+            this.onBecomeLeader = options.onBecomeLeader || (() => {});
+            this.onLoseLeadership = options.onLoseLeadership || (() => {});
+            this.onMessage = options.onMessage || (() => {});
+            
+            this.tabId = HermesClient.generateId();
+            this.isLeader = false;
+            this.leaderId = null;
+            this.lastHeartbeat = 0;
+            this.candidates = null;
+            this.timer = null;
+            this.electionTimer = null;
+            this.claimTimer = null;
+            this.stopped = false;
+            this.channel = null;
+            this.storageListener = null;
+            this.unloadListener = null;
+        }
+        
+        start() {
+            if (this.timer) return;
+            this.stopped = false;
+            
+            if (typeof BroadcastChannel !== 'undefined') {
+                this.channel = new BroadcastChannel(this.channelName);
+                this.channel.onmessage = (event) => this.receive(event.data);
+            } else if (typeof window !== 'undefined' && window.localStorage) {
+                this.storageListener = (event) => {
+                    if (event.key === this.channelName && event.newValue) {
+                        this.receive(JSON.parse(event.newValue).message);
+                    }
+                };
+                window.addEventListener('storage', this.storageListener);
+            }
+            
+            if (typeof window !== 'undefined' && window.addEventListener) {
+                this.unloadListener = () => this.resign();
+                window.addEventListener('pagehide', this.unloadListener);
+            }
+            
+            this.timer = setInterval(() => this.tick(), this.heartbeatInterval);
+            
+            // A running leader answers right away; otherwise elect one
+            this.post({ type: 'hello' });
+            this.electionTimer = setTimeout(() => {
+                this.electionTimer = null;
+                if (!this.leaderId) {
+                    this.elect();
+                }
+            }, this.electionDelay);
+        }
+        
+        stop() {
+            this.resign();
+            
+            // A pending election must not make a stopped tab the leader
+            this.stopped = true;
+            clearInterval(this.timer);
+            clearTimeout(this.electionTimer);
+            clearTimeout(this.claimTimer);
+            this.timer = null;
+            this.electionTimer = null;
+            this.claimTimer = null;
+            this.candidates = null;
+            
+            if (this.channel) {
+                this.channel.close();
+                this.channel = null;
+            }
+            if (this.storageListener) {
+                window.removeEventListener('storage', this.storageListener);
+                this.storageListener = null;
+            }
+            if (this.unloadListener) {
+                window.removeEventListener('pagehide', this.unloadListener);
+                this.unloadListener = null;
+            }
+        }
+        
+        /**
+         * Send a message to every other tab
+         */
+        post(message) {
+            const envelope = { ...message, from: this.tabId };
+            
+            if (this.channel) {
+                this.channel.postMessage(envelope);
+            } else if (this.storageListener) {
+                // The nonce makes repeated messages fire a storage event
+                const value = JSON.stringify({ message: envelope, nonce: Math.random() });
+                window.localStorage.setItem(this.channelName, value);
+                window.localStorage.removeItem(this.channelName);
+            }
+        }
+        
+        receive(message) {
+            if (this.stopped || !message || message.from === this.tabId) return;
+            
+            switch (message.type) {
+                case 'hello':
+                    if (this.isLeader) {
+                        this.post({ type: 'heartbeat' });
+                    }
+                    break;
+                case 'heartbeat':
+                    this.handleHeartbeat(message.from);
+                    break;
+                case 'claim':
+                    if (this.isLeader) {
+                        this.post({ type: 'heartbeat' });
+                    } else if (this.candidates) {
+                        this.candidates.push(message.from);
+                    } else if (!this.leaderId) {
+                        this.elect();
+                        this.candidates.push(message.from);
+                    }
+                    break;
+                case 'resign':
+                    if (this.leaderId === message.from) {
+                        this.leaderId = null;
+                        this.elect();
+                    }
+                    break;
+                default:
+                    this.onMessage(message);
+            }
+        }
+        
+        handleHeartbeat(from) {
+            if (this.isLeader) {
+                // Two leaders after a split: the lowest id keeps the role
+                if (from > this.tabId) {
+                    this.post({ type: 'heartbeat' });
+                    return;
+                }
+                this.stepDown();
+            }
+            
+            this.leaderId = from;
+            this.lastHeartbeat = Date.now();
+        }
+        
+        tick() {
+            if (this.isLeader) {
+                this.post({ type: 'heartbeat' });
+            } else if (this.leaderId && Date.now() - this.lastHeartbeat > this.leaseTimeout) {
+                this.client.log('Leader tab timed out');
+                this.leaderId = null;
+                this.elect();
+            }
+        }
+        
+        elect() {
+            if (this.stopped || this.candidates || this.isLeader) return;
+            
+            this.candidates = [this.tabId];
+            this.post({ type: 'claim' });
+            
+            this.claimTimer = setTimeout(() => {
+                this.claimTimer = null;
+                const winner = this.candidates.sort()[0];
+                this.candidates = null;
+                
+                if (this.leaderId) {
+                    return;
+                }
+                
+                if (winner === this.tabId) {
+                    this.becomeLeader();
+                } else {
+                    // Give the winner a full lease to announce itself
+                    this.leaderId = winner;
+                    this.lastHeartbeat = Date.now();
+                }
+            }, this.electionDelay);
+        }
+        
+        becomeLeader() {
+            if (this.stopped) return;
+            
+            this.client.log('This tab is now the leader');
+            this.isLeader = true;
+            this.leaderId = this.tabId;
+            this.post({ type: 'heartbeat' });
+            this.onBecomeLeader();
+        }
+        
+        stepDown() {
+            this.client.log('This tab is no longer the leader');
+            this.isLeader = false;
+            this.onLoseLeadership();
+        }
+        
+        resign() {
+            if (this.isLeader) {
+                this.post({ type: 'resign' });
+                this.isLeader = false;
+                this.leaderId = null;
+                this.onLoseLeadership();
+            }
         }
     }
 
     /**
-     * Event listener management
+     * Native browser notifications and Web Push
+     * 
+     * Shows live notifications through the Notification API when they match
+     * the priority rules, and optionally registers a service worker (see
+     * hermes-sw.js) with a Push subscription so notifications also arrive
+     * while no tab is open. Clicks on either kind come back to the page as
+     * `notificationClick` events.
      */
-    on(event, callback) {
-        if (!this.listeners[event]) {
-            this.listeners[event] = [];
+    class BrowserNotifications {
+        constructor(client, options = {}) {
+            this.client = client;
+            this.priorities = options.priorities || ['high', 'urgent'];
+            this.filter = options.filter || null;
+            this.showWhenVisible = options.showWhenVisible || false;
+            this.requireInteraction = options.requireInteraction || ['urgent'];
+            this.icon = options.icon || null;
+            this.badge = options.badge || null;
+            this.serviceWorker = options.serviceWorker || null;
+            this.scope = options.scope || undefined;
+            this.vapidPublicKey = options.vapidPublicKey || null;
+            this.subscriptionPath = options.subscriptionPath || '/api/notifications/push/subscriptions';
+            
+            this.registration = null;
+            this.messageListener = null;
         }
-        this.listeners[event].push(callback);
-        this.log(`Listener added for event: ${event}`);
-    }
-
-    off(event, callback) {
-        if (!this.listeners[event]) return;
-
-        const index = this.listeners[event].indexOf(callback);
-        if (index > -1) {
-            this.listeners[event].splice(index, 1);
-            this.log(`Listener removed for event: ${event}`);
+        
+        static isSupported() {
+            return typeof window !== 'undefined' && 'Notification' in window;
         }
-    }
-
-    emit(event, data) {
-        if (!this.listeners[event]) return;
-
-        this.listeners[event].forEach(callback => {
+        
+        static isPushSupported() {
+            return typeof navigator !== 'undefined' && 'serviceWorker' in navigator &&
+                typeof window !== 'undefined' && 'PushManager' in window;
+        }
+        
+        get permission() {
+            return BrowserNotifications.isSupported() ? window.Notification.permission : 'denied';
+        }
+        
+        /**
+         * Ask the user for permission; call it from a user gesture
+         */
+        async requestPermission() {
+            if (!BrowserNotifications.isSupported()) return 'denied';
+            if (window.Notification.permission !== 'default') {
+                return window.Notification.permission;
+            }
+            return window.Notification.requestPermission();
+        }
+        
+        /**
+         * Listen for clicks and subscription changes reported by the service worker
+         */
+        start() {
+            if (this.messageListener || typeof navigator === 'undefined' || !navigator.serviceWorker) {
+                return;
+            }
+            
+            this.messageListener = (event) => {
+                const message = event.data || {};
+                
+                if (message.type === 'hermes:notificationclick') {
+                    this.client.emit('notificationClick', {
+                        notification: message.notification,
+                        action: message.action || null
+                    });
+                } else if (message.type === 'hermes:pushsubscriptionchange') {
+                    this.subscribe().catch(error => this.client.logger.warn('Push resubscribe failed', error));
+                }
+            };
+            navigator.serviceWorker.addEventListener('message', this.messageListener);
+            
+            // Deliver a click that opened this page
+            navigator.serviceWorker.ready
+                .then(registration => registration.active && registration.active.postMessage({ type: 'hermes:ready' }))
+                .catch(() => {});
+        }
+        
+        stop() {
+            if (this.messageListener) {
+                navigator.serviceWorker.removeEventListener('message', this.messageListener);
+                this.messageListener = null;
+            }
+        }
+        
+        /**
+         * Whether a live notification should be shown natively
+         */
+        shouldShow(notification) {
+            if (this.permission !== 'granted') return false;
+            
+            if (!this.showWhenVisible && typeof document !== 'undefined' && document.visibilityState === 'visible') {
+                return false;
+            }
+            
+            if (this.filter) {
+                return !!this.filter(notification);
+            }
+            return this.priorities.indexOf(notification.priority || 'normal') > -1;
+        }
+        
+        /**
+         * Show a notification natively if the rules allow it
+         */
+        async notify(notification) {
+            if (!this.shouldShow(notification)) return;
+            
+            const options = {
+                body: notification.body,
+                // Same tag as the push message, so the OS shows it only once
+                tag: notification.id !== undefined ? String(notification.id) : undefined,
+                requireInteraction: this.requireInteraction.indexOf(notification.priority) > -1,
+                data: { notification }
+            };
+            if (this.icon) options.icon = this.icon;
+            if (this.badge) options.badge = this.badge;
+            
             try {
-                callback(data);
+                if (this.registration) {
+                    await this.registration.showNotification(notification.title, options);
+                    return;
+                }
+                
+                const native = new window.Notification(notification.title, options);
+                native.onclick = () => {
+                    window.focus();
+                    native.close();
+                    this.client.emit('notificationClick', { notification, action: null });
+                };
             } catch (error) {
-                this.log(`Error in ${event} listener`, error);
+                this.client.logger.warn('Browser notification failed', error);
             }
-        });
+        }
+        
+        /**
+         * Register the service worker
+         */
+        async register() {
+            if (!this.serviceWorker) {
+                throw new Error('browserNotifications.serviceWorker is required for Web Push');
+            }
+            if (!BrowserNotifications.isPushSupported()) {
+                throw new Error('Web Push is not supported in this browser');
+            }
+            
+            if (!this.registration) {
+                this.registration = await navigator.serviceWorker.register(this.serviceWorker, { scope: this.scope });
+                this.client.log('Service worker registered', this.registration.scope);
+            }
+            return this.registration;
+        }
+        
+        /**
+         * Subscribe to Web Push and send the subscription to the Hermes server
+         */
+        async subscribe(userId = this.client.userId) {
+            if (!this.vapidPublicKey) {
+                throw new Error('browserNotifications.vapidPublicKey is required for Web Push');
+            }
+            if (await this.requestPermission() !== 'granted') {
+                throw new Error('Notification permission was not granted');
+            }
+            
+            const registration = await this.register();
+            const subscription = await registration.pushManager.getSubscription() ||
+                await registration.pushManager.subscribe({
+                    userVisibleOnly: true,
+                    applicationServerKey: BrowserNotifications.decodeKey(this.vapidPublicKey)
+                });
+            
+            await this.client.request('POST', this.subscriptionPath, {
+                body: {
+                    user_id: userId,
+                    subscription: subscription.toJSON(),
+                    user_agent: typeof navigator !== 'undefined' ? navigator.userAgent : undefined
+                },
+                idempotent: true
+            });
+            
+            this.client.log('Push subscription saved');
+            this.client.emit('pushSubscribed', { subscription, userId });
+            return subscription;
+        }
+        
+        /**
+         * Remove the Push subscription here and on the server
+         */
+        async unsubscribe(userId = this.client.userId) {
+            const registration = this.registration || await this.register();
+            const subscription = await registration.pushManager.getSubscription();
+            if (!subscription) return false;
+            
+            await this.client.request('DELETE', this.subscriptionPath, {
+                body: { user_id: userId, endpoint: subscription.endpoint }
+            });
+            await subscription.unsubscribe();
+            
+            this.client.log('Push subscription removed');
+            return true;
+        }
+        
+        /**
+         * Decode a base64url VAPID key
+         */
+        static decodeKey(key) {
+            const padded = (key + '='.repeat((4 - key.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+            const raw = atob(padded);
+            const bytes = new Uint8Array(raw.length);
+            for (let i = 0; i < raw.length; i++) {
+                bytes[i] = raw.charCodeAt(i);
+            }
+            return bytes;
+        }
     }
 
     /**
-     * Get connection status
+     * Local notification store
+     * 
+     * Single source of truth for notifications received over SSE and fetched
+     * through the REST API. Items are de-duplicated by `id`, ordered by
+     * `created_at` (newest first) and kept in sync with read-state changes.
+     * 
+     * Snapshots are immutable: a new object is produced on every change, so
+     * they can be compared by reference (e.g. React's useSyncExternalStore).
      */
-    getStatus() {
-        return {
-            isConnected: this.isConnected,
-            reconnectAttempts: this.reconnectAttempts,
-            hasEventSource: !!this.eventSource
-        };
-    }
-}
-
-// Export for different module systems
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = HermesClient;
-}
-if (typeof window !== 'undefined') {
-    window.HermesClient = HermesClient;
-}
-
+    class NotificationStore {
+        constructor(options = {}) {
+            this.limit = options.limit || 500;
+            // Reports subscriber errors; the client passes its logger
+            this.onError = options.onError || ((error) => {
+                if (typeof console !== 'undefined') {
+                    console.error('[HermesClient] Error in store subscriber', error);
+                }
+            });
+            this.items = new Map();
+            this.unreadCount = 0;
+            this.hasServerCount = false;
+            this.subscribers = [];
+            this.snapshot = this.buildSnapshot();
+        }
+        
+        /**
+         * Compare two notifications, newest first
+         */
+        static compare(a, b) {
+            const timeA = Date.parse(a.created_at) || 0;
+            const timeB = Date.parse(b.created_at) || 0;
+            if (timeA !== timeB) {
+                return timeB - timeA;
+            }
+            return String(b.id).localeCompare(String(a.id));
+        }
+        
+        /**
+         * Field equality; arrays and objects (channels, metadata) by content
+         */
+        static sameValue(a, b) {
+            if (a === b) return true;
+            if (a && b && typeof a === 'object' && typeof b === 'object') {
+                return JSON.stringify(a) === JSON.stringify(b);
+            }
+            return false;
+        }
+        
+        /**
+         * Merge notifications into the store
+         * 
+         * Returns the notifications that were not known before.
+         */
+        upsert(notifications, options = {}) {
+            const list = Array.isArray(notifications) ? notifications : [notifications];
+            const added = [];
+            let changed = false;
+            
+            list.forEach(notification => {
+                if (!notification || notification.id === undefined || notification.id === null) {
+                    return;
+                }
+                
+                const key = String(notification.id);
+                const existing = this.items.get(key);
+                
+                if (existing) {
+                    const merged = { ...existing, ...notification };
+                    if (Object.keys(merged).some(field => !NotificationStore.sameValue(merged[field], existing[field]))) {
+                        this.items.set(key, merged);
+                        changed = true;
+                    }
+                } else {
+                    this.items.set(key, notification);
+                    added.push(notification);
+                    changed = true;
+                    
+                    // Pushed notifications are new to the server count as well
+                    if (options.live && this.hasServerCount && !notification.is_read) {
+                        this.unreadCount++;
+                    }
+                }
+            });
+            
+            if (changed) {
+                this.trim();
+                this.commit();
+            }
+            
+            return added;
+        }
+        
+        /**
+         * Set the unread count reported by the server
+         */
+        setUnreadCount(count) {
+            const value = Math.max(0, Number(count) || 0);
+            this.hasServerCount = true;
+            
+            if (value !== this.unreadCount) {
+                this.unreadCount = value;
+                this.commit();
+            }
+        }
+        
+        /**
+         * Apply a read-state change to the given notification ids
+         */
+        markRead(ids) {
+            let changed = false;
+            
+            ids.forEach(id => {
+                const key = String(id);
+                const existing = this.items.get(key);
+                
+                if (existing && !existing.is_read) {
+                    this.items.set(key, { ...existing, is_read: true });
+                    if (this.hasServerCount) {
+                        this.unreadCount = Math.max(0, this.unreadCount - 1);
+                    }
+                    changed = true;
+                }
+            });
+            
+            if (changed) {
+                this.commit();
+            }
+        }
+        
+        /**
+         * Mark every stored notification as read
+         */
+        markAllRead() {
+            this.items.forEach((notification, key) => {
+                if (!notification.is_read) {
+                    this.items.set(key, { ...notification, is_read: true });
+                }
+            });
+            this.hasServerCount = true;
+            this.unreadCount = 0;
+            this.commit();
+        }
+        
+        /**
+         * Mark the given notification ids as unread again
+         */
+        markUnread(ids) {
+            let changed = false;
+            
+            ids.forEach(id => {
+                const key = String(id);
+                const existing = this.items.get(key);
+                
+                if (existing && existing.is_read) {
+                    this.items.set(key, { ...existing, is_read: false });
+                    if (this.hasServerCount) {
+                        this.unreadCount++;
+                    }
+                    changed = true;
+                }
+            });
+            
+            if (changed) {
+                this.commit();
+            }
+        }
+        
+        /**
+         * Remove the given notification ids (deleted or archived)
+         */
+        remove(ids) {
+            let changed = false;
+            
+            ids.forEach(id => {
+                const key = String(id);
+                const existing = this.items.get(key);
+                
+                if (existing) {
+                    this.items.delete(key);
+                    if (this.hasServerCount && !existing.is_read) {
+                        this.unreadCount = Math.max(0, this.unreadCount - 1);
+                    }
+                    changed = true;
+                }
+            });
+            
+            if (changed) {
+                this.commit();
+            }
+        }
+        
+        /**
+         * Put notifications and the unread count back to an earlier state
+         * 
+         * Used to undo an optimistic change; notifications removed since then
+         * stay removed.
+         */
+        restore(notifications, unreadCount, hasServerCount) {
+            notifications.forEach(notification => {
+                const key = String(notification.id);
+                if (this.items.has(key)) {
+                    this.items.set(key, notification);
+                }
+            });
+            this.unreadCount = unreadCount;
+            this.hasServerCount = hasServerCount;
+            this.commit();
+        }
+        
+        /**
+         * Load cached notifications and unread count
+         * 
+         * Anything already in the store is fresher and wins.
+         */
+        hydrate(notifications, unreadCount) {
+            notifications.forEach(notification => {
+                const key = String(notification.id);
+                if (!this.items.has(key)) {
+                    this.items.set(key, notification);
+                }
+            });
+            
+            if (!this.hasServerCount && typeof unreadCount === 'number') {
+                this.unreadCount = unreadCount;
+                this.hasServerCount = true;
+            }
+            
+            this.trim();
+            this.commit();
+        }
+        
+        /**
+         * Get a single notification by id
+         */
+        get(id) {
+            return this.items.get(String(id)) || null;
+        }
+        
+        /**
+         * Remove every notification and reset the unread count
+         */
+        clear() {
+            this.items.clear();
+            this.unreadCount = 0;
+            this.hasServerCount = false;
+            this.commit();
+        }
+        
+        /**
+         * Drop the oldest notifications above the configured limit
+         */
+        trim() {
+            if (this.items.size <= this.limit) return;
+            
+            const sorted = Array.from(this.items.values()).sort(NotificationStore.compare);
+            sorted.slice(this.limit).forEach(notification => {
+                this.items.delete(String(notification.id));
+            });
+        }
+        
+        buildSnapshot() {
+            const notifications = Array.from(this.items.values()).sort(NotificationStore.compare);
+            
+            // Without a server count, the local list is the best estimate
+            const unreadCount = this.hasServerCount
+                ? this.unreadCount
+                : notifications.filter(n => !n.is_read).length;
+            
+            return Object.freeze({
+                notifications: Object.freeze(notifications),
+                unreadCount
+            });
+        }
+        
+        commit() {
+            this.snapshot = this.buildSnapshot();
+            this.subscribers.slice().forEach(listener => {
+                try {
+                    listener(this.snapshot);
+                } catch (error) {
+                    // A broken subscriber must not prevent the others from rendering
+                    this.onError(error);
+                }
+            });
+        }
+        
+        /**
+         * Subscribe to store changes
+         * 
+         * Returns a function that removes the listener.
+         */
+        subscribe(listener) {
+            this.subscribers.push(listener);
+            return () => {
+                const index = this.subscribers.indexOf(listener);
+                if (index > -1) {
+                    this.subscribers.splice(index, 1);
+                }
+            };
+        }
+        
+        /**
+         * Get the current immutable snapshot
+         */
+        getSnapshot() {
+            return this.snapshot;
+        }
+    }
+
+    /**
+     * Named notification templates
+     * 
+     * A template has a `title` and `body` with `{{variables}}` (dotted paths
+     * like `{{order.id}}` work), default sendNotification() fields, and
+     * per-locale overrides under `locales`. Locales fall back from 'pt-BR' to
+     * 'pt' to the template itself.
+     * 
+     * Plurals pick a form by the number's plural category in the locale:
+     * `{{count|one:# item|other:# items}}`, with `=0:` for exact values and
+     * `#` for the formatted number. Unlabelled forms are 'one' and 'other',
+     * so `{{count|# item|# items}}` is the short version.
+     */
+    class TemplateRegistry {
+        constructor(templates = {}, options = {}) {
+            this.locale = options.locale || 'en';
+            this.templates = {};
+            
+            Object.keys(templates).forEach(name => this.register(name, templates[name]));
+        }
+        
+        /**
+         * Register (or replace) a template
+         */
+        register(name, template) {
+            if (!template || typeof template.title !== 'string' || typeof template.body !== 'string') {
+                throw new Error(`Template ${name} needs a title and a body`);
+            }
+            this.templates[name] = template;
+        }
+        
+        has(name) {
+            return Object.prototype.hasOwnProperty.call(this.templates, name);
+        }
+        
+        /**
+         * Render a template: its default fields plus the rendered title and body
+         * 
+         * Throws when the template is unknown or a variable is missing.
+         */
+        render(name, vars = {}, locale = this.locale) {
+            if (!this.has(name)) {
+                throw new Error(`Unknown template: ${name}`);
+            }
+            
+            const { locales = {}, ...template } = this.templates[name];
+            const variant = locales[locale] || locales[locale.split('-')[0]] || {};
+            const fields = { ...template, ...variant };
+            
+            return {
+                ...fields,
+                title: TemplateRegistry.interpolate(fields.title, vars, locale, name),
+                body: TemplateRegistry.interpolate(fields.body, vars, locale, name)
+            };
+        }
+        
+        static interpolate(text, vars, locale, name) {
+            return text.replace(/\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g, (match, path, forms) => {
+                const value = path.split('.').reduce(
+                    (scope, key) => (scope !== null && scope !== undefined ? scope[key] : undefined),
+                    vars
+                );
+                if (value === undefined || value === null) {
+                    throw new Error(`Missing variable "${path}" for template ${name}`);
+                }
+                
+                return forms !== undefined
+                    ? TemplateRegistry.pluralize(Number(value), forms, locale)
+                    : String(value);
+            });
+        }
+        
+        /**
+         * Pick the plural form of `count` from 'one:# item|other:# items'
+         */
+        static pluralize(count, forms, locale) {
+            const options = {};
+            const defaults = ['one', 'other'];
+            
+            forms.split('|').forEach((form, index) => {
+                const match = form.match(/^\s*(=\d+|zero|one|two|few|many|other)\s*:(.*)$/);
+                if (match) {
+                    options[match[1]] = match[2];
+                } else if (index < defaults.length) {
+                    options[defaults[index]] = form;
+                }
+            });
+            
+            let category = 'other';
+            try {
+                category = new Intl.PluralRules(locale).select(count);
+            } catch (error) {
+                category = count === 1 ? 'one' : 'other';
+            }
+            
+            const form = options[`=${count}`] !== undefined
+                ? options[`=${count}`]
+                : options[category] !== undefined ? options[category] : options.other || '';
+            
+            let formatted = String(count);
+            try {
+                formatted = new Intl.NumberFormat(locale).format(count);
+            } catch (error) {
+                // Unknown locale, keep the plain number
+            }
+            
+            return form.replace(/#/g, formatted);
+        }
+    }
+
+    /**
+     * Runtime checks of outgoing payloads and incoming stream messages
+     * 
+     * Mirrors the types in hermes-client.d.ts: the priority and channel enums,
+     * title and body lengths, and the serialized size of the metadata. Each
+     * check returns a list of issues; the client rejects on them in 'strict'
+     * mode and only warns in 'lenient' mode.
+     */
+    class NotificationSchema {
+        constructor(options = {}) {
+            this.mode = options.mode || 'lenient';
+            this.maxTitleLength = options.maxTitleLength || 255;
+            this.maxBodyLength = options.maxBodyLength || 5000;
+            this.maxMetadataSize = options.maxMetadataSize || 16384;
+        }
+        
+        get strict() {
+            return this.mode === 'strict';
+        }
+        
+        /**
+         * Check a send payload (snake_case, as posted)
+         */
+        validateSend(payload) {
+            const issues = [];
+            
+            this.checkText(issues, 'title', payload.title, this.maxTitleLength);
+            this.checkText(issues, 'body', payload.body, this.maxBodyLength);
+            this.checkPriority(issues, payload.priority);
+            
+            if (!Array.isArray(payload.channels) || payload.channels.length === 0) {
+                issues.push('channels must be a non-empty array');
+            } else {
+                payload.channels
+                    .filter(channel => NotificationSchema.CHANNELS.indexOf(channel) === -1)
+                    .forEach(channel => issues.push(
+                        `channel "${channel}" must be one of ${NotificationSchema.CHANNELS.join(', ')}`
+                    ));
+            }
+            
+            if (typeof payload.source_system !== 'string' || !payload.source_system) {
+                issues.push('sourceSystem must be a non-empty string');
+            }
+            
+            this.checkMetadata(issues, payload.metadata);
+            return issues;
+        }
+        
+        /**
+         * Check a parsed stream message; only known types have a schema
+         */
+        validateMessage(type, data) {
+            const issues = [];
+            
+            if (!type) {
+                issues.push('message has no type');
+            } else if (NotificationSchema.KNOWN_MESSAGES.indexOf(type) > -1 && !NotificationSchema.isObject(data)) {
+                issues.push('data must be an object');
+            } else if (type === 'notification') {
+                if (typeof data.id !== 'string' && typeof data.id !== 'number') {
+                    issues.push('id must be a string or a number');
+                }
+                if (typeof data.title !== 'string') {
+                    issues.push('title must be a string');
+                }
+                if (data.body !== undefined && data.body !== null && typeof data.body !== 'string') {
+                    issues.push('body must be a string');
+                }
+                if (data.priority !== undefined) {
+                    this.checkPriority(issues, data.priority);
+                }
+                if (data.is_read !== undefined && typeof data.is_read !== 'boolean') {
+                    issues.push('is_read must be a boolean');
+                }
+                if (data.metadata !== undefined && data.metadata !== null && !NotificationSchema.isObject(data.metadata)) {
+                    issues.push('metadata must be an object');
+                }
+            } else if (type === 'unread_count') {
+                if (!Number.isInteger(data.count) || data.count < 0) {
+                    issues.push('count must be a non-negative integer');
+                }
+            }
+            
+            return issues;
+        }
+        
+        checkText(issues, field, value, maxLength) {
+            if (typeof value !== 'string') {
+                issues.push(`${field} must be a string`);
+            } else if (value.length > maxLength) {
+                issues.push(`${field} must be at most ${maxLength} characters (got ${value.length})`);
+            }
+        }
+        
+        checkPriority(issues, priority) {
+            if (NotificationSchema.PRIORITIES.indexOf(priority) === -1) {
+                issues.push(`priority must be one of ${NotificationSchema.PRIORITIES.join(', ')}`);
+            }
+        }
+        
+        checkMetadata(issues, metadata) {
+            if (!NotificationSchema.isObject(metadata)) {
+                issues.push('metadata must be an object');
+                return;
+            }
+            
+            let size;
+            try {
+                size = new TextEncoder().encode(JSON.stringify(metadata)).length;
+            } catch (error) {
+                issues.push('metadata must be JSON-serializable');
+                return;
+            }
+            
+            if (size > this.maxMetadataSize) {
+                issues.push(`metadata must be at most ${this.maxMetadataSize} bytes as JSON (got ${size})`);
+            }
+        }
+        
+        static isObject(value) {
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        }
+    }
+
+    /**
+     * Client-side rules for incoming notifications
+     * 
+     * Decides how each live notification is delivered: muted ones (by source
+     * system, priority or a custom filter) and those arriving during quiet
+     * hours are kept in the store without a `notification` event; bursts are
+     * collapsed into a single `digest` event per group. Grouping uses a
+     * metadata key (e.g. a thread id).
+     */
+    class NotificationRules {
+        constructor(client, options = {}) {
+            const mute = options.mute || {};
+            
+            this.client = client;
+            this.mutedSources = mute.sourceSystems || [];
+            this.mutedPriorities = mute.priorities || [];
+            this.filter = options.filter || null;
+            this.groupBy = options.groupBy || null;
+            this.digest = options.digest
+                ? { window: 10000, threshold: 3, ...(options.digest === true ? {} : options.digest) }
+                : null;
+            this.quietHours = options.quietHours
+                ? { allowPriorities: ['urgent'], ...options.quietHours }
+                : null;
+            
+            this.bursts = new Map();
+        }
+        
+        /**
+         * Route a live notification: 'deliver', 'muted', 'quiet' or 'digest'
+         */
+        route(notification, now = new Date()) {
+            if (this.isMuted(notification)) return 'muted';
+            if (this.isQuiet(notification, now)) return 'quiet';
+            if (this.digest && this.addToBurst(notification, now.getTime())) return 'digest';
+            return 'deliver';
+        }
+        
+        isMuted(notification) {
+            if (this.mutedSources.indexOf(notification.source_system) > -1) return true;
+            if (this.mutedPriorities.indexOf(notification.priority || 'normal') > -1) return true;
+            return this.filter ? !this.filter(notification) : false;
+        }
+        
+        isQuiet(notification, now = new Date()) {
+            if (!this.quietHours) return false;
+            if (this.quietHours.allowPriorities.indexOf(notification.priority) > -1) return false;
+            
+            const minutes = now.getHours() * 60 + now.getMinutes();
+            const start = NotificationRules.parseTime(this.quietHours.start);
+            const end = NotificationRules.parseTime(this.quietHours.end);
+            
+            // A window like 22:00-07:00 wraps around midnight
+            return start <= end
+                ? minutes >= start && minutes < end
+                : minutes >= start || minutes < end;
+        }
+        
+        /**
+         * Group key of a notification, null when it is not grouped
+         */
+        groupKey(notification) {
+            if (!this.groupBy) return null;
+            
+            const metadata = notification.metadata || {};
+            const key = metadata[this.groupBy];
+            return key !== undefined && key !== null ? String(key) : null;
+        }
+        
+        /**
+         * Count a notification in its burst; true when it joins the digest
+         * 
+         * Without `groupBy` every notification belongs to one burst. With it,
+         * bursts are tracked per group and ungrouped notifications never join.
+         */
+        addToBurst(notification, now) {
+            const key = this.groupBy ? this.groupKey(notification) : '';
+            if (key === null) return false;
+            
+            let burst = this.bursts.get(key);
+            if (!burst) {
+                burst = { count: 0, held: [], timer: null };
+                burst.timer = setTimeout(() => this.flush(key), this.digest.window);
+                this.bursts.set(key, burst);
+            }
+            
+            burst.count++;
+            if (burst.count <= this.digest.threshold) {
+                return false;
+            }
+            
+            burst.held.push(notification);
+            return true;
+        }
+        
+        /**
+         * End a burst, emitting what it held as one `digest` event
+         */
+        flush(key) {
+            const burst = this.bursts.get(key);
+            if (!burst) return;
+            
+            clearTimeout(burst.timer);
+            this.bursts.delete(key);
+            
+            if (burst.held.length > 0) {
+                this.client.emit('digest', {
+                    groupKey: this.groupBy ? key : null,
+                    notifications: burst.held,
+                    count: burst.held.length
+                });
+            }
+        }
+        
+        /**
+         * Emit every pending digest now
+         */
+        flushAll() {
+            Array.from(this.bursts.keys()).forEach(key => this.flush(key));
+        }
+        
+        /**
+         * Group notifications by the `groupBy` key, keeping their order
+         * 
+         * Ungrouped notifications form a group of their own.
+         */
+        group(notifications) {
+            const groups = [];
+            const byKey = new Map();
+            
+            notifications.forEach(notification => {
+                const key = this.groupKey(notification);
+                let group = key !== null ? byKey.get(key) : null;
+                
+                if (!group) {
+                    group = { key, notifications: [], unreadCount: 0 };
+                    groups.push(group);
+                    if (key !== null) byKey.set(key, group);
+                }
+                
+                group.notifications.push(notification);
+                if (!notification.is_read) group.unreadCount++;
+            });
+            
+            return groups;
+        }
+        
+        /**
+         * Minutes since midnight of an 'HH:MM' string
+         */
+        static parseTime(value) {
+            const [hours, minutes] = String(value).split(':').map(Number);
+            return hours * 60 + (minutes || 0);
+        }
+    }
+
+    /**
+     * Incremental parser for the text/event-stream format
+     * 
+     * Feed it decoded text chunks; complete events are passed to `onEvent` as
+     * `{ type, data, lastEventId }`, comments to `onComment` and `retry:`
+     * values to `onRetry`.
+     */
+    class SSEParser {
+        constructor(handlers = {}) {
+            this.onEvent = handlers.onEvent || (() => {});
+            this.onComment = handlers.onComment || (() => {});
+            this.onRetry = handlers.onRetry || (() => {});
+            this.buffer = '';
+            this.lastEventId = handlers.lastEventId || '';
+            this.reset();
+        }
+        
+        reset() {
+            this.eventType = '';
+            this.dataLines = [];
+        }
+        
+        feed(chunk) {
+            this.buffer += chunk;
+            
+            let match;
+            const lineBreak = /\r\n|\r|\n/g;
+            let start = 0;
+            
+            while ((match = lineBreak.exec(this.buffer)) !== null) {
+                // A trailing \r may be the first half of \r\n, wait for more input
+                if (match[0] === '\r' && match.index === this.buffer.length - 1) {
+                    break;
+                }
+                this.processLine(this.buffer.slice(start, match.index));
+                start = match.index + match[0].length;
+            }
+            
+            this.buffer = this.buffer.slice(start);
+        }
+        
+        processLine(line) {
+            if (line === '') {
+                this.dispatch();
+                return;
+            }
+            
+            if (line[0] === ':') {
+                this.onComment(line.slice(1).trim());
+                return;
+            }
+            
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            let value = colon === -1 ? '' : line.slice(colon + 1);
+            if (value[0] === ' ') {
+                value = value.slice(1);
+            }
+            
+            if (field === 'data') {
+                this.dataLines.push(value);
+            } else if (field === 'event') {
+                this.eventType = value;
+            } else if (field === 'id') {
+                if (value.indexOf('\0') === -1) {
+                    this.lastEventId = value;
+                }
+            } else if (field === 'retry') {
+                if (/^\d+$/.test(value)) {
+                    this.onRetry(parseInt(value, 10));
+                }
+            }
+        }
+        
+        dispatch() {
+            if (this.dataLines.length === 0) {
+                this.reset();
+                return;
+            }
+            
+            const event = {
+                type: this.eventType || 'message',
+                data: this.dataLines.join('\n'),
+                lastEventId: this.lastEventId
+            };
+            this.reset();
+            this.onEvent(event);
+        }
+    }
+
+    /**
+     * SSE transport backed by the native EventSource
+     * 
+     * EventSource cannot send headers, so the token and the last event id
+     * travel in the query string.
+     */
+    class EventSourceTransport {
+        constructor(options) {
+            const params = new URLSearchParams();
+            if (options.token) {
+                params.append('token', options.token);
+            }
+            if (options.lastEventId) {
+                params.append('last_event_id', options.lastEventId);
+            }
+            
+            const query = params.toString();
+            const separator = options.url.indexOf('?') === -1 ? '?' : '&';
+            const url = query ? `${options.url}${separator}${query}` : options.url;
+            
+            this.eventSource = new EventSource(url, {
+                withCredentials: options.credentials === 'include'
+            });
+            this.eventSource.onopen = () => options.onOpen();
+            this.eventSource.onmessage = (event) => options.onMessage(event);
+            this.eventSource.onerror = (error) => options.onError(error);
+            
+            // EventSource only delivers named events to listeners registered by name
+            this.namedListener = (event) => options.onMessage(event);
+            this.eventTypes = EventSourceTransport.NAMED_EVENTS.concat(options.eventTypes || []);
+            this.eventTypes.forEach(type => this.eventSource.addEventListener(type, this.namedListener));
+        }
+        
+        close() {
+            this.eventTypes.forEach(type => this.eventSource.removeEventListener(type, this.namedListener));
+            this.eventSource.onopen = null;
+            this.eventSource.onmessage = null;
+            this.eventSource.onerror = null;
+            this.eventSource.close();
+        }
+    }
+
+    /**
+     * SSE transport built on fetch and ReadableStream
+     * 
+     * Sends the token as a Bearer header and the last event id as the
+     * Last-Event-ID header, so nothing sensitive ends up in the URL. Works in
+     * browsers and in Node 18+, where EventSource does not exist.
+     */
+    class FetchTransport {
+        constructor(options) {
+            this.options = options;
+            this.controller = new AbortController();
+            this.closed = false;
+            this.start();
+        }
+        
+        async start() {
+            const { url, token, lastEventId, headers, credentials } = this.options;
+            const fetchImpl = this.options.fetch || fetch;
+            const requestHeaders = { 'Accept': 'text/event-stream', ...headers };
+            
+            if (token) {
+                requestHeaders['Authorization'] = `Bearer ${token}`;
+            }
+            if (lastEventId) {
+                requestHeaders['Last-Event-ID'] = lastEventId;
+            }
+            
+            try {
+                const response = await fetchImpl(url, {
+                    headers: requestHeaders,
+                    credentials,
+                    cache: 'no-store',
+                    signal: this.controller.signal
+                });
+                
+                if (!response.ok || !response.body) {
+                    const error = new Error(`HTTP ${response.status}`);
+                    error.status = response.status;
+                    throw error;
+                }
+                
+                if (this.closed) return;
+                this.options.onOpen();
+                
+                const parser = new SSEParser({
+                    lastEventId,
+                    onEvent: (event) => {
+                        if (!this.closed) this.options.onMessage(event);
+                    },
+                    onComment: (text) => {
+                        if (!this.closed && this.options.onComment) this.options.onComment(text);
+                    }
+                });
+                const reader = response.body.getReader();
+                const decoder = new TextDecoder();
+                
+                while (!this.closed) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+                    parser.feed(decoder.decode(value, { stream: true }));
+                }
+                
+                if (!this.closed) {
+                    throw new Error('SSE stream ended');
+                }
+            } catch (error) {
+                if (!this.closed) {
+                    this.closed = true;
+                    this.options.onError(error);
+                }
+            }
+        }
+        
+        close() {
+            this.closed = true;
+            this.controller.abort();
+        }
+    }
+
+    /**
+     * SSE connection state machine
+     * 
+     * States: idle -> connecting -> open -> reconnecting -> ... -> failed | closed
+     * 
+     * Reconnects use exponential backoff with jitter, capped at
+     * `maxReconnectDelay`. The transport is closed on every error so a native
+     * EventSource never retries in parallel with the scheduled reconnect.
+     */
+    class SSEConnection {
+        constructor(client, options = {}) {
+            this.client = client;
+            this.userId = options.userId || null;
+            this.topic = options.topic || null;
+            this.path = options.path || null;
+            this.id = options.id || (this.topic ? `topic:${this.topic}` : `user:${this.userId}`);
+            this.primary = options.primary || false;
+            this.store = options.store !== undefined ? options.store : this.primary;
+            // No prototype: server event names like `constructor` are plain keys
+            this.listeners = Object.create(null);
+            this.state = 'idle';
+            this.transport = null;
+            this.reconnectAttempts = 0;
+            this.reconnectTimer = null;
+            this.nextRetryAt = null;
+            this.paused = false;
+            this.openAttempt = 0;
+            this.heartbeatTimer = null;
+            this.lastActivityAt = null;
+            this.token = null;
+            this.authRetried = false;
+            
+            // Replay bookkeeping, kept across reconnects
+            this.lastEventId = null;
+            this.lastSeenAt = null;
+            this.firstOpenedAt = null;
+            this.seenIds = new Map();
+        }
+        
+        /**
+         * Stream listeners, called for this stream's events only
+         */
+        on(event, callback) {
+            if (!this.listeners[event]) {
+                this.listeners[event] = [];
+            }
+            this.listeners[event].push(callback);
+            return () => this.off(event, callback);
+        }
+        
+        once(event, callback) {
+            const listener = (data) => {
+                this.off(event, callback);
+                return callback(data);
+            };
+            listener.callback = callback;
+            return this.on(event, listener);
+        }
+        
+        off(event, callback) {
+            if (!this.listeners[event]) return;
+            
+            const index = this.listeners[event].findIndex(
+                listener => listener === callback || listener.callback === callback
+            );
+            if (index > -1) {
+                this.listeners[event].splice(index, 1);
+            }
+        }
+        
+        /**
+         * Notify this stream's listeners, then the client's
+         * 
+         * Extra streams only pass connection events on to the client (tagged
+         * with `streamId`); their notifications stay on the stream.
+         */
+        emit(event, data) {
+            (this.listeners[event] || []).slice().forEach(callback => {
+                this.client.callListener(event, () => callback(data));
+            });
+            
+            if (this.primary) {
+                this.client.emit(event, data);
+            } else if (SSEConnection.CONNECTION_EVENTS.indexOf(event) > -1) {
+                this.client.emitLocal(event, data);
+            }
+        }
+        
+        /**
+         * Emit `connected` or `disconnected` for the stream itself, telling
+         * plugins first
+         */
+        emitLifecycle(event, data) {
+            this.client.notifyPlugins(event === 'connected' ? 'onConnect' : 'onDisconnect', {
+                ...data,
+                topic: this.topic
+            });
+            this.emit(event, data);
+        }
+        
+        getStatus() {
+            return {
+                id: this.id,
+                userId: this.userId,
+                topic: this.topic,
+                state: this.state,
+                isConnected: this.state === 'open',
+                reconnectAttempts: this.reconnectAttempts,
+                nextRetryAt: this.nextRetryAt,
+                paused: this.paused,
+                lastActivityAt: this.lastActivityAt
+            };
+        }
+        
+        /**
+         * Close this stream (the main one through disconnectSSE)
+         */
+        disconnect() {
+            if (this.primary) {
+                this.client.disconnectSSE();
+            } else {
+                this.client.disconnectStream(this.id);
+            }
+        }
+        
+        /**
+         * Whether a notification id was already delivered on this stream
+         */
+        hasSeen(id) {
+            return this.seenIds.has(String(id));
+        }
+        
+        /**
+         * Remember a delivered notification (bounded to the most recent ids)
+         */
+        markSeen(notification) {
+            this.seenIds.set(String(notification.id), true);
+            if (this.seenIds.size > SSEConnection.SEEN_IDS_LIMIT) {
+                this.seenIds.delete(this.seenIds.keys().next().value);
+            }
+            
+            const createdAt = Date.parse(notification.created_at);
+            if (createdAt && (!this.lastSeenAt || createdAt > Date.parse(this.lastSeenAt))) {
+                this.lastSeenAt = notification.created_at;
+            }
+        }
+        
+        /**
+         * Move to a new state and notify listeners
+         */
+        setState(state) {
+            if (state === this.state) return;
+            
+            const previousState = this.state;
+            this.state = state;
+            this.client.log(`SSE state: ${previousState} -> ${state}`);
+            
+            if (state === 'open') {
+                this.client.metrics.streamOpened(this.id);
+            } else if (previousState === 'open') {
+                this.client.metrics.streamClosed(this.id);
+            }
+            this.emit('stateChange', { state, previousState, userId: this.userId, streamId: this.id });
+        }
+        
+        /**
+         * Open the underlying transport
+         */
+        open() {
+            this.clearTimer();
+            this.closeTransport();
+            
+            if (this.paused) {
+                this.setState('reconnecting');
+                return;
+            }
+            
+            this.setState(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+            
+            const attempt = ++this.openAttempt;
+            this.client.resolveToken('profile').then(
+                (token) => {
+                    // Closed, paused or reopened while the token was resolving
+                    if (attempt !== this.openAttempt || this.paused || this.state === 'closed') return;
+                    this.startTransport(token);
+                },
+                (error) => {
+                    if (attempt !== this.openAttempt) return;
+                    this.handleError(error);
+                }
+            );
+        }
+        
+        startTransport(token) {
+            const path = this.path || (this.topic
+                ? `/sse/topics/${encodeURIComponent(this.topic)}/`
+                : `/sse/notifications/${this.userId}/`);
+            const url = `${this.client.baseUrl}${path}`;
+            this.client.log('Connecting to SSE', url);
+            this.token = token;
+            
+            this.transport = this.client.createTransport({
+                url,
+                token,
+                lastEventId: this.lastEventId,
+                headers: this.client.headers,
+                credentials: this.client.credentials,
+                // Heartbeats may come as named events, which EventSource must subscribe to
+                eventTypes: this.client.eventTypes.concat(this.client.heartbeatEvents),
+                fetch: this.client.fetch,
+                onOpen: () => this.handleOpen(),
+                onMessage: (event) => this.handleMessage(event),
+                // Comments are the usual keep-alive, they only prove the stream is alive
+                onComment: () => this.touch(),
+                onError: (error) => this.handleError(error)
+            });
+        }
+        
+        handleOpen() {
+            this.client.log('SSE connection opened');
+            const isReconnect = this.firstOpenedAt !== null;
+            
+            if (!isReconnect) {
+                this.firstOpenedAt = new Date().toISOString();
+            }
+            
+            this.reconnectAttempts = 0;
+            this.nextRetryAt = null;
+            this.authRetried = false;
+            this.touch();
+            this.watchHeartbeat();
+            this.setState('open');
+            this.emitLifecycle('connected', { userId: this.userId, streamId: this.id });
+            
+            // Catch-up reads the user's notifications; topic streams have none
+            if (isReconnect && this.client.catchUpOnReconnect && this.userId && !this.topic && !this.path) {
+                this.client.catchUp(this);
+            }
+            
+            // The stream coming back is a good sign the network did too
+            this.client.flushOutbox();
+        }
+        
+        handleMessage(event) {
+            this.touch();
+            if (event.lastEventId) {
+                this.lastEventId = event.lastEventId;
+            }
+            this.client.handleSSEMessage(event, this);
+        }
+        
+        handleError(error) {
+            this.client.log('SSE error', error);
+            const wasOpen = this.state === 'open';
+            
+            // Stop any native retry loop, reconnects are scheduled here
+            this.closeTransport();
+            this.emit('error', error);
+            
+            if (wasOpen) {
+                this.emitLifecycle('disconnected', { reason: 'error', userId: this.userId, streamId: this.id });
+            }
+            
+            // One refresh per outage: a down server also fails EventSource
+            // before it opens, and must not rotate the token on every retry
+            if (this.client.refreshToken && this.token && !this.authRetried && this.isAuthError(error, wasOpen)) {
+                this.refreshAndReconnect(error);
+                return;
+            }
+            
+            this.scheduleReconnect();
+        }
+        
+        /**
+         * Note traffic on the stream (messages, heartbeats or comments)
+         */
+        touch() {
+            this.lastActivityAt = Date.now();
+        }
+        
+        /**
+         * Treat the stream as stale when nothing arrives for `heartbeatTimeout`
+         * ms; half-open connections behind proxies never fire an error
+         */
+        watchHeartbeat() {
+            this.clearHeartbeat();
+            
+            const timeout = this.client.heartbeatTimeout;
+            if (!timeout) return;
+            
+            const idleMs = Date.now() - this.lastActivityAt;
+            if (idleMs < timeout) {
+                this.heartbeatTimer = setTimeout(() => this.watchHeartbeat(), timeout - idleMs);
+                return;
+            }
+            
+            this.handleStale(idleMs);
+        }
+        
+        /**
+         * Drop a stale stream and reconnect through the regular backoff
+         */
+        handleStale(idleMs) {
+            this.client.logger.warn(`SSE stream stale, nothing received for ${idleMs}ms`);
+            this.closeTransport();
+            this.emit('stale', {
+                lastActivityAt: this.lastActivityAt,
+                idleMs,
+                userId: this.userId,
+                streamId: this.id
+            });
+            this.emitLifecycle('disconnected', { reason: 'stale', userId: this.userId, streamId: this.id });
+            this.scheduleReconnect();
+        }
+        
+        clearHeartbeat() {
+            if (this.heartbeatTimer) {
+                clearTimeout(this.heartbeatTimer);
+                this.heartbeatTimer = null;
+            }
+        }
+        
+        /**
+         * Whether a stream error may be caused by an expired token
+         * 
+         * EventSource hides the status code, so a failure before the stream
+         * ever opened is treated as a possible 401.
+         */
+        isAuthError(error, wasOpen) {
+            if (error && error.status !== undefined) {
+                return error.status === 401;
+            }
+            return !wasOpen && this.client.getTransportType() === 'eventsource';
+        }
+        
+        /**
+         * Refresh the profile token and re-establish the stream with it
+         * 
+         * Runs once until the stream opens again. A confirmed 401 reconnects
+         * right away; anything else goes through the regular backoff.
+         */
+        refreshAndReconnect(error) {
+            const attempt = this.openAttempt;
+            const immediate = error.status === 401;
+            this.authRetried = true;
+            this.setState('reconnecting');
+            
+            this.client.refreshAuthToken('profile', this.token).then(
+                () => {
+                    if (attempt !== this.openAttempt || this.state === 'closed') return;
+                    
+                    if (immediate) {
+                        this.open();
+                    } else {
+                        this.scheduleReconnect();
+                    }
+                },
+                (refreshError) => {
+                    if (attempt !== this.openAttempt || this.state === 'closed') return;
+                    
+                    this.client.logger.warn('Token refresh failed', refreshError);
+                    this.emit('error', refreshError);
+                    this.scheduleReconnect();
+                }
+            );
+        }
+        
+        /**
+         * Compute the backoff delay for a reconnect attempt
+         */
+        getReconnectDelay(attempt) {
+            const { reconnectDelay, maxReconnectDelay, reconnectJitter } = this.client;
+            const delay = Math.min(maxReconnectDelay, reconnectDelay * Math.pow(2, attempt - 1));
+            const jitter = delay * reconnectJitter * Math.random();
+            return Math.round(delay - jitter);
+        }
+        
+        /**
+         * Schedule the next reconnect attempt, or give up
+         */
+        scheduleReconnect() {
+            this.clearTimer();
+            
+            if (this.paused) {
+                this.setState('reconnecting');
+                return;
+            }
+            
+            if (this.reconnectAttempts >= this.client.maxReconnectAttempts) {
+                this.client.logger.warn('Max reconnect attempts reached');
+                this.nextRetryAt = null;
+                this.setState('failed');
+                this.emit('reconnectFailed', {
+                    attempts: this.reconnectAttempts,
+                    userId: this.userId,
+                    streamId: this.id
+                });
+                return;
+            }
+            
+            this.reconnectAttempts++;
+            this.client.metrics.streamReconnecting(this.id);
+            const delay = this.getReconnectDelay(this.reconnectAttempts);
+            this.nextRetryAt = Date.now() + delay;
+            this.setState('reconnecting');
+            
+            this.client.log(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+            this.emit('reconnecting', {
+                attempt: this.reconnectAttempts,
+                delay,
+                nextRetryAt: this.nextRetryAt,
+                userId: this.userId,
+                streamId: this.id
+            });
+            
+            this.reconnectTimer = setTimeout(() => this.open(), delay);
+        }
+        
+        /**
+         * Reconnect immediately, resetting the backoff
+         */
+        reconnect() {
+            this.reconnectAttempts = 0;
+            this.nextRetryAt = null;
+            this.open();
+        }
+        
+        /**
+         * Stop the stream until resume() is called (offline, hidden page)
+         */
+        pause(reason) {
+            if (this.paused || this.state === 'closed') return;
+            
+            this.client.log(`SSE paused (${reason})`);
+            const wasOpen = this.state === 'open';
+            
+            this.paused = true;
+            this.openAttempt++;
+            this.clearTimer();
+            this.closeTransport();
+            this.nextRetryAt = null;
+            this.setState('reconnecting');
+            
+            if (wasOpen) {
+                this.emitLifecycle('disconnected', { reason, userId: this.userId, streamId: this.id });
+            }
+        }
+        
+        /**
+         * Resume a paused stream
+         */
+        resume() {
+            if (!this.paused) return;
+            
+            this.client.log('SSE resumed');
+            this.paused = false;
+            this.reconnect();
+        }
+        
+        /**
+         * Close the stream for good
+         */
+        close() {
+            this.openAttempt++;
+            this.clearTimer();
+            this.closeTransport();
+            this.nextRetryAt = null;
+            this.setState('closed');
+        }
+        
+        clearTimer() {
+            if (this.reconnectTimer) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+            }
+        }
+        
+        closeTransport() {
+            this.clearHeartbeat();
+            if (this.transport) {
+                this.transport.close();
+                this.transport = null;
+            }
+        }
+    }
+
+    SSEConnection.SEEN_IDS_LIMIT = 500;
+
+    // Events an extra stream passes on to the client
+    SSEConnection.CONNECTION_EVENTS = [
+        'connected',
+        'disconnected',
+        'error',
+        'stateChange',
+        'reconnecting',
+        'reconnectFailed',
+        'stale'
+    ];
+
+    Logger.LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+    Logger.SECRET_KEY = /token|authorization|password|secret|api[-_]?key|cookie/i;
+
+    // console.debug is hidden by default in browser devtools
+    Logger.CONSOLE = {
+        debug: (...args) => console.log(...args),
+        info: (...args) => console.info(...args),
+        warn: (...args) => console.warn(...args),
+        error: (...args) => console.error(...args)
+    };
+
+    Metrics.PATH_WORDS = [
+        'api', 'notifications', 'user', 'send', 'read', 'unread', 'archive',
+        'read-all', 'read-many', 'unread-count', 'push', 'subscriptions'
+    ];
+
+    EventSourceTransport.NAMED_EVENTS = ['notification', 'unread_count', 'connected'];
+
+    NotificationSchema.PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+    NotificationSchema.CHANNELS = ['in_app', 'email', 'sms', 'push'];
+    NotificationSchema.KNOWN_MESSAGES = ['notification', 'unread_count'];
+
+    TabCoordinator.SHARED_EVENTS = [
+        'notification',
+        'unreadCount',
+        'stateChange',
+        'connected',
+        'disconnected',
+        'message',
+        'notificationSuppressed',
+        'digest'
+    ];
+
+    class HermesClient {
+        constructor(config = {}) {
+            this.baseUrl = config.baseUrl || 'http://localhost:8000';
+            this.appToken = config.appToken || null;
+            this.profileToken = config.profileToken || null;
+            this.userId = config.userId || null;
+            this.getToken = config.getToken || null;
+            this.refreshToken = config.refreshToken || null;
+            this.timeout = config.timeout || 30000;
+            this.retries = config.retries !== undefined ? config.retries : 2;
+            this.retryDelay = config.retryDelay || 500;
+            this.debug = config.debug || false;
+            
+            // Logging ('debug' level with `debug: true`) with tokens redacted
+            this.logger = new Logger({
+                output: config.logger,
+                level: config.logLevel || (this.debug ? 'debug' : 'warn'),
+                redactKeys: config.redactKeys,
+                secrets: () => [this.appToken, this.profileToken]
+            });
+            
+            // Request latency and stream health, emitted as `metrics` every
+            // `metricsInterval` ms while a stream is connected (opt-in)
+            this.metrics = new Metrics();
+            this.metricsInterval = config.metricsInterval || 0;
+            this.metricsTimer = null;
+            
+            // SSE configuration
+            this.sseEnabled = config.sseEnabled !== false;
+            this.reconnectDelay = config.reconnectDelay || 5000;
+            this.maxReconnectDelay = config.maxReconnectDelay || 60000;
+            this.reconnectJitter = config.reconnectJitter !== undefined ? config.reconnectJitter : 0.5;
+            this.maxReconnectAttempts = config.maxReconnectAttempts || 10;
+            this.heartbeatTimeout = config.heartbeatTimeout || 0;
+            this.heartbeatEvents = config.heartbeatEvents || ['ping', 'heartbeat', 'keepalive'];
+            this.pauseWhenOffline = config.pauseWhenOffline !== false;
+            this.pauseWhenHidden = config.pauseWhenHidden || false;
+            // fetch keeps the token in a header; EventSource is opt-in
+            this.transport = config.transport || 'fetch';
+            this.headers = config.headers || {};
+            this.fetch = config.fetch || null;
+            this.credentials = config.credentials || 'same-origin';
+            this.catchUpOnReconnect = config.catchUpOnReconnect !== false;
+            this.catchUpLimit = config.catchUpLimit || 50;
+            this.eventTypes = config.eventTypes || [];
+            
+            // Local notification store
+            this.store = new NotificationStore({
+                limit: config.storeLimit,
+                onError: (error) => this.logger.error('Error in store subscriber', error)
+            });
+            
+            // Undo functions of optimistic changes, by idempotency key
+            this.rollbacks = new Map();
+            
+            // Offline outbox (opt-in)
+            this.outbox = null;
+            this.outboxListener = null;
+            if (config.outbox) {
+                this.outbox = new Outbox(this, config.outbox === true ? {} : config.outbox);
+                this.attachOutboxListener();
+            }
+            
+            // Cross-tab coordination (opt-in)
+            this.multiTab = config.multiTab || false;
+            this.tabs = null;
+            this.remoteState = 'idle';
+            
+            // Notification templates, rendered in the user's locale
+            this.locale = config.locale ||
+                (typeof navigator !== 'undefined' && navigator.language) ||
+                'en';
+            this.templates = new TemplateRegistry(config.templates, { locale: this.locale });
+            
+            // Default `sourceSystem` of sent notifications
+            this.sourceSystem = config.sourceSystem || 'web-app';
+            
+            // Payload and stream message validation ('lenient' unless disabled)
+            this.schema = null;
+            if (config.validation !== false) {
+                const validation = typeof config.validation === 'string'
+                    ? { mode: config.validation }
+                    : config.validation;
+                this.schema = new NotificationSchema(validation === true ? {} : validation);
+            }
+            
+            // Mute, quiet hours and digest rules (opt-in)
+            this.rules = config.rules ? new NotificationRules(this, config.rules) : null;
+            
+            // Native notifications and Web Push (opt-in)
+            this.browserNotifications = null;
+            if (config.browserNotifications) {
+                this.browserNotifications = new BrowserNotifications(
+                    this,
+                    config.browserNotifications === true ? {} : config.browserNotifications
+                );
+                this.browserNotifications.start();
+            }
+            
+            // Internal state
+            this.connection = null;
+            this.streams = new Map();
+            this.environmentListeners = null;
+            this.tokenRefreshes = { app: null, profile: null };
+            // No prototype, so `toString` or `constructor` can be event names
+            this.listeners = Object.create(null);
+            this.anyListeners = [];
+            HermesClient.EVENTS.forEach(event => {
+                this.listeners[event] = [];
+            });
+            
+            // Plugins, once listeners exist so their setup can subscribe
+            this.plugins = [];
+            (config.plugins || []).forEach(plugin => this.use(plugin));
+            
+            // Persistent copy of the store (opt-in), last so revalidation runs
+            // through the plugins
+            this.cache = null;
+            if (config.cache) {
+                if (this.userId) {
+                    this.cache = new NotificationCache(this, config.cache === true ? {} : config.cache);
+                    this.cache.start();
+                } else {
+                    this.logger.warn('cache needs a userId, caching is disabled');
+                }
+            }
+            
+            this.log('HermesClient initialized', config);
+        }
+        
+        /**
+         * Internal logging (debug level)
+         */
+        log(...args) {
+            this.logger.debug(...args);
+        }
+        
+        /**
+         * Add a plugin
+         * 
+         * A plugin is an object with any of these hooks:
+         * - `setup(client)` runs when it is added; may return a teardown function
+         * - `beforeRequest(request, client)` gets `{ method, url, headers, body }`
+         *   before every REST call and may change it or return a new one
+         * - `afterResponse(response, request)` gets `{ status, ok, headers, data }`
+         *   for every REST response and may change it or return a new one
+         * - `onMessage(message, context)` gets each parsed stream message
+         *   `{ type, data, lastEventId }`; return a new one, or null to drop it
+         * - `onNotification(notification, context)` likewise for notifications
+         * - `onConnect(info)` / `onDisconnect(info)` when a stream opens or closes
+         * 
+         * Request hooks may be async; stream hooks are synchronous. Plugins run
+         * in the order they were added. Returns a function that removes it.
+         */
+        use(plugin) {
+            if (!plugin || typeof plugin !== 'object') {
+                throw new Error('A plugin must be an object of hooks');
+            }
+            
+            this.plugins.push(plugin);
+            this.log('Plugin added', plugin.name || '(anonymous)');
+            
+            const teardown = plugin.setup ? plugin.setup(this) : null;
+            
+            return () => {
+                const index = this.plugins.indexOf(plugin);
+                if (index === -1) return;
+                
+                this.plugins.splice(index, 1);
+                if (typeof teardown === 'function') {
+                    teardown();
+                }
+            };
+        }
+        
+        /**
+         * Pass a value through every plugin's async hook
+         */
+        async runHooks(hook, value, context) {
+            for (const plugin of this.plugins.slice()) {
+                if (typeof plugin[hook] === 'function') {
+                    const result = await plugin[hook](value, context);
+                    if (result !== undefined) {
+                        value = result;
+                    }
+                }
+            }
+            return value;
+        }
+        
+        /**
+         * Pass a stream value through every plugin's sync hook
+         * 
+         * Returns null when a plugin drops it. A throwing plugin is skipped and
+         * reported as a PLUGIN_ERROR.
+         */
+        transformWithPlugins(hook, value, context) {
+            for (const plugin of this.plugins.slice()) {
+                if (typeof plugin[hook] !== 'function') continue;
+                
+                try {
+                    const result = plugin[hook](value, context);
+                    if (result === null || result === false) {
+                        this.log(`${hook} dropped by plugin`, plugin.name || '(anonymous)');
+                        return null;
+                    }
+                    if (result !== undefined) {
+                        value = result;
+                    }
+                } catch (error) {
+                    this.reportPluginError(plugin, hook, error);
+                }
+            }
+            return value;
+        }
+        
+        /**
+         * Call a lifecycle hook on every plugin
+         */
+        notifyPlugins(hook, info) {
+            this.plugins.slice().forEach(plugin => {
+                if (typeof plugin[hook] !== 'function') return;
+                
+                try {
+                    const result = plugin[hook](info);
+                    if (result && typeof result.then === 'function') {
+                        result.then(null, error => this.reportPluginError(plugin, hook, error));
+                    }
+                } catch (error) {
+                    this.reportPluginError(plugin, hook, error);
+                }
+            });
+        }
+        
+        reportPluginError(plugin, hook, error) {
+            this.logger.error(`Error in plugin ${hook}`, error);
+            this.emit('error', new HermesError(
+                `Plugin ${plugin.name || '(anonymous)'} failed in ${hook}: ${error && error.message}`,
+                { code: 'PLUGIN_ERROR', cause: error }
+            ));
+        }
+        
+        /**
+         * Get the current token of a kind ('app' or 'profile')
+         * 
+         * Asks the `getToken` callback first, then falls back to the
+         * configured token.
+         */
+        async resolveToken(kind) {
+            if (this.getToken) {
+                const token = await this.getToken(kind);
+                if (token) {
+                    this.setToken(kind, token);
+                    return token;
+                }
+            }
+            return kind === 'app' ? this.appToken : this.profileToken;
+        }
+        
+        setToken(kind, token) {
+            if (kind === 'app') {
+                this.appToken = token;
+            } else {
+                this.profileToken = token;
+            }
+        }
+        
+        /**
+         * Refresh a token through the `refreshToken` callback
+         * 
+         * Concurrent callers share a single refresh. A caller holding a token
+         * that was already replaced gets the current one without a new refresh.
+         */
+        refreshAuthToken(kind, staleToken) {
+            const current = kind === 'app' ? this.appToken : this.profileToken;
+            if (staleToken && current && current !== staleToken) {
+                return Promise.resolve(current);
+            }
+            
+            if (!this.tokenRefreshes[kind]) {
+                this.log(`Refreshing ${kind} token`);
+                this.tokenRefreshes[kind] = Promise.resolve()
+                    .then(() => this.refreshToken(kind))
+                    .then(token => {
+                        if (!token) {
+                            throw new Error(`refreshToken returned no ${kind} token`);
+                        }
+                        this.setToken(kind, token);
+                        this.emit('tokenRefreshed', { kind });
+                        return token;
+                    })
+                    .finally(() => {
+                        this.tokenRefreshes[kind] = null;
+                    });
+            }
+            
+            return this.tokenRefreshes[kind];
+        }
+        
+        /**
+         * fetch() with a Bearer token and one retry after a 401
+         * 
+         * `kinds` lists the token kinds to try, in order of preference.
+         */
+        async authorizedFetch(url, init = {}, kinds = ['profile', 'app']) {
+            let kind = null;
+            let token = null;
+            
+            for (const candidate of kinds) {
+                token = await this.resolveToken(candidate);
+                if (token) {
+                    kind = candidate;
+                    break;
+                }
+            }
+            
+            if (!token) {
+                throw new HermesError(`${kinds.map(k => `${k}Token`).join(' or ')} is required`, {
+                    code: 'MISSING_TOKEN',
+                    request: { method: init.method || 'GET', url }
+                });
+            }
+            
+            const fetchImpl = this.fetch || fetch;
+            const send = (bearer) => fetchImpl(url, {
+                ...init,
+                headers: { ...init.headers, 'Authorization': `Bearer ${bearer}` }
+            });
+            
+            const response = await send(token);
+            if (response.status !== 401 || !this.refreshToken) {
+                return response;
+            }
+            
+            this.log('Request unauthorized, retrying with a refreshed token', url);
+            const freshToken = await this.refreshAuthToken(kind, token);
+            return send(freshToken);
+        }
+        
+        /**
+         * Send a request through the shared pipeline
+         * 
+         * Adds auth and default headers, enforces `timeout`, honours the
+         * caller's `signal`, retries idempotent requests on 5xx and network
+         * errors with backoff, and turns failures into HermesError.
+         */
+        async request(method, path, options = {}) {
+            const {
+                query = null,
+                body,
+                headers = {},
+                signal = null,
+                kinds = ['profile', 'app']
+            } = options;
+            const idempotent = options.idempotent !== undefined
+                ? options.idempotent
+                : HermesClient.IDEMPOTENT_METHODS.indexOf(method) > -1;
+            const retries = idempotent ? this.retries : 0;
+            
+            const queryString = query ? query.toString() : '';
+            const outgoing = await this.runHooks('beforeRequest', {
+                method,
+                url: `${this.baseUrl}${path}${queryString ? `?${queryString}` : ''}`,
+                headers: { ...this.headers, ...headers },
+                body
+            }, this);
+            const url = outgoing.url;
+            const requestInfo = { method: outgoing.method, url };
+            
+            const init = {
+                method: outgoing.method,
+                headers: { ...outgoing.headers }
+            };
+            if (outgoing.body !== undefined) {
+                init.headers['Content-Type'] = 'application/json';
+                init.body = JSON.stringify(outgoing.body);
+            }
+            
+            for (let attempt = 0; ; attempt++) {
+                const startedAt = Date.now();
+                try {
+                    const data = await this.performRequest(init, requestInfo, kinds, signal, outgoing);
+                    this.metrics.recordRequest(method, path, Date.now() - startedAt, true);
+                    return data;
+                } catch (error) {
+                    this.metrics.recordRequest(method, path, Date.now() - startedAt, false);
+                    const retryable = error.code === 'NETWORK_ERROR' ||
+                        error.code === 'TIMEOUT' ||
+                        (error.status >= 500 && error.status < 600);
+                    
+                    if (!retryable || attempt >= retries) {
+                        throw error;
+                    }
+                    
+                    const delay = this.retryDelay * Math.pow(2, attempt) * (0.5 + Math.random() / 2);
+                    this.logger.info(`${method} ${url} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+                    await HermesClient.sleep(delay, signal);
+                }
+            }
+        }
+        
+        /**
+         * Run a single request attempt with the configured timeout
+         */
+        async performRequest(init, requestInfo, kinds, signal, outgoing = requestInfo) {
+            if (signal && signal.aborted) {
+                throw new HermesError('Request aborted', { code: 'ABORTED', request: requestInfo });
+            }
+            
+            const controller = new AbortController();
+            let timedOut = false;
+            const timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, this.timeout);
+            const onAbort = () => controller.abort();
+            
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+            
+            try {
+                const response = await this.authorizedFetch(
+                    requestInfo.url,
+                    { ...init, signal: controller.signal },
+                    kinds
+                );
+                const text = await response.text();
+                let data = null;
+                
+                if (text) {
+                    try {
+                        data = JSON.parse(text);
+                    } catch (parseError) {
+                        data = text;
+                    }
+                }
+                
+                const result = await this.runHooks('afterResponse', {
+                    status: response.status,
+                    ok: response.ok,
+                    headers: response.headers,
+                    data
+                }, outgoing);
+                
+                if (!result.ok) {
+                    const details = result.data && typeof result.data === 'object' ? result.data : {};
+                    throw new HermesError(
+                        details.error || details.detail || details.message || `HTTP ${result.status}`,
+                        {
+                            status: result.status,
+                            code: details.code || 'HTTP_ERROR',
+                            body: result.data,
+                            request: requestInfo
+                        }
+                    );
+                }
+                
+                return result.data;
+            } catch (error) {
+                if (error instanceof HermesError) {
+                    throw error;
+                }
+                if (signal && signal.aborted) {
+                    throw new HermesError('Request aborted', { code: 'ABORTED', request: requestInfo, cause: error });
+                }
+                if (timedOut) {
+                    throw new HermesError(`Request timed out after ${this.timeout}ms`, {
+                        code: 'TIMEOUT',
+                        request: requestInfo,
+                        cause: error
+                    });
+                }
+                throw new HermesError(error.message || 'Network error', {
+                    code: 'NETWORK_ERROR',
+                    request: requestInfo,
+                    cause: error
+                });
+            } finally {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            }
+        }
+        
+        /**
+         * Send a notification
+         * 
+         * With `template`, the title, body and default fields come from the
+         * registered template rendered with `vars` in `locale`; explicit
+         * fields win. The template name and vars are kept in the metadata so
+         * recipients can render it in their own locale.
+         */
+        async sendNotification(options = {}) {
+            if (options.template) {
+                options = this.applyTemplate(options);
+            }
+            
+            const {
+                userId,
+                title,
+                body,
+                sourceSystem = this.sourceSystem,
+                priority = 'normal',
+                channels = ['in_app'],
+                metadata = {},
+                sendAt = null,
+                signal
+            } = options;
+            
+            if (!userId) {
+                throw new Error('userId is required');
+            }
+            
+            if (!title || !body) {
+                throw new Error('title and body are required');
+            }
+            
+            if (!this.appToken && !this.getToken) {
+                throw new Error('appToken is required for sending notifications');
+            }
+            
+            const payload = {
+                user_id: userId,
+                title,
+                body,
+                source_system: sourceSystem,
+                priority,
+                channels,
+                metadata
+            };
+            
+            // Delivered by the server at that time instead of right away
+            if (sendAt !== null && sendAt !== undefined) {
+                const scheduledAt = new Date(sendAt);
+                if (isNaN(scheduledAt.getTime())) {
+                    throw new Error('sendAt must be a valid date');
+                }
+                payload.scheduled_at = scheduledAt.toISOString();
+            }
+            
+            if (this.schema) {
+                this.checkIssues(this.schema.validateSend(payload), 'Invalid notification payload');
+            }
+            
+            this.log('Sending notification', options);
+            
+            const result = await this.mutate({
+                type: 'send',
+                payload,
+                idempotencyKey: options.idempotencyKey || HermesClient.generateId()
+            }, signal);
+            
+            this.log('Notification sent', result);
+            return result;
+        }
+        
+        applyTemplate(options) {
+            const { template, vars = {}, locale = this.locale, ...fields } = options;
+            const rendered = this.templates.render(template, vars, locale);
+            
+            Object.keys(fields).forEach(key => {
+                if (fields[key] === undefined) delete fields[key];
+            });
+            
+            return {
+                ...rendered,
+                ...fields,
+                metadata: { ...rendered.metadata, ...fields.metadata, template, vars }
+            };
+        }
+        
+        /**
+         * Reject a payload with issues in strict mode, warn about it otherwise
+         */
+        checkIssues(issues, message) {
+            if (issues.length === 0) return;
+            
+            if (this.schema.strict) {
+                throw new HermesError(`${message}: ${issues.join('; ')}`, {
+                    code: 'VALIDATION_ERROR',
+                    issues
+                });
+            }
+            this.logger.warn(`${message}:`, issues.join('; '));
+        }
+        
+        /**
+         * Register (or replace) a notification template
+         */
+        registerTemplate(name, template) {
+            this.templates.register(name, template);
+            return this;
+        }
+        
+        /**
+         * Render a template with `vars`, in the client's locale by default
+         */
+        renderTemplate(name, vars, locale) {
+            return this.templates.render(name, vars, locale);
+        }
+        
+        /**
+         * Localized copy of a received notification
+         * 
+         * Notifications whose `metadata.template` names a registered template
+         * get their title and body rendered from it with `metadata.vars`; any
+         * other notification, or one that fails to render, is returned as is.
+         */
+        renderNotification(notification, locale = this.locale) {
+            const metadata = (notification && notification.metadata) || {};
+            if (!metadata.template || !this.templates.has(metadata.template)) {
+                return notification;
+            }
+            
+            try {
+                const { title, body } = this.templates.render(metadata.template, metadata.vars || {}, locale);
+                return { ...notification, title, body };
+            } catch (error) {
+                this.logger.warn('Could not render notification template', error);
+                return notification;
+            }
+        }
+        
+        /**
+         * Run a mutation, or queue it in the outbox while offline
+         * 
+         * Once something is queued, later mutations queue behind it so the
+         * server sees them in order.
+         */
+        async mutate(entry, signal) {
+            if (this.outbox) {
+                await this.outbox.ready;
+                
+                if (this.outbox.size > 0 || this.isOffline()) {
+                    const queued = await this.outbox.enqueue(entry);
+                    if (!this.isOffline()) {
+                        this.flushOutbox();
+                    }
+                    return queued;
+                }
+            }
+            
+            try {
+                return await this.executeMutation(entry, signal);
+            } catch (error) {
+                if (this.outbox && (error.code === 'NETWORK_ERROR' || error.code === 'TIMEOUT')) {
+                    return this.outbox.enqueue(entry);
+                }
+                throw error;
+            }
+        }
+        
+        /**
+         * Run a read-state mutation, updating the store before the server answers
+         * 
+         * The change is applied right away (emitting `notificationUpdated` and
+         * `unreadCount`), reconciled with the server's response, and rolled back
+         * with `mutationFailed` if the request fails. Queued mutations keep the
+         * change until the outbox replays or drops them.
+         */
+        async mutateOptimistically(entry, change, signal) {
+            if (change) {
+                this.rollbacks.set(entry.idempotencyKey, this.applyOptimistic(change));
+            }
+            
+            let result;
+            try {
+                result = await this.mutate(entry, signal);
+            } catch (error) {
+                this.settleMutation(entry, error);
+                throw error;
+            }
+            
+            if (!(result && result.queued)) {
+                this.settleMutation(entry, null, result);
+            }
+            return result;
+        }
+        
+        /**
+         * Apply a store change and emit what it changed
+         * 
+         * Returns a function that undoes it.
+         */
+        applyOptimistic(change) {
+            const snapshot = this.store.getSnapshot();
+            const ids = change.ids || snapshot.notifications.map(notification => notification.id);
+            const previous = ids.map(id => this.store.get(id)).filter(Boolean);
+            const { unreadCount, hasServerCount } = this.store;
+            
+            this.applyStoreChange(change, true);
+            this.emitStoreUpdates(previous, snapshot.unreadCount);
+            
+            return () => {
+                const current = previous.map(notification => this.store.get(notification.id)).filter(Boolean);
+                const currentCount = this.store.getSnapshot().unreadCount;
+                
+                this.applyStoreChange({ action: 'restore', notifications: previous, unreadCount, hasServerCount }, true);
+                this.emitStoreUpdates(current, currentCount);
+            };
+        }
+        
+        /**
+         * Emit `notificationUpdated` for stored notifications that are no longer
+         * the given objects, and `unreadCount` if it moved
+         */
+        emitStoreUpdates(previous, previousCount) {
+            previous.forEach(old => {
+                const notification = this.store.get(old.id);
+                if (notification && notification !== old) {
+                    this.emit('notificationUpdated', { notification, previous: old });
+                }
+            });
+            
+            const count = this.store.getSnapshot().unreadCount;
+            if (count !== previousCount) {
+                this.emit('unreadCount', count);
+            }
+        }
+        
+        /**
+         * Finish an optimistic mutation: reconcile on success, roll back on failure
+         */
+        settleMutation(entry, error, result) {
+            const rollback = this.rollbacks.get(entry.idempotencyKey);
+            this.rollbacks.delete(entry.idempotencyKey);
+            
+            if (error) {
+                if (rollback) {
+                    rollback();
+                }
+                this.emit('mutationFailed', { type: entry.type, payload: entry.payload, error });
+                return;
+            }
+            
+            if (rollback) {
+                this.reconcile(result);
+            }
+        }
+        
+        /**
+         * Let the server's answer win over the optimistic state
+         * 
+         * Picks up an updated notification (`notification`, or the response
+         * itself) and an `unread_count` when the response has them.
+         */
+        reconcile(result) {
+            if (!result || typeof result !== 'object') return;
+            
+            const updated = result.notification || (result.id !== undefined ? result : null);
+            const previous = updated ? this.store.get(updated.id) : null;
+            const previousCount = this.store.getSnapshot().unreadCount;
+            
+            if (previous) {
+                this.store.upsert(updated);
+            }
+            if (typeof result.unread_count === 'number') {
+                this.store.setUnreadCount(result.unread_count);
+            }
+            
+            this.emitStoreUpdates(previous ? [previous] : [], previousCount);
+        }
+        
+        /**
+         * Send a mutation to the server
+         * 
+         * The idempotency key lets the server drop replays, which also makes
+         * the mutation safe to retry.
+         */
+        executeMutation(entry, signal) {
+            const options = {
+                headers: { 'Idempotency-Key': entry.idempotencyKey },
+                idempotent: true,
+                signal
+            };
+            const { payload } = entry;
+            
+            if (entry.type === 'send') {
+                return this.request('POST', '/api/notifications/send', {
+                    ...options,
+                    body: payload,
+                    kinds: ['app']
+                });
+            }
+            if (entry.type === 'markAsRead') {
+                return this.request('PATCH', `/api/notifications/${payload.notificationId}/read`, options);
+            }
+            if (entry.type === 'markAllAsRead') {
+                return this.request('PATCH', `/api/notifications/user/${payload.userId}/read-all`, options);
+            }
+            if (entry.type === 'markManyAsRead') {
+                return this.request('PATCH', '/api/notifications/read-many', {
+                    ...options,
+                    body: { notification_ids: payload.notificationIds }
+                });
+            }
+            if (entry.type === 'markAsUnread') {
+                return this.request('PATCH', `/api/notifications/${payload.notificationId}/unread`, options);
+            }
+            if (entry.type === 'archive') {
+                return this.request('PATCH', `/api/notifications/${payload.notificationId}/archive`, options);
+            }
+            if (entry.type === 'delete') {
+                return this.request('DELETE', `/api/notifications/${payload.notificationId}`, options);
+            }
+            
+            return Promise.reject(new Error(`Unknown mutation type: ${entry.type}`));
+        }
+        
+        /**
+         * Replay queued mutations now
+         */
+        flushOutbox() {
+            if (!this.outbox) {
+                return Promise.resolve();
+            }
+            return this.outbox.flush().catch(error => {
+                this.logger.warn('Outbox flush failed', error);
+            });
+        }
+        
+        /**
+         * Whether the browser reports being offline
+         */
+        isOffline() {
+            return typeof navigator !== 'undefined' && navigator.onLine === false;
+        }
+        
+        /**
+         * Flush the outbox when connectivity returns, and once on startup
+         */
+        attachOutboxListener() {
+            this.outboxListener = () => this.flushOutbox();
+            
+            if (typeof window !== 'undefined' && window.addEventListener) {
+                window.addEventListener('online', this.outboxListener);
+            }
+            
+            this.outbox.ready.then(() => {
+                if (this.outbox && this.outbox.size > 0 && !this.isOffline()) {
+                    this.flushOutbox();
+                }
+            });
+        }
+        
+        /**
+         * Send many notifications with limited concurrency
+         * 
+         * Takes an array of sendNotification() payloads, or a single payload
+         * with `userIds` to fan out to many recipients. Resolves with one
+         * result per item, in order, and never rejects for a single failure.
+         */
+        async sendBatch(input, options = {}) {
+            const { concurrency = 5, signal } = options;
+            let items;
+            
+            if (Array.isArray(input)) {
+                items = input;
+            } else if (input && Array.isArray(input.userIds)) {
+                const { userIds, ...payload } = input;
+                items = userIds.map(userId => ({ ...payload, userId }));
+            } else {
+                throw new Error('sendBatch expects an array of notifications or a payload with userIds');
+            }
+            
+            this.log(`Sending batch of ${items.length} notification(s)`);
+            
+            const results = new Array(items.length);
+            let next = 0;
+            
+            const worker = async () => {
+                while (next < items.length) {
+                    const index = next++;
+                    const params = items[index];
+                    
+                    try {
+                        const value = await this.sendNotification({ signal, ...params });
+                        results[index] = { status: 'fulfilled', value, params };
+                    } catch (reason) {
+                        results[index] = { status: 'rejected', reason, params };
+                    }
+                }
+            };
+            
+            const workers = [];
+            for (let i = 0; i < Math.min(Math.max(1, concurrency), items.length); i++) {
+                workers.push(worker());
+            }
+            await Promise.all(workers);
+            
+            this.log('Batch sent', results);
+            return results;
+        }
+        
+        /**
+         * Get notifications for a user
+         */
+        async getNotifications(options = {}) {
+            const { userId = this.userId } = options;
+            const result = await this.fetchNotifications(options);
+            
+            if (this.isStoreUser(userId)) {
+                this.store.upsert(result.results || []);
+            }
+            
+            return result;
+        }
+        
+        /**
+         * Fetch a page of notifications without touching the local store
+         * 
+         * `cursor` is the `next` (or `previous`) link of an earlier page; it
+         * replaces every other query option.
+         */
+        async fetchNotifications(options = {}) {
+            const {
+                userId = this.userId,
+                cursor = null,
+                signal
+            } = options;
+            
+            if (cursor) {
+                this.log('Getting notifications page', cursor);
+                const result = await this.request('GET', this.resolveCursor(cursor), { signal });
+                this.log('Notifications received', result);
+                return result;
+            }
+            
+            if (!userId) {
+                throw new Error('userId is required');
+            }
+            
+            const params = HermesClient.buildNotificationQuery(options);
+            this.log('Getting notifications', { userId, params: params.toString() });
+            
+            const result = await this.request('GET', `/api/notifications/user/${userId}`, {
+                query: params,
+                signal
+            });
+            
+            this.log('Notifications received', result);
+            return result;
+        }
+        
+        /**
+         * Turn a pagination link into a path relative to baseUrl
+         * 
+         * Links to another origin are reduced to their path so the token is
+         * never sent anywhere but the configured server.
+         */
+        resolveCursor(cursor) {
+            // A relative baseUrl ('/hermes') is relative to the page
+            const base = new URL(this.baseUrl, typeof location !== 'undefined' ? location.href : undefined);
+            const link = new URL(cursor, base);
+            const basePath = base.pathname.replace(/\/$/, '');
+            let path = link.pathname;
+            
+            // Origins are compared parsed: 'https://api.example.com.evil.net'
+            // starts with 'https://api.example.com' too
+            if (link.origin === base.origin && basePath && path.indexOf(`${basePath}/`) === 0) {
+                path = path.slice(basePath.length);
+            }
+            
+            return `${path}${link.search}`;
+        }
+        
+        /**
+         * Walk every page of notifications lazily
+         * 
+         * Follows the server's `next` links (or offsets when the server sends
+         * none) and yields notifications one at a time. Does not touch the
+         * local store.
+         */
+        async *iterateNotifications(options = {}) {
+            const { pageSize = 50, ...query } = options;
+            let offset = query.offset || 0;
+            let page = await this.fetchNotifications({ ...query, limit: pageSize, offset });
+            
+            while (true) {
+                const results = (page && page.results) || [];
+                
+                for (const notification of results) {
+                    yield notification;
+                }
+                
+                if (page && page.next) {
+                    page = await this.fetchNotifications({ cursor: page.next, signal: query.signal });
+                } else if (page && page.next === undefined && results.length === pageSize) {
+                    offset += pageSize;
+                    page = await this.fetchNotifications({ ...query, limit: pageSize, offset });
+                } else {
+                    return;
+                }
+            }
+        }
+        
+        /**
+         * Get unread count
+         */
+        async getUnreadCount(userId = this.userId, options = {}) {
+            if (!userId) {
+                throw new Error('userId is required');
+            }
+            
+            this.log('Getting unread count', userId);
+            
+            const result = await this.request('GET', `/api/notifications/user/${userId}/unread-count`, {
+                signal: options.signal
+            });
+            
+            this.log('Unread count', result);
+            const count = (result && result.count) || 0;
+            
+            if (this.isStoreUser(userId)) {
+                this.store.setUnreadCount(count);
+            }
+            
+            return count;
+        }
+        
+        /**
+         * Mark notification as read
+         */
+        async markAsRead(notificationId, options = {}) {
+            if (!notificationId) {
+                throw new Error('notificationId is required');
+            }
+            
+            this.log('Marking as read', notificationId);
+            
+            const result = await this.mutateOptimistically({
+                type: 'markAsRead',
+                payload: { notificationId },
+                idempotencyKey: HermesClient.generateId()
+            }, { action: 'read', ids: [notificationId] }, options.signal);
+            
+            this.log('Marked as read', result);
+            return result;
+        }
+        
+        /**
+         * Mark all notifications as read
+         */
+        async markAllAsRead(userId = this.userId, options = {}) {
+            if (!userId) {
+                throw new Error('userId is required');
+            }
+            
+            this.log('Marking all as read', userId);
+            
+            const result = await this.mutateOptimistically({
+                type: 'markAllAsRead',
+                payload: { userId },
+                idempotencyKey: HermesClient.generateId()
+            }, this.isStoreUser(userId) ? { action: 'readAll' } : null, options.signal);
+            
+            this.log('All marked as read', result);
+            return result;
+        }
+        
+        /**
+         * Mark several notifications as read in one request
+         */
+        async markManyAsRead(notificationIds, options = {}) {
+            if (!Array.isArray(notificationIds) || notificationIds.length === 0) {
+                throw new Error('notificationIds must be a non-empty array');
+            }
+            
+            this.log('Marking many as read', notificationIds);
+            
+            const result = await this.mutateOptimistically({
+                type: 'markManyAsRead',
+                payload: { notificationIds },
+                idempotencyKey: HermesClient.generateId()
+            }, { action: 'read', ids: notificationIds }, options.signal);
+            
+            this.log('Marked many as read', result);
+            return result;
+        }
+        
+        /**
+         * Mark a notification as unread again
+         */
+        async markAsUnread(notificationId, options = {}) {
+            if (!notificationId) {
+                throw new Error('notificationId is required');
+            }
+            
+            this.log('Marking as unread', notificationId);
+            
+            const result = await this.mutateOptimistically({
+                type: 'markAsUnread',
+                payload: { notificationId },
+                idempotencyKey: HermesClient.generateId()
+            }, { action: 'unread', ids: [notificationId] }, options.signal);
+            
+            this.log('Marked as unread', result);
+            return result;
+        }
+        
+        /**
+         * Archive a notification
+         */
+        async archive(notificationId, options = {}) {
+            if (!notificationId) {
+                throw new Error('notificationId is required');
+            }
+            
+            this.log('Archiving', notificationId);
+            
+            const result = await this.mutate({
+                type: 'archive',
+                payload: { notificationId },
+                idempotencyKey: HermesClient.generateId()
+            }, options.signal);
+            
+            this.log('Archived', result);
+            this.applyStoreChange({ action: 'remove', ids: [notificationId] }, true);
+            return result;
+        }
+        
+        /**
+         * Delete a notification
+         */
+        async deleteNotification(notificationId, options = {}) {
+            if (!notificationId) {
+                throw new Error('notificationId is required');
+            }
+            
+            this.log('Deleting', notificationId);
+            
+            const result = await this.mutate({
+                type: 'delete',
+                payload: { notificationId },
+                idempotencyKey: HermesClient.generateId()
+            }, options.signal);
+            
+            this.log('Deleted', result);
+            this.applyStoreChange({ action: 'remove', ids: [notificationId] }, true);
+            return result;
+        }
+        
+        /**
+         * Ask for permission to show native notifications
+         */
+        async requestNotificationPermission() {
+            return this.requireBrowserNotifications().requestPermission();
+        }
+        
+        /**
+         * Subscribe this browser to Web Push for a user
+         */
+        async subscribeToPush(userId = this.userId) {
+            return this.requireBrowserNotifications().subscribe(userId);
+        }
+        
+        /**
+         * Remove this browser's Web Push subscription
+         */
+        async unsubscribeFromPush(userId = this.userId) {
+            return this.requireBrowserNotifications().unsubscribe(userId);
+        }
+        
+        requireBrowserNotifications() {
+            if (!this.browserNotifications) {
+                throw new Error('Browser notifications are disabled; set the browserNotifications option');
+            }
+            return this.browserNotifications;
+        }
+        
+        /**
+         * Connect to SSE for real-time notifications
+         */
+        connectSSE(userId = this.userId) {
+            if (!userId) {
+                throw new Error('userId is required for SSE connection');
+            }
+            
+            if (!this.profileToken && !this.getToken) {
+                throw new Error('profileToken is required for SSE connection');
+            }
+            
+            if (this.tabs || (this.connection && this.connection.state !== 'closed')) {
+                this.log('SSE already connected, disconnecting first');
+                this.disconnectMain();
+            }
+            
+            if (this.multiTab) {
+                this.startTabCoordination(userId);
+            } else {
+                this.openConnection(userId);
+            }
+        }
+        
+        /**
+         * Open this tab's own SSE connection
+         */
+        openConnection(userId) {
+            this.connection = new SSEConnection(this, { userId, primary: true });
+            this.startConnection(this.connection);
+        }
+        
+        startConnection(connection) {
+            this.attachEnvironmentListeners();
+            this.startMetricsTimer();
+            
+            if (this.shouldPause()) {
+                connection.pause(this.shouldPause());
+            } else {
+                connection.open();
+            }
+        }
+        
+        /**
+         * Close this tab's own SSE connection
+         */
+        closeConnection(reason) {
+            this.stopConnection(this.connection, reason);
+        }
+        
+        stopConnection(connection, reason) {
+            if (!connection || connection.state === 'closed') return;
+            
+            const wasOpen = connection.state === 'open';
+            connection.close();
+            
+            if (this.getConnections().every(other => other.state === 'closed')) {
+                this.detachEnvironmentListeners();
+                this.stopMetricsTimer();
+            }
+            
+            if (wasOpen) {
+                connection.emitLifecycle('disconnected', { reason, userId: connection.userId, streamId: connection.id });
+            }
+        }
+        
+        /**
+         * Open an extra stream next to the main one
+         * 
+         * Streams share the client's auth, transport and reconnect policy but
+         * have their own listeners and status. Their notifications are only
+         * added to the store with `store: true`.
+         */
+        connectStream(options = {}) {
+            if (!options.userId && !options.topic && !options.path) {
+                throw new Error('userId, topic or path is required for a stream');
+            }
+            
+            if (!this.profileToken && !this.getToken) {
+                throw new Error('profileToken is required for SSE connection');
+            }
+            
+            const stream = new SSEConnection(this, options);
+            const existing = this.streams.get(stream.id);
+            if (existing && existing.state !== 'closed') {
+                this.log(`Stream ${stream.id} already connected`);
+                return existing;
+            }
+            
+            this.streams.set(stream.id, stream);
+            this.startConnection(stream);
+            return stream;
+        }
+        
+        disconnectStream(id) {
+            const stream = this.streams.get(id);
+            if (!stream) return;
+            
+            this.log(`Disconnecting stream ${id}`);
+            this.streams.delete(id);
+            this.stopConnection(stream, 'manual');
+        }
+        
+        getStream(id) {
+            if (this.connection && this.connection.id === id) {
+                return this.connection;
+            }
+            return this.streams.get(id) || null;
+        }
+        
+        /**
+         * The main connection (if any) followed by the extra streams
+         */
+        getConnections() {
+            const connections = Array.from(this.streams.values());
+            return this.connection ? [this.connection].concat(connections) : connections;
+        }
+        
+        /**
+         * Share one SSE connection between tabs
+         * 
+         * Only the leader tab connects; it rebroadcasts stream events to the
+         * followers. Any tab's read-state changes are broadcast to all others.
+         */
+        startTabCoordination(userId) {
+            const options = this.multiTab === true ? {} : this.multiTab;
+            
+            this.tabs = new TabCoordinator(this, {
+                ...options,
+                channelName: options.channelName || `hermes:${this.baseUrl}:${userId}`,
+                onBecomeLeader: () => {
+                    this.openConnection(userId);
+                    this.emit('leaderChange', { isLeader: true });
+                },
+                onLoseLeadership: () => {
+                    this.closeConnection('leadership');
+                    this.emit('leaderChange', { isLeader: false });
+                },
+                onMessage: (message) => this.handleTabMessage(message)
+            });
+            this.tabs.start();
+        }
+        
+        /**
+         * Apply an event rebroadcast by another tab
+         */
+        handleTabMessage(message) {
+            if (message.type === 'store') {
+                this.applyStoreChange(message.change);
+                return;
+            }
+            
+            if (message.type !== 'event' || this.tabs.isLeader) return;
+            
+            const { event, data } = message;
+            
+            if (event === 'notification') {
+                if (this.store.upsert(data, { live: true }).length === 0) return;
+            } else if (event === 'notificationSuppressed') {
+                this.store.upsert(data.notification, { live: true });
+            } else if (event === 'unreadCount') {
+                this.store.setUnreadCount(data);
+            } else if (event === 'stateChange') {
+                this.remoteState = data.state;
+            }
+            
+            this.emit(event, data);
+        }
+        
+        /**
+         * Apply a read-state or removal change to the local store
+         * 
+         * Local changes are also broadcast to the other tabs.
+         */
+        applyStoreChange(change, broadcast = false) {
+            if (change.action === 'read') {
+                this.store.markRead(change.ids);
+            } else if (change.action === 'readAll') {
+                this.store.markAllRead();
+            } else if (change.action === 'unread') {
+                this.store.markUnread(change.ids);
+            } else if (change.action === 'remove') {
+                this.store.remove(change.ids);
+            } else if (change.action === 'restore') {
+                this.store.restore(change.notifications, change.unreadCount, change.hasServerCount);
+            }
+            
+            if (broadcast && this.tabs) {
+                this.tabs.post({ type: 'store', change });
+            }
+        }
+        
+        /**
+         * Resolve the configured transport name
+         */
+        getTransportType() {
+            if (typeof this.transport === 'function') {
+                return 'custom';
+            }
+            if (this.transport === 'auto') {
+                return typeof EventSource !== 'undefined' ? 'eventsource' : 'fetch';
+            }
+            return this.transport;
+        }
+
+        /**
+         * Create the SSE transport for a connection attempt
+         * 
+         * A custom transport is a function receiving the same options and
+         * returning an object with a close() method.
+         */
+        createTransport(options) {
+            const type = this.getTransportType();
+            
+            if (type === 'custom') {
+                return this.transport(options);
+            }
+            if (type === 'fetch') {
+                return new FetchTransport(options);
+            }
+            if (type === 'eventsource') {
+                return new EventSourceTransport(options);
+            }
+            throw new Error(`Unknown SSE transport: ${type}`);
+        }
+
+        /**
+         * Handle a raw SSE message event
+         */
+        handleSSEMessage(event, connection) {
+            // Named SSE events (`event: name`) carry their type outside the payload
+            const named = event.type && event.type !== 'message' ? event.type : null;
+            let data;
+            
+            try {
+                data = JSON.parse(event.data);
+            } catch (error) {
+                if (!named) {
+                    // Plain `data: ping` keep-alives
+                    if (this.heartbeatEvents.indexOf(event.data) > -1) return;
+                    
+                    this.metrics.messageReceived(connection.id);
+                    this.log('Error parsing SSE message', error);
+                    this.reportInvalidMessage(event, null, ['data is not valid JSON'], connection);
+                    return;
+                }
+                data = event.data;
+            }
+            
+            let type = named || (data && data.type);
+            
+            // Heartbeats only keep the stream from going stale
+            if (this.heartbeatEvents.indexOf(type) > -1) return;
+            
+            this.metrics.messageReceived(connection.id);
+            this.log('SSE message received', type, data);
+            
+            if (this.schema) {
+                const issues = this.schema.validateMessage(type, data);
+                
+                if (issues.length > 0) {
+                    this.reportInvalidMessage(event, data, issues, connection);
+                    // Lenient mode still delivers what it can
+                    if (this.schema.strict || !type || !NotificationSchema.isObject(data)) return;
+                }
+            }
+            
+            if (this.plugins.length > 0) {
+                const message = this.transformWithPlugins(
+                    'onMessage',
+                    { type, data, lastEventId: event.lastEventId || null },
+                    { streamId: connection.id, client: this }
+                );
+                if (!message) return;
+                
+                type = message.type;
+                data = message.data;
+            }
+            
+            if (type === 'notification') {
+                this.handleNotification(data, connection);
+            } else if (type === 'unread_count') {
+                if (connection.store) {
+                    this.store.setUnreadCount(data.count);
+                }
+                connection.emit('unreadCount', data.count);
+            } else if (type === 'connected') {
+                connection.emit('connected', data);
+            } else if (type) {
+                this.handleServerEvent(type, data, event.lastEventId || null, connection);
+            }
+        }
+        
+        /**
+         * Emit `invalidMessage` for stream data that failed to parse or validate
+         */
+        reportInvalidMessage(event, data, issues, connection) {
+            if (this.schema && !this.schema.strict) {
+                this.logger.warn('Invalid SSE message:', issues.join('; '));
+            }
+            connection.emit('invalidMessage', {
+                type: event.type,
+                data,
+                raw: event.data,
+                issues,
+                lastEventId: event.lastEventId || null,
+                streamId: connection.id
+            });
+        }
+        
+        /**
+         * Forward a server event type the client does not handle itself
+         * 
+         * Always emitted as `message`, and under its own name unless that
+         * clashes with a client event.
+         */
+        handleServerEvent(type, data, lastEventId, connection) {
+            connection.emit('message', { type, data, lastEventId });
+            
+            if (HermesClient.EVENTS.indexOf(type) === -1) {
+                connection.emit(type, data);
+            }
+        }
+
+        /**
+         * Deliver a notification once per stream
+         */
+        handleNotification(notification, connection) {
+            if (this.plugins.length > 0) {
+                notification = this.transformWithPlugins('onNotification', notification, {
+                    streamId: connection.id,
+                    client: this
+                });
+                if (!notification) return;
+            }
+            
+            if (notification.id !== undefined && notification.id !== null) {
+                if (connection.hasSeen(notification.id)) {
+                    this.log('Duplicate notification skipped', notification.id);
+                    return;
+                }
+                connection.markSeen(notification);
+            }
+            
+            if (connection.store) {
+                this.store.upsert(notification, { live: true });
+            }
+            
+            const route = this.rules ? this.rules.route(notification) : 'deliver';
+            if (route !== 'deliver') {
+                // Still stored (and counted as unread), just not announced
+                this.log(`Notification ${notification.id} not delivered: ${route}`);
+                connection.emit('notificationSuppressed', { notification, reason: route });
+                return;
+            }
+            
+            connection.emit('notification', notification);
+            
+            if (this.browserNotifications) {
+                this.browserNotifications.notify(notification);
+            }
+        }
+
+        /**
+         * Fetch notifications missed while the stream was down
+         * 
+         * Anything newer than the last seen notification (or the first open
+         * of the stream) is emitted as a regular `notification` event.
+         */
+        async catchUp(connection) {
+            const since = connection.lastSeenAt || connection.firstOpenedAt;
+            const sinceTime = Date.parse(since) || 0;
+            this.log('Catching up on missed notifications since', since);
+            
+            try {
+                const result = await this.fetchNotifications({
+                    userId: connection.userId,
+                    limit: this.catchUpLimit
+                });
+                
+                // The stream may have been closed or replaced while fetching
+                if (connection.state === 'closed') return;
+                
+                const missed = (result.results || [])
+                    .filter(n => Date.parse(n.created_at) > sinceTime && !connection.hasSeen(n.id))
+                    .sort((a, b) => NotificationStore.compare(b, a));
+                
+                this.log(`Recovered ${missed.length} missed notification(s)`);
+                missed.forEach(notification => {
+                    this.handleNotification({ type: 'notification', ...notification }, connection);
+                });
+            } catch (error) {
+                this.logger.warn('Catch-up failed', error);
+            }
+        }
+
+        /**
+         * Reconnect every SSE stream now, resetting the backoff
+         */
+        reconnect() {
+            this.streams.forEach(stream => {
+                stream.paused = false;
+                stream.reconnect();
+            });
+            
+            if (this.tabs && !this.tabs.isLeader) {
+                this.log('Reconnect skipped, the leader tab owns the stream');
+                return;
+            }
+            
+            // Only extra streams are in use
+            if (!this.connection && this.streams.size > 0) return;
+            
+            if (!this.connection || this.connection.state === 'closed') {
+                this.connectSSE(this.connection ? this.connection.userId : this.userId);
+                return;
+            }
+            
+            this.log('Manual reconnect');
+            this.connection.paused = false;
+            this.connection.reconnect();
+        }
+
+        /**
+         * Disconnect from SSE, closing every stream
+         */
+        disconnectSSE() {
+            this.disconnectMain();
+            
+            Array.from(this.streams.keys()).forEach(id => this.disconnectStream(id));
+            
+            if (this.rules) {
+                this.rules.flushAll();
+            }
+        }
+
+        /**
+         * Close the main stream and leave tab coordination
+         */
+        disconnectMain() {
+            if (this.tabs) {
+                this.log('Leaving tab coordination');
+                const tabs = this.tabs;
+                this.tabs = null;
+                this.remoteState = 'idle';
+                
+                // Resigning closes the connection if this tab was the leader
+                tabs.onLoseLeadership = () => {};
+                tabs.stop();
+            }
+            
+            if (this.connection && this.connection.state !== 'closed') {
+                this.log('Disconnecting SSE');
+                this.closeConnection('manual');
+            }
+        }
+
+        /**
+         * Reason to keep the stream paused, or null
+         */
+        shouldPause() {
+            if (this.pauseWhenOffline && typeof navigator !== 'undefined' && navigator.onLine === false) {
+                return 'offline';
+            }
+            if (this.pauseWhenHidden && typeof document !== 'undefined' && document.visibilityState === 'hidden') {
+                return 'hidden';
+            }
+            return null;
+        }
+
+        /**
+         * Pause/resume the stream on connectivity and visibility changes
+         */
+        attachEnvironmentListeners() {
+            if (this.environmentListeners) return;
+            
+            const update = () => {
+                const reason = this.shouldPause();
+                
+                this.getConnections().forEach(connection => {
+                    if (reason) {
+                        connection.pause(reason);
+                    } else {
+                        connection.resume();
+                    }
+                });
+            };
+            
+            this.environmentListeners = update;
+            
+            if (typeof window !== 'undefined' && window.addEventListener) {
+                window.addEventListener('online', update);
+                window.addEventListener('offline', update);
+            }
+            if (typeof document !== 'undefined' && document.addEventListener) {
+                document.addEventListener('visibilitychange', update);
+            }
+        }
+
+        detachEnvironmentListeners() {
+            const update = this.environmentListeners;
+            if (!update) return;
+            
+            if (typeof window !== 'undefined' && window.removeEventListener) {
+                window.removeEventListener('online', update);
+                window.removeEventListener('offline', update);
+            }
+            if (typeof document !== 'undefined' && document.removeEventListener) {
+                document.removeEventListener('visibilitychange', update);
+            }
+            this.environmentListeners = null;
+        }
+
+        /**
+         * Emit `metrics` every `metricsInterval` ms while a stream is connected
+         */
+        startMetricsTimer() {
+            if (!this.metricsInterval || this.metricsTimer) return;
+            
+            this.metricsTimer = setInterval(() => this.emit('metrics', this.getMetrics()), this.metricsInterval);
+            // Never keep a Node process alive just to report
+            if (this.metricsTimer.unref) this.metricsTimer.unref();
+        }
+
+        stopMetricsTimer() {
+            if (!this.metricsTimer) return;
+            
+            clearInterval(this.metricsTimer);
+            this.metricsTimer = null;
+        }
+
+        /**
+         * Get request and stream metrics
+         * 
+         * `requests` by endpoint (count, errors, avgMs, maxMs, lastMs) and
+         * `streams` by id (uptime, connects, reconnects, messages, throughput
+         * and last-message age).
+         */
+        getMetrics() {
+            return this.metrics.snapshot();
+        }
+
+        /**
+         * Start the metrics over (e.g. after shipping a snapshot)
+         */
+        resetMetrics() {
+            this.metrics.reset();
+        }
+
+        /**
+         * Event listener management
+         * 
+         * `on`, `once` and `onAny` return a function that removes the listener.
+         */
+        on(event, callback) {
+            if (!this.listeners[event]) {
+                this.listeners[event] = [];
+            }
+            this.listeners[event].push(callback);
+            this.log(`Listener added for event: ${event}`);
+            
+            return () => this.off(event, callback);
+        }
+
+        once(event, callback) {
+            const listener = (data) => {
+                this.off(event, callback);
+                return callback(data);
+            };
+            listener.callback = callback;
+            
+            return this.on(event, listener);
+        }
+
+        off(event, callback) {
+            if (!this.listeners[event]) return;
+
+            const index = this.listeners[event].findIndex(
+                listener => listener === callback || listener.callback === callback
+            );
+            if (index > -1) {
+                this.listeners[event].splice(index, 1);
+                this.log(`Listener removed for event: ${event}`);
+            }
+        }
+
+        /**
+         * Listen to every event; the callback receives `(event, data)`
+         */
+        onAny(callback) {
+            this.anyListeners.push(callback);
+            return () => this.offAny(callback);
+        }
+
+        offAny(callback) {
+            const index = this.anyListeners.indexOf(callback);
+            if (index > -1) {
+                this.anyListeners.splice(index, 1);
+            }
+        }
+
+        emit(event, data) {
+            if (this.tabs && this.tabs.isLeader && this.isSharedEvent(event)) {
+                this.tabs.post({ type: 'event', event, data });
+            }
+            
+            this.emitLocal(event, data);
+        }
+
+        /**
+         * Notify this tab's listeners without rebroadcasting to other tabs
+         */
+        emitLocal(event, data) {
+            const listeners = (this.listeners[event] || []).slice();
+            listeners.forEach(callback => this.callListener(event, () => callback(data)));
+            
+            this.anyListeners.slice().forEach(callback => this.callListener(event, () => callback(event, data)));
+        }
+
+        /**
+         * Run a listener, reporting sync throws and async rejections
+         */
+        callListener(event, invoke) {
+            try {
+                const result = invoke();
+                if (result && typeof result.then === 'function') {
+                    result.then(null, error => this.reportListenerError(event, error));
+                }
+            } catch (error) {
+                this.reportListenerError(event, error);
+            }
+        }
+
+        /**
+         * Surface a listener failure as an `error` event
+         * 
+         * Failures of `error` listeners themselves are only logged.
+         */
+        reportListenerError(event, error) {
+            this.logger.error(`Error in ${event} listener`, error);
+            if (event === 'error') return;
+            
+            const message = error && error.message ? error.message : String(error);
+            this.emit('error', new HermesError(`Error in ${event} listener: ${message}`, {
+                code: 'LISTENER_ERROR',
+                cause: error
+            }));
+        }
+
+        /**
+         * Whether the leader tab rebroadcasts an event (custom server events included)
+         */
+        isSharedEvent(event) {
+            return TabCoordinator.SHARED_EVENTS.indexOf(event) > -1 ||
+                HermesClient.EVENTS.indexOf(event) === -1;
+        }
+
+        /**
+         * Group notifications (the store's by default) by the `rules.groupBy` key
+         */
+        groupNotifications(notifications = this.store.getSnapshot().notifications) {
+            const rules = this.rules || new NotificationRules(this);
+            return rules.group(notifications);
+        }
+
+        /**
+         * Whether REST results for this user belong in the local store
+         */
+        isStoreUser(userId) {
+            return !this.userId || String(userId) === String(this.userId);
+        }
+
+        /**
+         * Subscribe to local store changes
+         * 
+         * The listener receives the new snapshot. Returns an unsubscribe function.
+         */
+        subscribe(listener) {
+            return this.store.subscribe(listener);
+        }
+
+        /**
+         * Get the current store snapshot ({ notifications, unreadCount })
+         */
+        getSnapshot() {
+            return this.store.getSnapshot();
+        }
+
+        /**
+         * Empty the local store and delete its cached copy (e.g. on logout)
+         */
+        async clearCache() {
+            this.store.clear();
+            if (this.cache) {
+                await this.cache.clear();
+            }
+        }
+
+        /**
+         * Get connection status
+         */
+        getStatus() {
+            const connection = this.connection;
+            const isFollower = !!this.tabs && !this.tabs.isLeader;
+            return {
+                state: isFollower ? this.remoteState : (connection ? connection.state : 'idle'),
+                isConnected: this.isConnected,
+                reconnectAttempts: this.reconnectAttempts,
+                nextRetryAt: connection ? connection.nextRetryAt : null,
+                paused: connection ? connection.paused : false,
+                lastActivityAt: connection ? connection.lastActivityAt : null,
+                transport: this.getTransportType(),
+                hasEventSource: !!this.eventSource,
+                tabRole: this.tabs ? (this.tabs.isLeader ? 'leader' : 'follower') : null,
+                streams: this.getConnections().reduce((streams, stream) => {
+                    streams[stream.id] = stream.getStatus();
+                    return streams;
+                }, {}),
+                metrics: this.getMetrics()
+            };
+        }
+
+        get isConnected() {
+            if (this.tabs && !this.tabs.isLeader) {
+                return this.remoteState === 'open';
+            }
+            return !!this.connection && this.connection.state === 'open';
+        }
+
+        get reconnectAttempts() {
+            return this.connection ? this.connection.reconnectAttempts : 0;
+        }
+
+        get eventSource() {
+            return this.connection ? this.connection.transport : null;
+        }
+    }
+
+    /**
+     * Sleep for `ms`, rejecting early if `signal` aborts
+     */
+    HermesClient.sleep = (ms, signal) => new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new HermesError('Request aborted', { code: 'ABORTED' }));
+            return;
+        }
+        
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new HermesError('Request aborted', { code: 'ABORTED' }));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+
+    /**
+     * Build the query string for notification listings
+     * 
+     * Arrays become repeated parameters, dates are sent as ISO strings and
+     * `metadata` entries as `metadata__<key>`.
+     */
+    HermesClient.buildNotificationQuery = (options = {}) => {
+        const {
+            limit = 20,
+            offset = 0,
+            priority,
+            sourceSystem,
+            channel,
+            createdAfter,
+            createdBefore,
+            metadata
+        } = options;
+        
+        // `is_read` is accepted for compatibility with older typings
+        const isRead = options.isRead !== undefined ? options.isRead : options.is_read;
+        
+        const params = new URLSearchParams({
+            limit: limit.toString(),
+            offset: offset.toString()
+        });
+        
+        const append = (name, value) => {
+            if (value === undefined || value === null || value === '') return;
+            
+            (Array.isArray(value) ? value : [value]).forEach(item => {
+                params.append(name, item instanceof Date ? item.toISOString() : String(item));
+            });
+        };
+        
+        append('is_read', isRead);
+        append('priority', priority);
+        append('source_system', sourceSystem);
+        append('channel', channel);
+        append('created_after', createdAfter);
+        append('created_before', createdBefore);
+        
+        if (metadata) {
+            Object.keys(metadata).forEach(key => append(`metadata__${key}`, metadata[key]));
+        }
+        
+        return params;
+    };
+
+    /**
+     * Generate a random id (used for idempotency keys)
+     */
+    HermesClient.generateId = () => {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+    };
+
+    HermesClient.IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+    // Events emitted by the client itself; other names are custom server events
+    HermesClient.EVENTS = [
+        'notification',
+        'connected',
+        'disconnected',
+        'error',
+        'unreadCount',
+        'stateChange',
+        'reconnecting',
+        'reconnectFailed',
+        'tokenRefreshed',
+        'outboxQueued',
+        'outboxFlushed',
+        'outboxFailed',
+        'leaderChange',
+        'notificationClick',
+        'pushSubscribed',
+        'message',
+        'notificationSuppressed',
+        'digest',
+        'invalidMessage',
+        'notificationUpdated',
+        'mutationFailed',
+        'metrics',
+        'stale'
+    ];
+    HermesClient.HermesError = HermesError;
+    HermesClient.NotificationStore = NotificationStore;
+    HermesClient.NotificationRules = NotificationRules;
+    HermesClient.TemplateRegistry = TemplateRegistry;
+    HermesClient.NotificationSchema = NotificationSchema;
+    HermesClient.Logger = Logger;
+    HermesClient.Metrics = Metrics;
+    HermesClient.Outbox = Outbox;
+    HermesClient.MemoryStorage = MemoryStorage;
+    HermesClient.IndexedDBStorage = IndexedDBStorage;
+    HermesClient.FileStorage = FileStorage;
+    HermesClient.WebStorage = WebStorage;
+    HermesClient.NotificationCache = NotificationCache;
+    HermesClient.TabCoordinator = TabCoordinator;
+    HermesClient.BrowserNotifications = BrowserNotifications;
+    HermesClient.SSEParser = SSEParser;
+    HermesClient.EventSourceTransport = EventSourceTransport;
+    HermesClient.FetchTransport = FetchTransport;
+
+    // Export for different module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HermesClient;
+    }
+    if (typeof window !== 'undefined') {
+        window.HermesClient = HermesClient;
+    }
+})();
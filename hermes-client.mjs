@@ -0,0 +1,35 @@
+/**
+ * Hermes Notifications - ES module entry
+ *
+ * Re-exports the CommonJS build, so `import` and `require` share the same
+ * HermesClient class.
+ *
+ * @example
+ * import HermesClient, { HermesError } from '@raphab3/hermes-client';
+ */
+
+import HermesClient from './hermes-client.js';
+
+export const {
+    HermesError,
+    NotificationStore,
+    NotificationRules,
+    TemplateRegistry,
+    NotificationSchema,
+    Logger,
+    Metrics,
+    Outbox,
+    MemoryStorage,
+    IndexedDBStorage,
+    FileStorage,
+    WebStorage,
+    NotificationCache,
+    TabCoordinator,
+    BrowserNotifications,
+    SSEParser,
+    EventSourceTransport,
+    FetchTransport
+} = HermesClient;
+
+export { HermesClient };
+export default HermesClient;
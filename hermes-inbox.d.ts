@@ -0,0 +1,44 @@
+/**
+ * Hermes Notifications - <hermes-inbox> Web Component TypeScript Definitions
+ */
+
+import type { HermesClient } from './hermes-client';
+
+export interface HermesInboxStrings {
+  title: string;
+  markAllRead: string;
+  markRead: string;
+  empty: string;
+  loading: string;
+  loadError: string;
+  /** `{count}` is replaced with the unread count */
+  bellLabel: string;
+  /** Toast for a burst collapsed by the client's digest rule; `{count}` is replaced */
+  digest: string;
+  close: string;
+}
+
+declare global {
+  class HermesInbox extends HTMLElement {
+    /** Built-in UI text, keyed by locale; add a locale by assigning to it */
+    static strings: Record<string, HermesInboxStrings>;
+
+    /** Share an existing client; set it before adding the element to the DOM */
+    client: HermesClient | null;
+    /** Override any UI text for every locale */
+    strings: Partial<HermesInboxStrings>;
+
+    /** Load the next page of notifications into the client's store */
+    loadMore(): Promise<void>;
+  }
+
+  interface HTMLElementTagNameMap {
+    'hermes-inbox': HermesInbox;
+  }
+
+  interface Window {
+    HermesInbox: typeof HermesInbox;
+  }
+}
+
+export {};
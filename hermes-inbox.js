@@ -0,0 +1,460 @@
+/**
+ * Hermes Notifications - <hermes-inbox> Web Component
+ *
+ * A drop-in notification bell and inbox built on HermesClient: unread
+ * badge, dropdown list with infinite scroll, mark-read actions and toasts.
+ * Works in any framework or plain HTML; load it after hermes-client.js.
+ *
+ * <hermes-inbox
+ *     base-url="http://localhost:8000"
+ *     profile-token="your-profile-token"
+ *     user-id="user-123"
+ *     locale="en">
+ * </hermes-inbox>
+ *
+ * Attributes: base-url, profile-token, user-id, locale, page-size,
+ * toast-duration, no-toasts, no-connect.
+ * Properties: `client` (share an existing HermesClient), `strings`
+ * (override any UI text).
+ * Theme with CSS custom properties: --hermes-accent, --hermes-bg,
+ * --hermes-fg, --hermes-muted, --hermes-border, --hermes-unread-bg,
+ * --hermes-badge-bg, --hermes-badge-fg, --hermes-radius, --hermes-width,
+ * --hermes-font.
+ */
+
+(function () {
+    const HermesClient = typeof window !== 'undefined' && window.HermesClient
+        ? window.HermesClient
+        : (typeof require === 'function' ? require('./hermes-client.js') : null);
+
+    if (typeof HTMLElement === 'undefined' || typeof customElements === 'undefined') {
+        return;
+    }
+
+    const STRINGS = {
+        en: {
+            title: 'Notifications',
+            markAllRead: 'Mark all as read',
+            markRead: 'Mark as read',
+            empty: 'No notifications yet',
+            loading: 'Loading…',
+            loadError: 'Could not load notifications',
+            bellLabel: 'Notifications ({count} unread)',
+            digest: '{count} more notifications',
+            close: 'Dismiss'
+        },
+        'pt-BR': {
+            title: 'Notificações',
+            markAllRead: 'Marcar todas como lidas',
+            markRead: 'Marcar como lida',
+            empty: 'Nenhuma notificação ainda',
+            loading: 'Carregando…',
+            loadError: 'Não foi possível carregar as notificações',
+            bellLabel: 'Notificações ({count} não lidas)',
+            digest: 'Mais {count} notificações',
+            close: 'Fechar'
+        }
+    };
+
+    const STYLES = `
+        :host {
+            --hermes-accent: #2563eb;
+            --hermes-bg: #ffffff;
+            --hermes-fg: #111827;
+            --hermes-muted: #6b7280;
+            --hermes-border: #e5e7eb;
+            --hermes-unread-bg: #eff6ff;
+            --hermes-badge-bg: #ef4444;
+            --hermes-badge-fg: #ffffff;
+            --hermes-radius: 8px;
+            --hermes-width: 360px;
+            --hermes-font: inherit;
+            position: relative;
+            display: inline-block;
+            font-family: var(--hermes-font);
+            color: var(--hermes-fg);
+        }
+        button { font: inherit; cursor: pointer; }
+        .bell {
+            position: relative;
+            background: none;
+            border: none;
+            padding: 6px;
+            font-size: 1.4em;
+            line-height: 1;
+        }
+        .badge {
+            position: absolute;
+            top: 0;
+            right: 0;
+            min-width: 1.4em;
+            padding: 0 4px;
+            border-radius: 999px;
+            background: var(--hermes-badge-bg);
+            color: var(--hermes-badge-fg);
+            font-size: 0.55em;
+            line-height: 1.4em;
+            text-align: center;
+        }
+        .badge[hidden] { display: none; }
+        .panel {
+            position: absolute;
+            right: 0;
+            z-index: 1000;
+            width: var(--hermes-width);
+            max-height: 480px;
+            display: flex;
+            flex-direction: column;
+            background: var(--hermes-bg);
+            border: 1px solid var(--hermes-border);
+            border-radius: var(--hermes-radius);
+            box-shadow: 0 10px 25px rgba(0, 0, 0, 0.12);
+        }
+        .panel[hidden] { display: none; }
+        .header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            padding: 12px 16px;
+            border-bottom: 1px solid var(--hermes-border);
+            font-weight: 600;
+        }
+        .link {
+            background: none;
+            border: none;
+            padding: 0;
+            color: var(--hermes-accent);
+            font-size: 0.85em;
+        }
+        .list { overflow-y: auto; flex: 1; }
+        .item {
+            display: flex;
+            gap: 8px;
+            padding: 12px 16px;
+            border-bottom: 1px solid var(--hermes-border);
+        }
+        .item.unread { background: var(--hermes-unread-bg); }
+        .item-body { flex: 1; min-width: 0; }
+        .item-title { font-weight: 600; }
+        .item-text { margin-top: 2px; overflow-wrap: anywhere; }
+        .item-time { margin-top: 4px; color: var(--hermes-muted); font-size: 0.8em; }
+        .status { padding: 16px; text-align: center; color: var(--hermes-muted); }
+        .toasts {
+            position: fixed;
+            right: 16px;
+            bottom: 16px;
+            z-index: 1001;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        }
+        .toast {
+            display: flex;
+            gap: 8px;
+            width: var(--hermes-width);
+            padding: 12px 16px;
+            background: var(--hermes-bg);
+            border-left: 4px solid var(--hermes-accent);
+            border-radius: var(--hermes-radius);
+            box-shadow: 0 10px 25px rgba(0, 0, 0, 0.12);
+        }
+        .toast.priority-high, .toast.priority-urgent { border-left-color: var(--hermes-badge-bg); }
+        .close { background: none; border: none; color: var(--hermes-muted); }
+    `;
+
+    class HermesInbox extends HTMLElement {
+        static get observedAttributes() {
+            return ['locale'];
+        }
+
+        constructor() {
+            super();
+            this.attachShadow({ mode: 'open' });
+            this.client = this.client || null;
+            this.customStrings = {};
+            this.ownsClient = false;
+            this.cleanup = [];
+            this.nextCursor = null;
+            this.offset = 0;
+            this.hasMore = true;
+            this.loading = false;
+            this.loadFailed = false;
+        }
+
+        connectedCallback() {
+            this.render();
+            this.attachClient();
+        }
+
+        disconnectedCallback() {
+            this.cleanup.forEach(fn => fn());
+            this.cleanup = [];
+
+            if (this.ownsClient && this.client) {
+                this.client.disconnectSSE();
+                this.client = null;
+                this.ownsClient = false;
+            }
+        }
+
+        attributeChangedCallback() {
+            if (this.shadowRoot.firstChild) {
+                this.update();
+            }
+        }
+
+        get strings() {
+            return this.customStrings;
+        }
+
+        set strings(value) {
+            this.customStrings = value || {};
+            this.update();
+        }
+
+        /**
+         * UI text for the current locale, with `strings` overrides
+         */
+        t(key, values = {}) {
+            const locale = this.getAttribute('locale') || 'en';
+            const table = STRINGS[locale] || STRINGS[locale.split('-')[0]] || STRINGS.en;
+            const text = this.customStrings[key] || table[key] || STRINGS.en[key] || key;
+            return text.replace(/\{(\w+)\}/g, (match, name) => (
+                values[name] !== undefined ? values[name] : match
+            ));
+        }
+
+        attachClient() {
+            if (!this.client) {
+                if (!HermesClient) {
+                    throw new Error('<hermes-inbox> requires hermes-client.js to be loaded first');
+                }
+
+                this.client = new HermesClient({
+                    baseUrl: this.getAttribute('base-url') || undefined,
+                    profileToken: this.getAttribute('profile-token'),
+                    userId: this.getAttribute('user-id')
+                });
+                this.ownsClient = true;
+            }
+
+            this.nextCursor = null;
+            this.offset = 0;
+            this.hasMore = true;
+
+            const client = this.client;
+            const onNotification = (notification) => this.showToast(notification);
+            const onDigest = ({ count }) => this.showToast({ title: this.t('digest', { count }) });
+
+            this.cleanup.push(client.subscribe(() => this.update()));
+            this.cleanup.push(client.on('notification', onNotification));
+            this.cleanup.push(client.on('digest', onDigest));
+
+            if (this.ownsClient && !this.hasAttribute('no-connect')) {
+                client.connectSSE();
+            }
+
+            client.getUnreadCount().catch(error => client.log('Unread count failed', error));
+            this.loadMore();
+        }
+
+        /**
+         * Load the next page into the client's store
+         */
+        async loadMore() {
+            if (this.loading || !this.hasMore) return;
+
+            const pageSize = parseInt(this.getAttribute('page-size'), 10) || 20;
+            this.loading = true;
+            this.loadFailed = false;
+            this.update();
+
+            try {
+                const result = this.nextCursor
+                    ? await this.client.getNotifications({ cursor: this.nextCursor })
+                    : await this.client.getNotifications({ limit: pageSize, offset: this.offset });
+                const results = result.results || [];
+
+                this.offset += results.length;
+                this.nextCursor = result.next || null;
+                this.hasMore = result.next !== undefined ? !!result.next : results.length === pageSize;
+            } catch (error) {
+                this.loadFailed = true;
+                this.client.log('Inbox page failed', error);
+            } finally {
+                this.loading = false;
+                this.update();
+            }
+        }
+
+        render() {
+            const root = this.shadowRoot;
+            root.innerHTML = `
+                <style>${STYLES}</style>
+                <button class="bell" part="bell" aria-haspopup="true" aria-expanded="false">
+                    <span aria-hidden="true">🔔</span>
+                    <span class="badge" part="badge" hidden></span>
+                </button>
+                <div class="panel" part="panel" role="dialog" hidden>
+                    <div class="header" part="header">
+                        <span class="title"></span>
+                        <button class="link mark-all"></button>
+                    </div>
+                    <div class="list" part="list" role="list"></div>
+                </div>
+                <div class="toasts" part="toasts" aria-live="polite"></div>
+            `;
+
+            const bell = root.querySelector('.bell');
+            const panel = root.querySelector('.panel');
+
+            bell.addEventListener('click', () => {
+                panel.hidden = !panel.hidden;
+                bell.setAttribute('aria-expanded', String(!panel.hidden));
+            });
+            root.querySelector('.mark-all').addEventListener('click', () => {
+                this.client.markAllAsRead().catch(error => this.client.log('Mark all failed', error));
+            });
+            root.querySelector('.list').addEventListener('scroll', (event) => {
+                const list = event.target;
+                if (list.scrollTop + list.clientHeight >= list.scrollHeight - 40) {
+                    this.loadMore();
+                }
+            });
+        }
+
+        /**
+         * Re-render the badge and list from the store snapshot
+         */
+        update() {
+            const root = this.shadowRoot;
+            if (!root || !root.firstChild || !this.client) return;
+
+            const { notifications, unreadCount } = this.client.getSnapshot();
+            const badge = root.querySelector('.badge');
+            const list = root.querySelector('.list');
+
+            badge.hidden = unreadCount === 0;
+            badge.textContent = unreadCount > 99 ? '99+' : String(unreadCount);
+            root.querySelector('.bell').setAttribute('aria-label', this.t('bellLabel', { count: unreadCount }));
+            root.querySelector('.title').textContent = this.t('title');
+
+            const markAll = root.querySelector('.mark-all');
+            markAll.textContent = this.t('markAllRead');
+            markAll.hidden = unreadCount === 0;
+
+            list.textContent = '';
+            notifications.forEach(notification => list.appendChild(this.renderItem(notification)));
+
+            const statusKey = this.loading
+                ? 'loading'
+                : (this.loadFailed ? 'loadError' : (notifications.length === 0 ? 'empty' : null));
+            if (statusKey) {
+                const status = document.createElement('div');
+                status.className = 'status';
+                status.textContent = this.t(statusKey);
+                list.appendChild(status);
+            }
+        }
+
+        /**
+         * Title and body rendered from the client's templates, if any
+         */
+        localize(notification) {
+            if (!this.client || !notification.metadata) return notification;
+            return this.client.renderNotification(notification, this.getAttribute('locale') || undefined);
+        }
+
+        renderItem(notification) {
+            notification = this.localize(notification);
+            const item = document.createElement('div');
+            item.className = `item${notification.is_read ? '' : ' unread'}`;
+            item.setAttribute('part', 'item');
+            item.setAttribute('role', 'listitem');
+
+            const body = document.createElement('div');
+            body.className = 'item-body';
+            body.appendChild(this.textNode('item-title', notification.title));
+            body.appendChild(this.textNode('item-text', notification.body));
+            body.appendChild(this.textNode('item-time', this.formatTime(notification.created_at)));
+            item.appendChild(body);
+
+            if (!notification.is_read) {
+                const button = document.createElement('button');
+                button.className = 'link';
+                button.textContent = this.t('markRead');
+                button.addEventListener('click', () => {
+                    this.client.markAsRead(notification.id)
+                        .catch(error => this.client.log('Mark as read failed', error));
+                });
+                item.appendChild(button);
+            }
+
+            return item;
+        }
+
+        showToast(notification) {
+            if (this.hasAttribute('no-toasts')) return;
+            notification = this.localize(notification);
+
+            const parsed = parseInt(this.getAttribute('toast-duration'), 10);
+            const duration = Number.isNaN(parsed) ? 5000 : parsed;
+            const toast = document.createElement('div');
+            toast.className = `toast priority-${notification.priority || 'normal'}`;
+            toast.setAttribute('part', 'toast');
+
+            const body = document.createElement('div');
+            body.className = 'item-body';
+            body.appendChild(this.textNode('item-title', notification.title));
+            body.appendChild(this.textNode('item-text', notification.body));
+            toast.appendChild(body);
+
+            const close = document.createElement('button');
+            close.className = 'close';
+            close.textContent = '×';
+            close.setAttribute('aria-label', this.t('close'));
+            close.addEventListener('click', () => toast.remove());
+            toast.appendChild(close);
+
+            this.shadowRoot.querySelector('.toasts').appendChild(toast);
+            if (duration > 0) {
+                setTimeout(() => toast.remove(), duration);
+            }
+        }
+
+        textNode(className, text) {
+            const node = document.createElement('div');
+            node.className = className;
+            node.textContent = text || '';
+            return node;
+        }
+
+        formatTime(value) {
+            const date = new Date(value);
+            if (isNaN(date.getTime())) return '';
+
+            const locale = this.getAttribute('locale') || undefined;
+            const seconds = Math.round((date.getTime() - Date.now()) / 1000);
+
+            if (typeof Intl !== 'undefined' && Intl.RelativeTimeFormat && Math.abs(seconds) < 7 * 86400) {
+                const format = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+                if (Math.abs(seconds) < 60) return format.format(seconds, 'second');
+                if (Math.abs(seconds) < 3600) return format.format(Math.round(seconds / 60), 'minute');
+                if (Math.abs(seconds) < 86400) return format.format(Math.round(seconds / 3600), 'hour');
+                return format.format(Math.round(seconds / 86400), 'day');
+            }
+
+            return date.toLocaleString(locale);
+        }
+    }
+
+    HermesInbox.strings = STRINGS;
+
+    if (!customElements.get('hermes-inbox')) {
+        customElements.define('hermes-inbox', HermesInbox);
+    }
+
+    if (typeof window !== 'undefined') {
+        window.HermesInbox = HermesInbox;
+    }
+})();
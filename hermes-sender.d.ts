@@ -0,0 +1,96 @@
+/**
+ * Hermes Notifications - Server-side sender TypeScript Definitions
+ */
+
+import type {
+  HermesError,
+  HermesLogger,
+  HermesPlugin,
+  LogLevel,
+  NotificationTemplate,
+  QueuedResult,
+  RenderedTemplate,
+  SendBatchOptions,
+  SendBatchResult,
+  SendNotificationParams,
+  TemplateRegistry,
+  ValidationMode,
+  ValidationOptions
+} from './hermes-client';
+
+export { HermesError };
+
+export interface HermesSenderConfig {
+  /** Base URL of the Hermes server */
+  baseUrl?: string;
+  /** Application token */
+  appToken?: string;
+  /** Called before each request for the current application token */
+  getToken?: () => string | null | undefined | Promise<string | null | undefined>;
+  /** Called after a 401 for a new application token; the request is retried once */
+  refreshToken?: () => string | Promise<string>;
+  /** Named templates, in the client's template format */
+  templates?: Record<string, NotificationTemplate>;
+  /** Default locale of rendered templates (default: 'en') */
+  locale?: string;
+  /** Payload validation, as in the client (default: 'lenient') */
+  validation?: boolean | ValidationMode | ValidationOptions;
+  /** Request plugins (beforeRequest / afterResponse), as in the client */
+  plugins?: HermesPlugin[];
+  /** Default `sourceSystem` of sent notifications (default: 'server') */
+  sourceSystem?: string;
+  /** Request timeout in ms (default: 30000) */
+  timeout?: number;
+  /** Retries on 5xx and network errors (default: 3) */
+  retries?: number;
+  /** Base delay in ms of the exponential backoff (default: 500) */
+  retryDelay?: number;
+  /** Headers added to every request */
+  headers?: Record<string, string>;
+  /** Custom fetch implementation */
+  fetch?: typeof fetch;
+  /** Log requests to the console */
+  debug?: boolean;
+  /** Where logs go (default: the console) */
+  logger?: HermesLogger;
+  /** Lowest level written (default: 'debug' with `debug: true`, 'warn' otherwise) */
+  logLevel?: LogLevel;
+  /** Extra object keys whose values are redacted from logs */
+  redactKeys?: string[];
+}
+
+export interface SenderParams extends Partial<SendNotificationParams> {
+  userId: string;
+  /** Name of a registered template */
+  template?: string;
+  /** Values for the template's variables */
+  vars?: Record<string, any>;
+  /** Locale to render the template in */
+  locale?: string;
+}
+
+export interface SenderBatchFanOut extends Omit<SenderParams, 'userId' | 'idempotencyKey'> {
+  userIds: string[];
+}
+
+export class HermesSender {
+  constructor(config: HermesSenderConfig);
+
+  static HermesError: typeof HermesError;
+
+  /** Registered templates */
+  templates: TemplateRegistry;
+
+  /** Register (or replace) a named template */
+  addTemplate(name: string, template: NotificationTemplate): this;
+  /** Render a registered template with `vars` */
+  render(name: string, vars?: Record<string, any>, locale?: string): RenderedTemplate;
+  /** Send a notification, rendering its template if any */
+  send(params: SenderParams): Promise<any | QueuedResult>;
+  /** Send many notifications with limited concurrency */
+  sendBatch(input: SenderParams[] | SenderBatchFanOut, options?: SendBatchOptions): Promise<SendBatchResult[]>;
+  /** Replace the application token */
+  setToken(token: string): void;
+}
+
+export default HermesSender;
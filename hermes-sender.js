@@ -0,0 +1,113 @@
+/**
+ * Hermes Notifications - Server-side sender
+ *
+ * Sends notifications from Node.js services with the application token.
+ * It has no SSE, local store or browser features: just sending, with
+ * templates, scheduling, idempotency keys and retries with backoff.
+ *
+ * @example
+ * const { HermesSender } = require('@raphab3/hermes-client/sender');
+ *
+ * const sender = new HermesSender({
+ *     baseUrl: 'https://hermes.example.com',
+ *     appToken: process.env.HERMES_APP_TOKEN,
+ *     templates: {
+ *         order_shipped: { title: 'Order {{orderId}} shipped', body: 'Arriving {{date}}' }
+ *     }
+ * });
+ *
+ * await sender.send({ userId: 'user-123', template: 'order_shipped', vars: { orderId: 42, date: 'Friday' } });
+ */
+
+const HermesClient = require('./hermes-client.js');
+
+const { HermesError } = HermesClient;
+
+// Each sender's client, kept out of the public surface so the SSE,
+// store and browser methods can't be reached through a sender
+const clients = new WeakMap();
+
+class HermesSender {
+    constructor(config = {}) {
+        if (!config.appToken && !config.getToken) {
+            throw new Error('appToken is required');
+        }
+
+        // Requests go through the client's pipeline (auth, timeout, retries)
+        // with the profile token left out
+        const client = new HermesClient({
+            baseUrl: config.baseUrl,
+            appToken: config.appToken,
+            getToken: config.getToken ? () => config.getToken() : null,
+            refreshToken: config.refreshToken ? () => config.refreshToken() : null,
+            timeout: config.timeout,
+            retries: config.retries !== undefined ? config.retries : 3,
+            retryDelay: config.retryDelay,
+            headers: config.headers,
+            fetch: config.fetch,
+            debug: config.debug,
+            logger: config.logger,
+            logLevel: config.logLevel,
+            redactKeys: config.redactKeys,
+            templates: config.templates,
+            locale: config.locale || 'en',
+            sourceSystem: config.sourceSystem || 'server',
+            validation: config.validation,
+            plugins: config.plugins
+        });
+        clients.set(this, client);
+        this.templates = client.templates;
+    }
+
+    /**
+     * Register (or replace) a named template
+     *
+     * Same format as the client's templates: `title` and `body` with
+     * `{{variables}}` and plurals, other sendNotification() fields as
+     * defaults, and per-locale variants under `locales`.
+     */
+    addTemplate(name, template) {
+        this.templates.register(name, template);
+        return this;
+    }
+
+    /**
+     * Render a registered template with `vars`
+     */
+    render(name, vars, locale) {
+        return this.templates.render(name, vars, locale);
+    }
+
+    /**
+     * Send a notification
+     *
+     * Takes the sendNotification() fields, or a `template` with `vars` and
+     * `locale` (explicit fields override the template's). `sendAt`
+     * schedules the delivery. The idempotency key is generated unless
+     * given, and the same key is reused on every retry.
+     */
+    async send(params = {}) {
+        return clients.get(this).sendNotification(params);
+    }
+
+    /**
+     * Send many notifications with limited concurrency
+     *
+     * Same input and results as HermesClient#sendBatch(); items may use
+     * templates, and a template that fails to render only rejects its item.
+     */
+    async sendBatch(input, options = {}) {
+        return clients.get(this).sendBatch(input, options);
+    }
+
+    /**
+     * Replace the application token (e.g. after rotating it)
+     */
+    setToken(token) {
+        clients.get(this).setToken('app', token);
+    }
+}
+
+HermesSender.HermesError = HermesError;
+
+module.exports = { HermesSender, HermesError };
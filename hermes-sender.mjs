@@ -0,0 +1,11 @@
+/**
+ * Hermes Notifications - Server-side sender, ES module entry
+ *
+ * @example
+ * import { HermesSender } from '@raphab3/hermes-client/sender';
+ */
+
+import sender from './hermes-sender.js';
+
+export const { HermesSender, HermesError } = sender;
+export default HermesSender;
@@ -0,0 +1,83 @@
+/**
+ * Hermes Notifications - Service Worker
+ *
+ * Shows Web Push notifications sent by the Hermes server and routes clicks
+ * back to the page, where HermesClient emits them as `notificationClick`.
+ *
+ * Serve this file from your own origin and register it through the
+ * `browserNotifications.serviceWorker` option, or pull it into an existing
+ * service worker with importScripts('/hermes-sw.js').
+ *
+ * Push payloads are JSON notifications ({ id, title, body, priority,
+ * metadata, ... }); `metadata.url` is opened when no tab is available.
+ */
+
+// A click that had to open a new tab, delivered once the page says it is ready
+let pendingClick = null;
+
+self.addEventListener('push', (event) => {
+    if (!event.data) return;
+
+    let notification;
+    try {
+        notification = event.data.json();
+    } catch (error) {
+        notification = { title: event.data.text() };
+    }
+
+    const options = {
+        body: notification.body,
+        // Same tag as the in-page notification, so the OS shows it only once
+        tag: notification.id !== undefined ? String(notification.id) : undefined,
+        requireInteraction: notification.priority === 'urgent',
+        data: { notification }
+    };
+    const metadata = notification.metadata || {};
+    if (metadata.icon) options.icon = metadata.icon;
+    if (metadata.badge) options.badge = metadata.badge;
+    if (Array.isArray(metadata.actions)) options.actions = metadata.actions;
+
+    event.waitUntil(self.registration.showNotification(notification.title || 'Notification', options));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+
+    const notification = (event.notification.data && event.notification.data.notification) || {};
+    const message = {
+        type: 'hermes:notificationclick',
+        notification,
+        action: event.action || null
+    };
+    const url = (notification.metadata && notification.metadata.url) || '/';
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+            const target = windows.find(client => client.focused) || windows[0];
+
+            if (target) {
+                target.postMessage(message);
+                return target.focus();
+            }
+
+            pendingClick = message;
+            return self.clients.openWindow(url);
+        })
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'hermes:ready' && pendingClick && event.source) {
+        event.source.postMessage(pendingClick);
+        pendingClick = null;
+    }
+});
+
+// The browser rotated the subscription; open pages subscribe again
+self.addEventListener('pushsubscriptionchange', (event) => {
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+            windows.forEach(client => client.postMessage({ type: 'hermes:pushsubscriptionchange' }));
+        })
+    );
+});
@@ -0,0 +1,111 @@
+/**
+ * Hermes Notifications - Testing utilities TypeScript Definitions
+ */
+
+import type { HermesClient, HermesClientConfig, Notification } from './hermes-client';
+
+export interface MockHermesServerOptions {
+  /** Base URL the clients are created with (default 'http://hermes.test') */
+  baseUrl?: string;
+  /** Delay in ms added to every response (default 0, no timers) */
+  latency?: number;
+  /** Accepted tokens; any token is accepted when omitted */
+  tokens?: string[];
+  /** Events kept per stream for Last-Event-ID replay (default 1000) */
+  historyLimit?: number;
+}
+
+/** A stream target: a user id, or a topic */
+export type StreamTarget = string | number | { userId: string | number } | { topic: string };
+
+export interface MockRequest {
+  method: string;
+  path: string;
+  query: URLSearchParams;
+  /** Lowercased header names */
+  headers: Record<string, string>;
+  body: any;
+}
+
+export interface MockFault {
+  method?: string;
+  /** Path prefix or pattern */
+  path?: string | RegExp;
+  /** Answer with this status */
+  status?: number;
+  /** Response body for `status` */
+  body?: any;
+  /** Reject the fetch like a network failure */
+  networkError?: boolean;
+  /** Delay the response in ms */
+  delay?: number;
+  /** Number of matching requests affected (default 1) */
+  times?: number;
+}
+
+export interface MockEvent {
+  id: string;
+  event: string | null;
+  data: string;
+}
+
+export interface SendEventOptions {
+  /** Named SSE event */
+  event?: string;
+  /** Event id (auto-incremented by default) */
+  id?: string | number;
+}
+
+export class MockHermesServer {
+  constructor(options?: MockHermesServerOptions);
+
+  readonly baseUrl: string;
+  /** fetch() implementation to pass as the client's `fetch` option */
+  readonly fetch: typeof fetch;
+  readonly requests: MockRequest[];
+  readonly notifications: Map<string, Notification>;
+
+  /** Forget all notifications, requests, faults and streams */
+  reset(): void;
+  /** Create a HermesClient wired to this server */
+  createClient(config?: HermesClientConfig): HermesClient;
+
+  /** Store a notification without pushing it */
+  addNotification(userId: string | number, fields?: Partial<Notification>): Notification;
+  /** Store a notification and push it to the user's streams */
+  pushNotification(userId: string | number, fields?: Partial<Notification>): Notification;
+  getNotifications(userId?: string | number): Notification[];
+  getUnreadCount(userId?: string | number): number;
+
+  /** Send an event to the target's streams; objects are sent as JSON */
+  sendEvent(target: StreamTarget, payload: any, options?: SendEventOptions): MockEvent;
+  /** Send an SSE comment (e.g. a keep-alive) */
+  sendComment(target: StreamTarget, text?: string): void;
+  /** Drop open streams (all when the target is omitted); returns how many */
+  drop(target?: StreamTarget, options?: { error?: boolean }): number;
+  connectionCount(target?: StreamTarget): number;
+  /** Close every stream */
+  close(): void;
+
+  /** Inject a fault into matching requests */
+  fail(fault?: MockFault): MockFault;
+  clearFaults(): void;
+
+  /** Accept only these tokens from now on (null accepts anything) */
+  setTokens(tokens: string[] | null): void;
+  /** Reject a token from now on */
+  revokeToken(token: string): void;
+
+  /** Requests received so far, optionally filtered by method and path prefix */
+  getRequests(method?: string, path?: string): MockRequest[];
+  /** Let pending promise chains settle; uses microtasks only */
+  flush(rounds?: number): Promise<void>;
+}
+
+declare global {
+  interface Window {
+    HermesTesting: {
+      MockHermesServer: typeof MockHermesServer;
+    };
+  }
+}
@@ -0,0 +1,629 @@
+/**
+ * Hermes Notifications - Testing utilities
+ *
+ * An in-process mock of the Hermes server for tests: the REST routes under
+ * /api/notifications/ and the SSE streams, served through a `fetch`
+ * implementation that HermesClient uses instead of the network. Events are
+ * scripted from the test, faults (drops, 401, 500, slow responses) are
+ * injected per route, and no timer is used unless a delay is asked for, so
+ * it works with fake timers.
+ *
+ * const { MockHermesServer } = require('@raphab3/hermes-client/testing');
+ *
+ * const server = new MockHermesServer();
+ * const client = server.createClient({ userId: 'user-123' });
+ * client.connectSSE();
+ * server.pushNotification('user-123', { title: 'Hello' });
+ */
+
+(function () {
+    const HermesClient = typeof window !== 'undefined' && window.HermesClient
+        ? window.HermesClient
+        : require('./hermes-client.js');
+
+    const ROUTES = [
+        ['POST', /^\/api\/notifications\/send\/?$/, 'send'],
+        ['PATCH', /^\/api\/notifications\/read-many\/?$/, 'readMany'],
+        ['POST', /^\/api\/notifications\/push\/subscriptions\/?$/, 'subscribe'],
+        ['DELETE', /^\/api\/notifications\/push\/subscriptions\/?$/, 'unsubscribe'],
+        ['PATCH', /^\/api\/notifications\/user\/([^/]+)\/read-all\/?$/, 'readAll'],
+        ['GET', /^\/api\/notifications\/user\/([^/]+)\/unread-count\/?$/, 'unreadCount'],
+        ['GET', /^\/api\/notifications\/user\/([^/]+)\/?$/, 'list'],
+        ['PATCH', /^\/api\/notifications\/([^/]+)\/(read|unread|archive)\/?$/, 'update'],
+        ['DELETE', /^\/api\/notifications\/([^/]+)\/?$/, 'remove'],
+        ['GET', /^\/sse\/notifications\/([^/]+)\/?$/, 'userStream'],
+        ['GET', /^\/sse\/topics\/([^/]+)\/?$/, 'topicStream']
+    ];
+
+    class MockHermesServer {
+        constructor(options = {}) {
+            this.baseUrl = options.baseUrl || 'http://hermes.test';
+            this.latency = options.latency || 0;
+            this.tokens = options.tokens ? new Set(options.tokens) : null;
+            this.revokedTokens = new Set();
+            this.historyLimit = options.historyLimit || 1000;
+
+            // Handed to HermesClient as its `fetch`
+            this.fetch = (input, init) => this.handle(input, init);
+            this.reset();
+        }
+
+        /**
+         * Forget all notifications, requests, faults and streams
+         */
+        reset() {
+            if (this.streams) {
+                this.close();
+            }
+
+            this.notifications = new Map();
+            this.requests = [];
+            this.faults = [];
+            this.streams = [];
+            this.history = new Map();
+            this.idempotentResponses = new Map();
+            this.subscriptions = [];
+            this.nextId = 0;
+            this.nextEventId = 0;
+            this.lastCreatedAt = 0;
+        }
+
+        /**
+         * Create a HermesClient wired to this server
+         */
+        createClient(config = {}) {
+            return new HermesClient({
+                baseUrl: this.baseUrl,
+                appToken: 'test-app-token',
+                profileToken: 'test-profile-token',
+                transport: 'fetch',
+                fetch: this.fetch,
+                ...config
+            });
+        }
+
+        // ---- Data ----
+
+        /**
+         * Store a notification without pushing it
+         */
+        addNotification(userId, fields = {}) {
+            // Strictly increasing timestamps keep the order stable
+            const createdAt = Math.max(Date.now(), this.lastCreatedAt + 1);
+            this.lastCreatedAt = createdAt;
+
+            const notification = {
+                id: `n${++this.nextId}`,
+                user_id: String(userId),
+                title: 'Notification',
+                body: '',
+                priority: 'normal',
+                channels: ['in_app'],
+                metadata: {},
+                source_system: 'test',
+                is_read: false,
+                is_archived: false,
+                created_at: new Date(createdAt).toISOString(),
+                ...fields
+            };
+
+            this.notifications.set(String(notification.id), notification);
+            return notification;
+        }
+
+        /**
+         * Store a notification and push it to the user's streams
+         */
+        pushNotification(userId, fields = {}) {
+            const notification = this.addNotification(userId, fields);
+            this.sendEvent(userId, { type: 'notification', ...notification });
+            return notification;
+        }
+
+        getNotifications(userId) {
+            return Array.from(this.notifications.values())
+                .filter(n => userId === undefined || n.user_id === String(userId))
+                .sort(MockHermesServer.compare);
+        }
+
+        getUnreadCount(userId) {
+            return this.getNotifications(userId).filter(n => !n.is_read && !n.is_archived).length;
+        }
+
+        // ---- Streams ----
+
+        /**
+         * Send an event to the streams of a user (or `{ topic }`)
+         *
+         * Objects are sent as JSON; `event` sets a named SSE event. Events get
+         * an id and are replayed to streams reconnecting with Last-Event-ID.
+         */
+        sendEvent(target, payload, options = {}) {
+            const key = MockHermesServer.streamKey(target);
+            const event = {
+                id: options.id !== undefined ? String(options.id) : String(++this.nextEventId),
+                event: options.event || null,
+                data: typeof payload === 'string' ? payload : JSON.stringify(payload)
+            };
+
+            const history = this.history.get(key) || [];
+            history.push(event);
+            if (history.length > this.historyLimit) {
+                history.shift();
+            }
+            this.history.set(key, history);
+
+            this.streamsFor(key).forEach(stream => this.write(stream, MockHermesServer.formatEvent(event)));
+            return event;
+        }
+
+        /**
+         * Send an SSE comment (e.g. a keep-alive) to a user's streams
+         */
+        sendComment(target, text = 'keep-alive') {
+            const key = MockHermesServer.streamKey(target);
+            this.streamsFor(key).forEach(stream => this.write(stream, `: ${text}\n\n`));
+        }
+
+        /**
+         * Drop the open streams of a target (all when omitted)
+         *
+         * The stream ends cleanly by default; `{ error: true }` fails it like a
+         * network error.
+         */
+        drop(target, options = {}) {
+            const streams = target === undefined
+                ? this.streams.slice()
+                : this.streamsFor(MockHermesServer.streamKey(target));
+
+            streams.forEach(stream => {
+                this.removeStream(stream);
+                try {
+                    if (options.error) {
+                        stream.controller.error(new TypeError('network error'));
+                    } else {
+                        stream.controller.close();
+                    }
+                } catch (error) {
+                    // Already closed by the client
+                }
+            });
+            return streams.length;
+        }
+
+        /**
+         * Number of open streams of a target (all when omitted)
+         */
+        connectionCount(target) {
+            return target === undefined
+                ? this.streams.length
+                : this.streamsFor(MockHermesServer.streamKey(target)).length;
+        }
+
+        /**
+         * Close every stream
+         */
+        close() {
+            this.drop();
+        }
+
+        streamsFor(key) {
+            return this.streams.filter(stream => stream.key === key);
+        }
+
+        write(stream, text) {
+            try {
+                stream.controller.enqueue(MockHermesServer.encoder.encode(text));
+            } catch (error) {
+                this.removeStream(stream);
+            }
+        }
+
+        removeStream(stream) {
+            const index = this.streams.indexOf(stream);
+            if (index > -1) {
+                this.streams.splice(index, 1);
+            }
+        }
+
+        // ---- Faults ----
+
+        /**
+         * Inject a fault into matching requests
+         *
+         * `method` and `path` (string prefix or RegExp) select requests;
+         * `status` answers with an error, `networkError` rejects the fetch,
+         * `delay` slows the response down. Applies `times` times (default 1).
+         */
+        fail(fault = {}) {
+            const entry = { times: 1, ...fault };
+            this.faults.push(entry);
+            return entry;
+        }
+
+        clearFaults() {
+            this.faults = [];
+        }
+
+        takeFault(request) {
+            const fault = this.faults.find(candidate => {
+                if (candidate.method && candidate.method.toUpperCase() !== request.method) return false;
+                if (candidate.path instanceof RegExp) return candidate.path.test(request.path);
+                if (candidate.path) return request.path.indexOf(candidate.path) === 0;
+                return true;
+            });
+            if (!fault) return null;
+
+            if (--fault.times <= 0) {
+                this.faults.splice(this.faults.indexOf(fault), 1);
+            }
+            return fault;
+        }
+
+        // ---- Auth ----
+
+        /**
+         * Accept only these tokens from now on (null accepts anything)
+         */
+        setTokens(tokens) {
+            this.tokens = tokens ? new Set(tokens) : null;
+            this.revokedTokens = new Set();
+        }
+
+        /**
+         * Reject a token from now on, e.g. to make the client refresh it
+         */
+        revokeToken(token) {
+            this.revokedTokens.add(token);
+            if (this.tokens) {
+                this.tokens.delete(token);
+            }
+        }
+
+        isAuthorized(request) {
+            const header = request.headers['authorization'] || '';
+            const token = header.replace(/^Bearer\s+/i, '') || request.query.get('token');
+
+            if (this.revokedTokens.has(token)) return false;
+            return !this.tokens || this.tokens.has(token);
+        }
+
+        // ---- Request handling ----
+
+        /**
+         * fetch() implementation
+         */
+        async handle(input, init = {}) {
+            const url = new URL(typeof input === 'string' ? input : input.url, this.baseUrl);
+            const request = {
+                method: (init.method || 'GET').toUpperCase(),
+                path: url.pathname,
+                query: url.searchParams,
+                headers: MockHermesServer.normalizeHeaders(init.headers),
+                body: MockHermesServer.parseBody(init.body)
+            };
+            this.requests.push(request);
+
+            const fault = this.takeFault(request);
+            const delay = this.latency + (fault && fault.delay ? fault.delay : 0);
+            if (delay) {
+                await MockHermesServer.sleep(delay, init.signal);
+            }
+            if (init.signal && init.signal.aborted) {
+                throw MockHermesServer.abortError();
+            }
+
+            if (fault && fault.networkError) {
+                throw new TypeError('Failed to fetch');
+            }
+            if (fault && fault.status) {
+                return MockHermesServer.json(fault.status, fault.body || { error: `Injected ${fault.status}` });
+            }
+            if (!this.isAuthorized(request)) {
+                return MockHermesServer.json(401, { error: 'Invalid token', code: 'UNAUTHORIZED' });
+            }
+
+            for (const [method, pattern, name] of ROUTES) {
+                const match = request.method === method && request.path.match(pattern);
+                if (match) {
+                    const params = match.slice(1).map(decodeURIComponent);
+                    return this.routes[name].call(this, request, params, init.signal);
+                }
+            }
+
+            return MockHermesServer.json(404, { error: `No route for ${request.method} ${request.path}` });
+        }
+
+        /**
+         * Requests received so far, optionally filtered by method and path prefix
+         */
+        getRequests(method, path) {
+            return this.requests.filter(request => (
+                (!method || request.method === method.toUpperCase()) &&
+                (!path || request.path.indexOf(path) === 0)
+            ));
+        }
+
+        /**
+         * Let pending promise chains (responses, stream reads) settle
+         *
+         * Uses microtasks only, so it also works under fake timers.
+         */
+        async flush(rounds = 50) {
+            for (let i = 0; i < rounds; i++) {
+                await Promise.resolve();
+            }
+        }
+
+        openStream(key, request, signal) {
+            const lastEventId = request.headers['last-event-id'] || request.query.get('last_event_id');
+            let stream;
+
+            const body = new ReadableStream({
+                start: (controller) => {
+                    stream = { key, controller };
+                    this.streams.push(stream);
+                },
+                cancel: () => this.removeStream(stream)
+            });
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    this.removeStream(stream);
+                    try {
+                        stream.controller.error(MockHermesServer.abortError());
+                    } catch (error) {
+                        // Already closed
+                    }
+                });
+            }
+
+            this.write(stream, `data: ${JSON.stringify({ type: 'connected', stream: key })}\n\n`);
+
+            // Replay what the client missed
+            if (lastEventId) {
+                (this.history.get(key) || [])
+                    .filter(event => Number(event.id) > Number(lastEventId))
+                    .forEach(event => this.write(stream, MockHermesServer.formatEvent(event)));
+            }
+
+            return new Response(body, {
+                status: 200,
+                headers: { 'Content-Type': 'text/event-stream' }
+            });
+        }
+
+        // ---- Static helpers ----
+
+        static streamKey(target) {
+            if (target && typeof target === 'object') {
+                return target.topic !== undefined ? `topic:${target.topic}` : `user:${target.userId}`;
+            }
+            return `user:${target}`;
+        }
+
+        static formatEvent(event) {
+            let text = `id: ${event.id}\n`;
+            if (event.event) {
+                text += `event: ${event.event}\n`;
+            }
+            event.data.split('\n').forEach(line => {
+                text += `data: ${line}\n`;
+            });
+            return `${text}\n`;
+        }
+
+        static compare(a, b) {
+            const timeA = Date.parse(a.created_at) || 0;
+            const timeB = Date.parse(b.created_at) || 0;
+            return timeB - timeA;
+        }
+
+        static json(status, body) {
+            return new Response(status === 204 || body === undefined ? null : JSON.stringify(body), {
+                status,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        static normalizeHeaders(headers) {
+            const normalized = {};
+            if (!headers) return normalized;
+
+            if (typeof Headers !== 'undefined' && headers instanceof Headers) {
+                headers.forEach((value, name) => {
+                    normalized[name] = value;
+                });
+                return normalized;
+            }
+
+            Object.keys(headers).forEach(name => {
+                normalized[name.toLowerCase()] = headers[name];
+            });
+            return normalized;
+        }
+
+        static parseBody(body) {
+            if (body === undefined || body === null) return undefined;
+            try {
+                return JSON.parse(body);
+            } catch (error) {
+                return body;
+            }
+        }
+
+        static abortError() {
+            const error = new Error('The operation was aborted');
+            error.name = 'AbortError';
+            return error;
+        }
+
+        /**
+         * setTimeout-based sleep, looked up at call time so fake timers apply
+         */
+        static sleep(ms, signal) {
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, ms);
+                if (signal) {
+                    signal.addEventListener('abort', () => {
+                        clearTimeout(timer);
+                        reject(MockHermesServer.abortError());
+                    });
+                }
+            });
+        }
+    }
+
+    MockHermesServer.encoder = new TextEncoder();
+
+    /**
+     * Route handlers, called with the server as `this`
+     */
+    MockHermesServer.prototype.routes = {
+        send(request) {
+            const key = request.headers['idempotency-key'];
+            if (key && this.idempotentResponses.has(key)) {
+                return MockHermesServer.json(201, this.idempotentResponses.get(key));
+            }
+
+            const {
+                user_id: userId,
+                title,
+                body,
+                priority,
+                channels,
+                metadata,
+                source_system: sourceSystem,
+                scheduled_at: scheduledAt
+            } = request.body || {};
+            if (!userId || !title) {
+                return MockHermesServer.json(400, { error: 'user_id and title are required', code: 'VALIDATION_ERROR' });
+            }
+
+            const fields = { title, body: body || '' };
+            if (priority) fields.priority = priority;
+            if (channels) fields.channels = channels;
+            if (metadata) fields.metadata = metadata;
+            if (sourceSystem) fields.source_system = sourceSystem;
+            if (scheduledAt) fields.scheduled_at = scheduledAt;
+
+            // Scheduled notifications are stored but not streamed
+            const notification = scheduledAt
+                ? this.addNotification(userId, fields)
+                : this.pushNotification(userId, fields);
+            if (key) {
+                this.idempotentResponses.set(key, notification);
+            }
+            return MockHermesServer.json(201, notification);
+        },
+
+        list(request, [userId]) {
+            const query = request.query;
+            const limit = parseInt(query.get('limit'), 10) || 20;
+            const offset = parseInt(query.get('offset'), 10) || 0;
+            const priorities = query.getAll('priority');
+            const channels = query.getAll('channel');
+            const sources = query.getAll('source_system');
+            const after = Date.parse(query.get('created_after')) || null;
+            const before = Date.parse(query.get('created_before')) || null;
+
+            const matching = this.getNotifications(userId).filter(n => {
+                if (n.is_archived) return false;
+                if (query.has('is_read') && String(n.is_read) !== query.get('is_read')) return false;
+                if (priorities.length && priorities.indexOf(n.priority) === -1) return false;
+                if (sources.length && sources.indexOf(n.source_system) === -1) return false;
+                if (channels.length && !(n.channels || []).some(c => channels.indexOf(c) > -1)) return false;
+                if (after && Date.parse(n.created_at) <= after) return false;
+                if (before && Date.parse(n.created_at) >= before) return false;
+                return true;
+            });
+
+            const page = (pageOffset) => {
+                const params = new URLSearchParams(query);
+                params.set('limit', limit);
+                params.set('offset', pageOffset);
+                return `${this.baseUrl}${request.path}?${params}`;
+            };
+
+            return MockHermesServer.json(200, {
+                count: matching.length,
+                next: offset + limit < matching.length ? page(offset + limit) : null,
+                previous: offset > 0 ? page(Math.max(0, offset - limit)) : null,
+                results: matching.slice(offset, offset + limit)
+            });
+        },
+
+        unreadCount(request, [userId]) {
+            return MockHermesServer.json(200, { count: this.getUnreadCount(userId) });
+        },
+
+        update(request, [id, action]) {
+            const notification = this.notifications.get(id);
+            if (!notification) {
+                return MockHermesServer.json(404, { error: 'Notification not found', code: 'NOT_FOUND' });
+            }
+
+            if (action === 'read') notification.is_read = true;
+            if (action === 'unread') notification.is_read = false;
+            if (action === 'archive') notification.is_archived = true;
+
+            return MockHermesServer.json(200, { success: true, notification });
+        },
+
+        readAll(request, [userId]) {
+            const unread = this.getNotifications(userId).filter(n => !n.is_read);
+            unread.forEach(n => {
+                n.is_read = true;
+            });
+            return MockHermesServer.json(200, { success: true, updated: unread.length });
+        },
+
+        readMany(request) {
+            const ids = (request.body && request.body.notification_ids) || [];
+            let updated = 0;
+
+            ids.forEach(id => {
+                const notification = this.notifications.get(String(id));
+                if (notification && !notification.is_read) {
+                    notification.is_read = true;
+                    updated++;
+                }
+            });
+            return MockHermesServer.json(200, { success: true, updated });
+        },
+
+        remove(request, [id]) {
+            if (!this.notifications.delete(id)) {
+                return MockHermesServer.json(404, { error: 'Notification not found', code: 'NOT_FOUND' });
+            }
+            return MockHermesServer.json(204);
+        },
+
+        subscribe(request) {
+            this.subscriptions.push(request.body);
+            return MockHermesServer.json(201, { success: true });
+        },
+
+        unsubscribe(request) {
+            const endpoint = request.body && request.body.endpoint;
+            this.subscriptions = this.subscriptions.filter(s => !s.subscription || s.subscription.endpoint !== endpoint);
+            return MockHermesServer.json(204);
+        },
+
+        userStream(request, [userId], signal) {
+            return this.openStream(`user:${userId}`, request, signal);
+        },
+
+        topicStream(request, [topic], signal) {
+            return this.openStream(`topic:${topic}`, request, signal);
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { MockHermesServer };
+    }
+
+    if (typeof window !== 'undefined') {
+        window.HermesTesting = { MockHermesServer };
+    }
+})();
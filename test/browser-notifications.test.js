@@ -0,0 +1,156 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+// Minimal Notification, service worker and PushManager globals
+function installBrowser() {
+    const browser = { shown: [], workerListeners: {}, registered: [], subscription: null };
+
+    const subscription = {
+        endpoint: 'https://push.example.com/abc',
+        toJSON() {
+            return { endpoint: this.endpoint, keys: { p256dh: 'key', auth: 'auth' } };
+        },
+        async unsubscribe() {
+            browser.subscription = null;
+            return true;
+        }
+    };
+    const registration = {
+        scope: '/',
+        active: { postMessage() {} },
+        pushManager: {
+            async getSubscription() {
+                return browser.subscription;
+            },
+            async subscribe(options) {
+                browser.applicationServerKey = options.applicationServerKey;
+                browser.subscription = subscription;
+                return subscription;
+            }
+        }
+    };
+
+    function Notification(title, options) {
+        browser.shown.push({ title, options });
+    }
+    Notification.permission = 'granted';
+    Notification.requestPermission = async () => Notification.permission;
+
+    global.window = { Notification, PushManager: function PushManager() {}, focus() {} };
+    global.document = { visibilityState: 'hidden' };
+    Object.defineProperty(global, 'navigator', {
+        configurable: true,
+        value: {
+            userAgent: 'test-agent',
+            serviceWorker: {
+                ready: Promise.resolve(registration),
+                addEventListener(type, listener) {
+                    browser.workerListeners[type] = listener;
+                },
+                removeEventListener(type) {
+                    delete browser.workerListeners[type];
+                },
+                async register(url, options) {
+                    browser.registered.push({ url, options });
+                    return registration;
+                }
+            }
+        }
+    });
+
+    return browser;
+}
+
+describe('browser notifications', () => {
+    let server;
+    let client;
+    let browser;
+
+    beforeEach(() => {
+        browser = installBrowser();
+        server = new MockHermesServer();
+        client = server.createClient({
+            userId: 'user-1',
+            browserNotifications: { serviceWorker: '/hermes-sw.js', vapidPublicKey: 'AQID' }
+        });
+    });
+
+    afterEach(() => {
+        client.disconnectSSE();
+        delete global.window;
+        delete global.document;
+        delete global.navigator;
+    });
+
+    it('shows high-priority stream notifications while the page is hidden', async () => {
+        client.connectSSE();
+        await server.flush();
+
+        server.pushNotification('user-1', { title: 'Routine', priority: 'normal' });
+        server.pushNotification('user-1', { title: 'Deploy failed', priority: 'urgent' });
+        await server.flush();
+        document.visibilityState = 'visible';
+        server.pushNotification('user-1', { title: 'Seen in the page', priority: 'high' });
+        await server.flush();
+
+        assert.deepStrictEqual(browser.shown.map(shown => shown.title), ['Deploy failed']);
+        assert.strictEqual(browser.shown[0].options.requireInteraction, true);
+        assert.strictEqual(browser.shown[0].options.tag, client.getSnapshot().notifications[1].id);
+    });
+
+    it('does not show anything without permission', async () => {
+        window.Notification.permission = 'denied';
+        client.connectSSE();
+        await server.flush();
+
+        server.pushNotification('user-1', { title: 'Urgent', priority: 'urgent' });
+        await server.flush();
+
+        assert.strictEqual(browser.shown.length, 0);
+        await assert.rejects(client.subscribeToPush(), /permission/);
+        assert.strictEqual(server.getRequests('POST', '/api/notifications/push/subscriptions').length, 0);
+    });
+
+    it('subscribes to Web Push and saves the subscription on the server', async () => {
+        const subscribed = [];
+        client.on('pushSubscribed', event => subscribed.push(event.userId));
+
+        await client.subscribeToPush();
+
+        assert.deepStrictEqual(browser.registered.map(r => r.url), ['/hermes-sw.js']);
+        assert.deepStrictEqual(Array.from(browser.applicationServerKey), [1, 2, 3]);
+        assert.deepStrictEqual(server.subscriptions, [{
+            user_id: 'user-1',
+            subscription: { endpoint: 'https://push.example.com/abc', keys: { p256dh: 'key', auth: 'auth' } },
+            user_agent: 'test-agent'
+        }]);
+        assert.deepStrictEqual(subscribed, ['user-1']);
+    });
+
+    it('removes the subscription here and on the server', async () => {
+        await client.subscribeToPush();
+
+        assert.strictEqual(await client.unsubscribeFromPush(), true);
+        assert.strictEqual(await client.unsubscribeFromPush(), false);
+        assert.deepStrictEqual(server.subscriptions, []);
+        assert.strictEqual(browser.subscription, null);
+    });
+
+    it('emits notificationClick for clicks reported by the service worker', () => {
+        const clicks = [];
+        client.on('notificationClick', event => clicks.push(event));
+
+        browser.workerListeners.message({
+            data: { type: 'hermes:notificationclick', notification: { id: 'n1' }, action: 'open' }
+        });
+
+        assert.deepStrictEqual(clicks, [{ notification: { id: 'n1' }, action: 'open' }]);
+    });
+
+    it('requires the option for the push methods', async () => {
+        const plain = server.createClient({ userId: 'user-1' });
+
+        await assert.rejects(plain.subscribeToPush(), /browserNotifications option/);
+    });
+});
@@ -0,0 +1,97 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const HermesClient = require('../hermes-client.js');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+const { MemoryStorage } = HermesClient;
+
+describe('cache', () => {
+    let server;
+    let storage;
+    let key;
+
+    beforeEach(() => {
+        server = new MockHermesServer();
+        storage = new MemoryStorage();
+        key = `hermes:cache:${server.baseUrl}:user-1`;
+    });
+
+    function cached(notifications, fields = {}) {
+        return storage.setItem(key, { savedAt: Date.now(), notifications, unreadCount: 1, ...fields });
+    }
+
+    it('hydrates before the constructor returns, then revalidates', async () => {
+        const kept = server.addNotification('user-1', { title: 'Kept' });
+        await cached([
+            { ...kept, title: 'Old title' },
+            { id: 'gone', title: 'Deleted meanwhile', is_read: false, created_at: new Date().toISOString() }
+        ]);
+
+        const client = server.createClient({ userId: 'user-1', cache: { storage } });
+        const hydrated = client.getSnapshot();
+        await client.cache.revalidating;
+
+        assert.deepStrictEqual(hydrated.notifications.map(n => n.title).sort(), ['Deleted meanwhile', 'Old title']);
+        assert.strictEqual(hydrated.unreadCount, 1);
+        assert.deepStrictEqual(client.getSnapshot().notifications.map(n => n.title), ['Kept']);
+        assert.strictEqual(client.getSnapshot().unreadCount, 1);
+        assert.ok(client.cache.revalidatedAt);
+    });
+
+    it('persists store changes, newest first up to maxItems', async () => {
+        for (let i = 1; i <= 3; i++) {
+            server.addNotification('user-1', { title: `N${i}` });
+        }
+
+        const client = server.createClient({ userId: 'user-1', cache: { storage, maxItems: 2 } });
+        await client.cache.revalidating;
+        await client.cache.writing;
+        client.connectSSE();
+        await server.flush();
+        server.pushNotification('user-1', { title: 'Live' });
+        await server.flush();
+        client.disconnectSSE();
+        await client.cache.writing;
+
+        const entry = await storage.getItem(key);
+        assert.deepStrictEqual(entry.notifications.map(n => n.title), ['Live', 'N3']);
+        assert.strictEqual(entry.unreadCount, 4);
+    });
+
+    it('ignores entries older than maxAge', async () => {
+        await cached([{ id: 'old', title: 'Old', created_at: new Date().toISOString() }], {
+            savedAt: Date.now() - 120000
+        });
+
+        const client = server.createClient({ userId: 'user-1', cache: { storage, maxAge: 60000, revalidate: false } });
+        await client.cache.writing;
+
+        assert.strictEqual(client.getSnapshot().notifications.length, 0);
+        assert.strictEqual(await storage.getItem(key), null);
+    });
+
+    it('hydrates from async storage once ready', async () => {
+        await cached([{ id: 'a', title: 'Async', created_at: new Date().toISOString() }]);
+        const asyncStorage = {
+            getItem: (name) => storage.getItem(name),
+            setItem: (name, value) => storage.setItem(name, value),
+            removeItem: (name) => storage.removeItem(name)
+        };
+
+        const client = server.createClient({ userId: 'user-1', cache: { storage: asyncStorage, revalidate: false } });
+        assert.strictEqual(client.getSnapshot().notifications.length, 0);
+        await client.cache.ready;
+
+        assert.deepStrictEqual(client.getSnapshot().notifications.map(n => n.title), ['Async']);
+    });
+
+    it('clears the store and the cached copy', async () => {
+        await cached([{ id: 'a', title: 'Private', created_at: new Date().toISOString() }]);
+        const client = server.createClient({ userId: 'user-1', cache: { storage, revalidate: false } });
+
+        await client.clearCache();
+
+        assert.strictEqual(client.getSnapshot().notifications.length, 0);
+        assert.strictEqual(await storage.getItem(key), null);
+    });
+});
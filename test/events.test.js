@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const HermesClient = require('../hermes-client.js');
+
+const createClient = () => new HermesClient({ baseUrl: 'http://hermes.test', profileToken: 'token' });
+
+describe('events', () => {
+    it('returns an unsubscribe function from on()', () => {
+        const client = createClient();
+        const calls = [];
+        const unsubscribe = client.on('unreadCount', count => calls.push(count));
+
+        client.emit('unreadCount', 1);
+        unsubscribe();
+        client.emit('unreadCount', 2);
+
+        assert.deepStrictEqual(calls, [1]);
+    });
+
+    it('calls once() listeners a single time', () => {
+        const client = createClient();
+        const calls = [];
+        client.once('unreadCount', count => calls.push(count));
+
+        client.emit('unreadCount', 1);
+        client.emit('unreadCount', 2);
+
+        assert.deepStrictEqual(calls, [1]);
+    });
+
+    it('removes once() listeners with off()', () => {
+        const client = createClient();
+        const calls = [];
+        const listener = count => calls.push(count);
+        client.once('unreadCount', listener);
+
+        client.off('unreadCount', listener);
+        client.emit('unreadCount', 1);
+
+        assert.deepStrictEqual(calls, []);
+    });
+
+    it('passes every event to onAny() listeners', () => {
+        const client = createClient();
+        const calls = [];
+        client.onAny((event, data) => calls.push([event, data]));
+
+        client.emit('unreadCount', 3);
+        client.emit('custom_event', { ok: true });
+
+        assert.deepStrictEqual(calls, [['unreadCount', 3], ['custom_event', { ok: true }]]);
+    });
+
+    it('accepts event names shadowing Object.prototype members', () => {
+        const client = createClient();
+        const calls = [];
+        const unsubscribe = client.on('toString', value => calls.push(value));
+        client.once('hasOwnProperty', value => calls.push(value));
+
+        client.emit('toString', 1);
+        client.emit('hasOwnProperty', 2);
+        client.emit('hasOwnProperty', 3);
+        client.emit('valueOf', 4);
+        unsubscribe();
+        client.emit('toString', 5);
+
+        assert.deepStrictEqual(calls, [1, 2]);
+    });
+
+    it('reports throwing listeners as LISTENER_ERROR and keeps going', () => {
+        const client = createClient();
+        const errors = [];
+        const calls = [];
+        client.on('error', error => errors.push(error));
+        client.on('unreadCount', () => { throw new Error('boom'); });
+        client.on('unreadCount', count => calls.push(count));
+
+        client.emit('unreadCount', 1);
+
+        assert.deepStrictEqual(calls, [1]);
+        assert.strictEqual(errors.length, 1);
+        assert.ok(errors[0] instanceof HermesClient.HermesError);
+        assert.strictEqual(errors[0].code, 'LISTENER_ERROR');
+        assert.strictEqual(errors[0].cause.message, 'boom');
+    });
+
+    it('reports rejected async listeners', async () => {
+        const client = createClient();
+        const errors = [];
+        client.on('error', error => errors.push(error));
+        client.on('unreadCount', async () => { throw new Error('async boom'); });
+
+        client.emit('unreadCount', 1);
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.strictEqual(errors[0].code, 'LISTENER_ERROR');
+        assert.strictEqual(errors[0].cause.message, 'async boom');
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('heartbeat', () => {
+    let server;
+    let client;
+
+    beforeEach(() => {
+        server = new MockHermesServer();
+        client = server.createClient({
+            userId: 'user-1',
+            heartbeatTimeout: 60,
+            reconnectDelay: 5,
+            reconnectJitter: 0
+        });
+    });
+
+    afterEach(() => {
+        client.disconnectSSE();
+    });
+
+    it('reconnects a stream that goes silent and emits stale', async () => {
+        const stale = [];
+        const disconnects = [];
+        client.on('stale', event => stale.push(event));
+        client.on('disconnected', event => disconnects.push(event.reason));
+
+        client.connectSSE();
+        await server.flush();
+        const openedAt = client.getStatus().lastActivityAt;
+        await wait(100);
+
+        assert.strictEqual(stale.length, 1);
+        assert.strictEqual(stale[0].streamId, 'user:user-1');
+        assert.strictEqual(stale[0].lastActivityAt, openedAt);
+        assert.ok(stale[0].idleMs >= 60);
+        assert.deepStrictEqual(disconnects, ['stale']);
+        assert.strictEqual(server.getRequests('GET', '/sse/').length, 2);
+        assert.strictEqual(client.getStatus().state, 'open');
+    });
+
+    it('stays open while keep-alive comments arrive', async () => {
+        const stale = [];
+        client.on('stale', event => stale.push(event));
+
+        client.connectSSE();
+        await server.flush();
+        for (let i = 0; i < 5; i++) {
+            await wait(25);
+            server.sendComment('user-1');
+        }
+        await server.flush();
+
+        assert.strictEqual(stale.length, 0);
+        assert.strictEqual(server.getRequests('GET', '/sse/').length, 1);
+        assert.ok(Date.now() - client.getStatus().lastActivityAt < 60);
+    });
+
+    it('treats ping messages as heartbeats, not server events', async () => {
+        const messages = [];
+        const stale = [];
+        client.on('message', event => messages.push(event.type));
+        client.on('stale', event => stale.push(event));
+
+        client.connectSSE();
+        await server.flush();
+        for (let i = 0; i < 4; i++) {
+            await wait(25);
+            server.sendEvent('user-1', i % 2 ? { type: 'ping' } : 'ping', i % 2 ? {} : { event: 'heartbeat' });
+        }
+        server.sendEvent('user-1', { type: 'order_update' });
+        await server.flush();
+
+        assert.deepStrictEqual(messages, ['order_update']);
+        assert.strictEqual(stale.length, 0);
+        assert.strictEqual(client.getMetrics().streams['user:user-1'].messages, 2);
+    });
+
+    it('does not watch the stream without heartbeatTimeout', async () => {
+        const quiet = server.createClient({ userId: 'user-2' });
+
+        quiet.connectSSE();
+        await server.flush();
+        const status = quiet.getStatus();
+        const timer = quiet.connection.heartbeatTimer;
+        quiet.disconnectSSE();
+
+        assert.strictEqual(timer, null);
+        assert.strictEqual(typeof status.streams['user:user-2'].lastActivityAt, 'number');
+    });
+});
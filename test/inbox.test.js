@@ -0,0 +1,121 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+// The component registers itself on load, so the DOM comes first
+const dom = new JSDOM('<!DOCTYPE html><body></body>');
+global.document = dom.window.document;
+global.HTMLElement = dom.window.HTMLElement;
+global.customElements = dom.window.customElements;
+require('../hermes-inbox.js');
+
+describe('<hermes-inbox>', () => {
+    let server;
+    let client;
+    let inbox;
+
+    beforeEach(() => {
+        server = new MockHermesServer();
+        client = server.createClient({ userId: 'user-1' });
+    });
+
+    afterEach(() => {
+        if (inbox) inbox.remove();
+        client.disconnectSSE();
+    });
+
+    async function mount(attributes = {}) {
+        inbox = document.createElement('hermes-inbox');
+        Object.keys(attributes).forEach(name => inbox.setAttribute(name, attributes[name]));
+        inbox.client = client;
+        document.body.appendChild(inbox);
+        await server.flush();
+        return inbox.shadowRoot;
+    }
+
+    function titles(root) {
+        return Array.from(root.querySelectorAll('.item-title')).map(node => node.textContent);
+    }
+
+    it('renders the badge and the first page from the shared client', async () => {
+        server.addNotification('user-1', { title: 'Old', is_read: true });
+        server.addNotification('user-1', { title: '<b>New</b>' });
+
+        const root = await mount();
+
+        assert.strictEqual(root.querySelector('.badge').textContent, '1');
+        assert.strictEqual(root.querySelector('.badge').hidden, false);
+        assert.deepStrictEqual(titles(root), ['<b>New</b>', 'Old']);
+        assert.deepStrictEqual(Array.from(root.querySelectorAll('.item')).map(item => item.className), ['item unread', 'item']);
+        assert.strictEqual(root.querySelector('b'), null);
+        assert.strictEqual(server.connectionCount('user-1'), 0);
+    });
+
+    it('loads the next page by following the cursor on scroll', async () => {
+        for (let i = 1; i <= 3; i++) {
+            server.addNotification('user-1', { title: `N${i}` });
+        }
+
+        const root = await mount({ 'page-size': '2' });
+        assert.deepStrictEqual(titles(root), ['N3', 'N2']);
+
+        root.querySelector('.list').dispatchEvent(new dom.window.Event('scroll'));
+        await server.flush();
+
+        const pages = server.getRequests('GET', '/api/notifications/user/user-1')
+            .filter(request => request.query.has('offset'));
+        assert.deepStrictEqual(titles(root), ['N3', 'N2', 'N1']);
+        assert.deepStrictEqual(pages.map(page => page.query.get('offset')), ['0', '2']);
+        assert.strictEqual(inbox.hasMore, false);
+    });
+
+    it('marks notifications as read from the list', async () => {
+        const first = server.addNotification('user-1', { title: 'First' });
+        server.addNotification('user-1', { title: 'Second' });
+        const root = await mount();
+
+        root.querySelectorAll('.item')[1].querySelector('button').click();
+        await server.flush();
+        assert.strictEqual(server.notifications.get(first.id).is_read, true);
+        assert.strictEqual(root.querySelector('.badge').textContent, '1');
+
+        root.querySelector('.mark-all').click();
+        await server.flush();
+        assert.strictEqual(server.getUnreadCount('user-1'), 0);
+        assert.strictEqual(root.querySelector('.badge').hidden, true);
+        assert.strictEqual(root.querySelectorAll('.item.unread').length, 0);
+    });
+
+    it('shows live notifications as toasts and in the list', async () => {
+        const root = await mount({ 'toast-duration': '0', locale: 'pt-BR' });
+        assert.strictEqual(root.querySelector('.status').textContent, 'Nenhuma notificação ainda');
+        client.connectSSE();
+        await server.flush();
+
+        server.pushNotification('user-1', { title: 'Deploy done', priority: 'high' });
+        await server.flush();
+
+        const toasts = root.querySelectorAll('.toast');
+        assert.strictEqual(toasts.length, 1);
+        assert.strictEqual(toasts[0].className, 'toast priority-high');
+        assert.strictEqual(toasts[0].querySelector('.item-title').textContent, 'Deploy done');
+        assert.deepStrictEqual(titles(root.querySelector('.list')), ['Deploy done']);
+        assert.strictEqual(root.querySelector('.title').textContent, 'Notificações');
+    });
+
+    it('stops listening once removed, leaving a shared client connected', async () => {
+        const root = await mount();
+        client.connectSSE();
+        await server.flush();
+
+        inbox.remove();
+        inbox = null;
+        server.pushNotification('user-1', { title: 'After removal' });
+        await server.flush();
+
+        assert.strictEqual(root.querySelectorAll('.toast').length, 0);
+        assert.deepStrictEqual(titles(root), []);
+        assert.strictEqual(client.getStatus().state, 'open');
+    });
+});
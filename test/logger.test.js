@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const HermesClient = require('../hermes-client.js');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+const { Logger } = HermesClient;
+
+function capture() {
+    const lines = [];
+    const output = {};
+    ['debug', 'info', 'warn', 'error'].forEach(level => {
+        output[level] = (...args) => lines.push([level, ...args]);
+    });
+    return { lines, output };
+}
+
+describe('Logger', () => {
+    it('writes only at or above its level', () => {
+        const { lines, output } = capture();
+        const logger = new Logger({ output, level: 'warn' });
+
+        logger.debug('hidden');
+        logger.info('hidden');
+        logger.warn('shown');
+        logger.error('shown too');
+
+        assert.deepStrictEqual(lines, [
+            ['warn', '[HermesClient]', 'shown'],
+            ['error', '[HermesClient]', 'shown too']
+        ]);
+    });
+
+    it('redacts known secrets, Bearer credentials and token query parameters', () => {
+        const { lines, output } = capture();
+        const logger = new Logger({ output, level: 'debug', secrets: () => ['s3cr3t-value', null] });
+
+        logger.debug('Connecting to SSE', 'https://hermes.test/sse/?token=abc.def&last_event_id=4');
+        logger.debug('Header', 'Bearer xyz123');
+        logger.debug('Echo s3cr3t-value here');
+
+        assert.deepStrictEqual(lines.map(line => line.slice(2)), [
+            ['Connecting to SSE', 'https://hermes.test/sse/?token=[REDACTED]&last_event_id=4'],
+            ['Header', 'Bearer [REDACTED]'],
+            ['Echo [REDACTED] here']
+        ]);
+    });
+
+    it('redacts secret keys in copies of objects', () => {
+        const { lines, output } = capture();
+        const logger = new Logger({ output, level: 'debug', redactKeys: ['email'] });
+        const config = {
+            userId: 'user-1',
+            profileToken: 'abc',
+            headers: { Authorization: 'Basic Zm9v', 'X-Tenant': 'acme' },
+            email: 'ana@example.com'
+        };
+
+        logger.debug('Config', config);
+
+        assert.deepStrictEqual(lines[0][3], {
+            userId: 'user-1',
+            profileToken: '[REDACTED]',
+            headers: { Authorization: '[REDACTED]', 'X-Tenant': 'acme' },
+            email: '[REDACTED]'
+        });
+        assert.strictEqual(config.profileToken, 'abc');
+    });
+
+    it('rejects unknown levels', () => {
+        assert.throws(() => new Logger({ level: 'verbose' }), /Unknown log level/);
+    });
+});
+
+describe('client logging', () => {
+    it('logs through the injected logger without leaking tokens', async () => {
+        const server = new MockHermesServer();
+        const { lines, output } = capture();
+        const client = server.createClient({ userId: 'user-1', logger: output, logLevel: 'debug' });
+
+        client.connectSSE();
+        await server.flush();
+        client.disconnectSSE();
+
+        const text = JSON.stringify(lines);
+        assert.ok(lines.length > 0);
+        assert.ok(!text.includes('test-profile-token'));
+        assert.ok(!text.includes('test-app-token'));
+    });
+
+    it('logs store subscriber errors through the injected logger', () => {
+        const server = new MockHermesServer();
+        const { lines, output } = capture();
+        const client = server.createClient({ logger: output });
+        client.subscribe(() => { throw new Error('render failed'); });
+
+        client.store.setUnreadCount(2);
+
+        assert.strictEqual(lines.length, 1);
+        assert.deepStrictEqual(lines[0].slice(0, 3), ['error', '[HermesClient]', 'Error in store subscriber']);
+        assert.strictEqual(lines[0][3].message, 'render failed');
+    });
+
+    it('only warns by default', async () => {
+        const server = new MockHermesServer();
+        const { lines, output } = capture();
+        const client = server.createClient({ logger: output });
+
+        await client.sendNotification({ userId: 'user-1', title: 'Hi', body: 'There', channels: ['fax'] });
+
+        assert.deepStrictEqual(lines.map(line => line[0]), ['warn']);
+    });
+});
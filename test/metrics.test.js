@@ -0,0 +1,106 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const HermesClient = require('../hermes-client.js');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+const { Metrics } = HermesClient;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Metrics', () => {
+    it('names endpoints with ids replaced', () => {
+        assert.strictEqual(
+            Metrics.endpoint('GET', '/api/notifications/user/abc-123/unread-count'),
+            'GET /api/notifications/user/:id/unread-count'
+        );
+        assert.strictEqual(
+            Metrics.endpoint('PATCH', '/api/notifications/42/read?x=1'),
+            'PATCH /api/notifications/:id/read'
+        );
+    });
+
+    it('tracks uptime, throughput and last-message age', () => {
+        const metrics = new Metrics();
+
+        metrics.streamOpened('user:1', 1000);
+        metrics.messageReceived('user:1', 2000);
+        metrics.messageReceived('user:1', 70000);
+        metrics.streamClosed('user:1', 71000);
+        metrics.streamReconnecting('user:1');
+        metrics.streamOpened('user:1', 72000);
+
+        const stream = metrics.snapshot(75000).streams['user:1'];
+        assert.strictEqual(stream.connected, true);
+        assert.strictEqual(stream.uptimeMs, 3000);
+        assert.strictEqual(stream.totalUptimeMs, 73000);
+        assert.strictEqual(stream.connects, 2);
+        assert.strictEqual(stream.reconnects, 1);
+        assert.strictEqual(stream.messages, 2);
+        assert.strictEqual(stream.messagesPerMinute, 1);
+        assert.strictEqual(stream.lastMessageAgeMs, 5000);
+    });
+});
+
+describe('client metrics', () => {
+    let server;
+
+    beforeEach(() => {
+        server = new MockHermesServer();
+    });
+
+    it('records request latency and errors per endpoint', async () => {
+        const client = server.createClient({ retries: 1, retryDelay: 1 });
+
+        await client.getUnreadCount('user-1');
+        await client.getUnreadCount('user-2');
+        const notification = server.addNotification('user-1');
+        server.fail({ status: 500, times: 1 });
+        await client.markAsRead(notification.id);
+
+        const { requests } = client.getStatus().metrics;
+        assert.strictEqual(requests['GET /api/notifications/user/:id/unread-count'].count, 2);
+        assert.strictEqual(requests['PATCH /api/notifications/:id/read'].count, 2);
+        assert.strictEqual(requests['PATCH /api/notifications/:id/read'].errors, 1);
+        assert.strictEqual(typeof requests['PATCH /api/notifications/:id/read'].avgMs, 'number');
+    });
+
+    it('counts stream messages and reconnects', async () => {
+        const client = server.createClient({ userId: 'user-1', reconnectDelay: 5, reconnectJitter: 0 });
+
+        client.connectSSE();
+        await server.flush();
+        const before = client.getMetrics().streams['user:user-1'].messages;
+        server.pushNotification('user-1');
+        server.pushNotification('user-1');
+        await server.flush();
+        const received = client.getMetrics().streams['user:user-1'].messages - before;
+        server.drop('user-1');
+        await wait(30);
+
+        const stream = client.getMetrics().streams['user:user-1'];
+        client.disconnectSSE();
+
+        assert.strictEqual(received, 2);
+        assert.strictEqual(stream.reconnects, 1);
+        assert.strictEqual(stream.connects, 2);
+        assert.strictEqual(stream.connected, true);
+        assert.ok(stream.lastMessageAgeMs >= 0);
+        assert.strictEqual(client.getMetrics().streams['user:user-1'].connected, false);
+    });
+
+    it('emits metrics on an interval while connected', async () => {
+        const client = server.createClient({ userId: 'user-1', metricsInterval: 10 });
+        const snapshots = [];
+        client.on('metrics', snapshot => snapshots.push(snapshot));
+
+        client.connectSSE();
+        await wait(35);
+        client.disconnectSSE();
+        const count = snapshots.length;
+        await wait(25);
+
+        assert.ok(count >= 2);
+        assert.strictEqual(snapshots.length, count);
+        assert.ok(snapshots[0].streams['user:user-1']);
+    });
+});
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(check, timeout = 1000) {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await wait(5);
+    }
+}
+
+describe('multi-tab', () => {
+    let server;
+    let tabs;
+
+    beforeEach(() => {
+        server = new MockHermesServer();
+        tabs = [];
+    });
+
+    afterEach(() => {
+        tabs.forEach(tab => tab.disconnectSSE());
+    });
+
+    function openTab(multiTab = {}) {
+        const tab = server.createClient({
+            userId: 'user-1',
+            multiTab: { electionDelay: 20, heartbeatInterval: 20, leaseTimeout: 80, ...multiTab }
+        });
+        tabs.push(tab);
+        tab.connectSSE();
+        return tab;
+    }
+
+    it('elects a single leader that owns the stream', async () => {
+        const first = openTab();
+        const second = openTab();
+
+        await waitFor(() => server.connectionCount('user-1') === 1 && first.isConnected && second.isConnected);
+        await wait(60);
+
+        const roles = tabs.map(tab => tab.getStatus().tabRole).sort();
+        assert.deepStrictEqual(roles, ['follower', 'leader']);
+        assert.strictEqual(server.connectionCount('user-1'), 1);
+    });
+
+    it('rebroadcasts notifications to the followers', async () => {
+        const first = openTab();
+        await waitFor(() => first.tabs.isLeader && first.isConnected);
+        const second = openTab();
+        await waitFor(() => second.tabs.leaderId === first.tabs.tabId);
+        const received = [];
+        second.on('notification', notification => received.push(notification.title));
+
+        server.pushNotification('user-1', { title: 'Shared' });
+        await waitFor(() => received.length === 1);
+
+        assert.deepStrictEqual(received, ['Shared']);
+        assert.deepStrictEqual(second.getSnapshot().notifications.map(n => n.title), ['Shared']);
+        assert.strictEqual(server.connectionCount('user-1'), 1);
+    });
+
+    it('shares store changes made in any tab', async () => {
+        const first = openTab();
+        await waitFor(() => first.tabs.isLeader && first.isConnected);
+        const second = openTab();
+        await waitFor(() => second.tabs.leaderId === first.tabs.tabId);
+        const notification = server.pushNotification('user-1');
+        await waitFor(() => second.getSnapshot().notifications.length === 1);
+
+        await second.markAsRead(notification.id);
+        await waitFor(() => first.getSnapshot().notifications[0].is_read);
+
+        assert.strictEqual(first.getSnapshot().notifications[0].is_read, true);
+    });
+
+    it('fails over when the leader leaves', async () => {
+        const first = openTab();
+        await waitFor(() => first.tabs.isLeader && first.isConnected);
+        const second = openTab();
+        await waitFor(() => second.tabs.leaderId === first.tabs.tabId);
+        const changes = [];
+        second.on('leaderChange', change => changes.push(change.isLeader));
+
+        first.disconnectSSE();
+        await waitFor(() => second.tabs.isLeader && second.connection && second.connection.state === 'open');
+
+        assert.deepStrictEqual(changes, [true]);
+        assert.strictEqual(server.connectionCount('user-1'), 1);
+    });
+
+    it('takes over when the leader stops sending heartbeats', async () => {
+        const first = openTab();
+        await waitFor(() => first.tabs.isLeader && first.isConnected);
+        const second = openTab();
+        await waitFor(() => second.tabs.leaderId === first.tabs.tabId);
+
+        // Frozen tab: no resign, no heartbeats
+        clearInterval(first.tabs.timer);
+        first.tabs.channel.close();
+        first.tabs.channel = null;
+        first.closeConnection('frozen');
+        await waitFor(() => second.tabs.isLeader && second.isConnected);
+
+        assert.strictEqual(server.connectionCount('user-1'), 1);
+    });
+
+    it('does not connect when disconnected during the election', async () => {
+        const tab = openTab({ electionDelay: 30 });
+        await wait(40);
+
+        tab.disconnectSSE();
+        await wait(100);
+
+        assert.strictEqual(tab.connection, null);
+        assert.strictEqual(server.connectionCount('user-1'), 0);
+    });
+});
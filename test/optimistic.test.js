@@ -0,0 +1,108 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+describe('optimistic updates', () => {
+    let server;
+    let client;
+    let events;
+
+    beforeEach(async () => {
+        server = new MockHermesServer();
+        client = server.createClient({ userId: 'user-1', retries: 0 });
+        server.addNotification('user-1', { title: 'First' });
+        server.addNotification('user-1', { title: 'Second' });
+
+        await client.getNotifications();
+        await client.getUnreadCount();
+
+        events = [];
+        client.on('unreadCount', count => events.push(['unreadCount', count]));
+        client.on('notificationUpdated', ({ notification, previous }) => {
+            events.push(['notificationUpdated', notification.id, previous.is_read, notification.is_read]);
+        });
+        client.on('mutationFailed', ({ type, error }) => events.push(['mutationFailed', type, error.status]));
+    });
+
+    it('updates the store and emits before the server answers', async () => {
+        const pending = client.markAsRead('n1');
+
+        assert.strictEqual(client.store.get('n1').is_read, true);
+        assert.deepStrictEqual(events, [
+            ['notificationUpdated', 'n1', false, true],
+            ['unreadCount', 1]
+        ]);
+
+        await pending;
+        assert.strictEqual(server.notifications.get('n1').is_read, true);
+        assert.strictEqual(events.length, 2);
+    });
+
+    it('rolls back and emits mutationFailed when the request fails', async () => {
+        server.fail({ method: 'PATCH', status: 500 });
+
+        await assert.rejects(client.markAsRead('n1'), error => error.status === 500);
+
+        assert.strictEqual(client.store.get('n1').is_read, false);
+        assert.strictEqual(client.getSnapshot().unreadCount, 2);
+        assert.deepStrictEqual(events, [
+            ['notificationUpdated', 'n1', false, true],
+            ['unreadCount', 1],
+            ['notificationUpdated', 'n1', true, false],
+            ['unreadCount', 2],
+            ['mutationFailed', 'markAsRead', 500]
+        ]);
+    });
+
+    it('marks everything read at once and restores it on failure', async () => {
+        server.fail({ method: 'PATCH', status: 503 });
+        const pending = client.markAllAsRead();
+
+        assert.strictEqual(client.getSnapshot().unreadCount, 0);
+        await assert.rejects(pending);
+
+        assert.strictEqual(client.getSnapshot().unreadCount, 2);
+        assert.deepStrictEqual(client.getSnapshot().notifications.map(n => n.is_read), [false, false]);
+        assert.deepStrictEqual(events.pop(), ['mutationFailed', 'markAllAsRead', 503]);
+    });
+
+    it('takes the server copy of the notification', async () => {
+        const update = server.routes.update;
+        server.routes = {
+            ...server.routes,
+            update(request, params) {
+                this.notifications.get(params[0]).title = 'Renamed';
+                return update.call(this, request, params);
+            }
+        };
+
+        await client.markAsRead('n1');
+
+        assert.strictEqual(client.store.get('n1').title, 'Renamed');
+        assert.deepStrictEqual(events.slice(-1), [['notificationUpdated', 'n1', true, true]]);
+    });
+
+    it('keeps queued changes until the outbox drops them', async () => {
+        client = server.createClient({ userId: 'user-1', outbox: true, retries: 0 });
+        await client.getNotifications();
+        const failed = [];
+        client.on('mutationFailed', ({ type }) => failed.push(type));
+
+        // The second call queues behind the first and starts a flush
+        server.fail({ method: 'PATCH', networkError: true, times: 2 });
+        const result = await client.markAsRead('n2');
+        await client.markAsRead('n1');
+        await client.flushOutbox();
+
+        assert.strictEqual(result.queued, true);
+        assert.strictEqual(client.outbox.size, 2);
+        assert.strictEqual(client.store.get('n2').is_read, true);
+
+        server.fail({ method: 'PATCH', status: 404, times: 2 });
+        await client.flushOutbox();
+
+        assert.deepStrictEqual(failed, ['markAsRead', 'markAsRead']);
+        assert.strictEqual(client.store.get('n2').is_read, false);
+        assert.strictEqual(client.store.get('n1').is_read, false);
+    });
+});
@@ -0,0 +1,64 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+describe('Outbox', () => {
+    let server;
+    let client;
+
+    beforeEach(() => {
+        server = new MockHermesServer();
+        client = server.createClient({ userId: 'user-1', outbox: true, retries: 0 });
+    });
+
+    it('queues a mutation that fails with a network error', async () => {
+        const notification = server.addNotification('user-1');
+        const queued = [];
+        client.on('outboxQueued', entry => queued.push(entry.type));
+
+        server.fail({ path: '/api/notifications/', networkError: true });
+        const result = await client.markAsRead(notification.id);
+
+        assert.strictEqual(result.queued, true);
+        assert.deepStrictEqual(queued, ['markAsRead']);
+        assert.strictEqual(client.outbox.size, 1);
+        assert.strictEqual(server.getNotifications('user-1')[0].is_read, false);
+    });
+
+    it('replays queued mutations in order with their idempotency keys', async () => {
+        const first = server.addNotification('user-1');
+        const second = server.addNotification('user-1');
+
+        server.fail({ path: '/api/notifications/', networkError: true });
+        await client.markAsRead(first.id);
+        await client.archive(second.id);
+
+        const queuedKeys = client.outbox.getEntries().map(entry => entry.idempotencyKey);
+        server.clearFaults();
+        await client.flushOutbox();
+
+        const replayed = server.requests
+            .filter(request => request.method === 'PATCH')
+            .slice(-2);
+        assert.deepStrictEqual(replayed.map(request => request.path), [
+            `/api/notifications/${first.id}/read`,
+            `/api/notifications/${second.id}/archive`
+        ]);
+        assert.deepStrictEqual(replayed.map(request => request.headers['idempotency-key']), queuedKeys);
+        assert.strictEqual(client.outbox.size, 0);
+        assert.strictEqual(server.notifications.get(first.id).is_read, true);
+        assert.strictEqual(server.notifications.get(second.id).is_archived, true);
+    });
+
+    it('drops entries the server rejects', async () => {
+        const failed = [];
+        client.on('outboxFailed', ({ entry, error }) => failed.push([entry.type, error.status]));
+
+        server.fail({ path: '/api/notifications/', networkError: true });
+        await client.markAsRead('missing');
+        await client.flushOutbox();
+
+        assert.deepStrictEqual(failed, [['markAsRead', 404]]);
+        assert.strictEqual(client.outbox.size, 0);
+    });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const HermesClient = require('../hermes-client.js');
+
+const parse = (chunks, handlers = {}) => {
+    const events = [];
+    const parser = new HermesClient.SSEParser({ onEvent: event => events.push(event), ...handlers });
+    chunks.forEach(chunk => parser.feed(chunk));
+    return events;
+};
+
+describe('SSEParser', () => {
+    it('parses events split across chunks', () => {
+        const events = parse(['data: {"a"', ':1}\n', '\ndata: second\n\n']);
+
+        assert.deepStrictEqual(events.map(e => e.data), ['{"a":1}', 'second']);
+        assert.strictEqual(events[0].type, 'message');
+    });
+
+    it('handles CRLF line endings split between chunks', () => {
+        const events = parse(['data: one\r', '\n\r\n', 'data: two\r\n\r\n']);
+
+        assert.deepStrictEqual(events.map(e => e.data), ['one', 'two']);
+    });
+
+    it('joins multi-line data and reads named events and ids', () => {
+        const events = parse(['id: 7\nevent: update\ndata: line 1\ndata: line 2\n\n']);
+
+        assert.deepStrictEqual(events, [{ type: 'update', data: 'line 1\nline 2', lastEventId: '7' }]);
+    });
+
+    it('keeps the last event id for following events', () => {
+        const events = parse(['id: 3\ndata: a\n\ndata: b\n\n']);
+
+        assert.strictEqual(events[1].lastEventId, '3');
+    });
+
+    it('reports comments and retry hints without dispatching', () => {
+        const comments = [];
+        const retries = [];
+        const events = parse([': keep-alive\nretry: 2500\n\n'], {
+            onComment: text => comments.push(text),
+            onRetry: ms => retries.push(ms)
+        });
+
+        assert.deepStrictEqual(events, []);
+        assert.deepStrictEqual(comments, ['keep-alive']);
+        assert.deepStrictEqual(retries, [2500]);
+    });
+});
@@ -0,0 +1,140 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+describe('plugins', () => {
+    let server;
+
+    beforeEach(() => {
+        server = new MockHermesServer();
+    });
+
+    it('lets beforeRequest add headers and change the body', async () => {
+        const client = server.createClient({
+            plugins: [{
+                name: 'tracing',
+                beforeRequest(request) {
+                    request.headers['X-Trace-Id'] = 'trace-1';
+                    if (request.body) {
+                        return { ...request, body: { ...request.body, metadata: { traced: true } } };
+                    }
+                }
+            }]
+        });
+
+        await client.sendNotification({ userId: 'user-1', title: 'Hi', body: 'There' });
+        const [request] = server.getRequests('POST');
+
+        assert.strictEqual(request.headers['x-trace-id'], 'trace-1');
+        assert.deepStrictEqual(request.body.metadata, { traced: true });
+    });
+
+    it('lets afterResponse observe and rewrite responses', async () => {
+        const seen = [];
+        const client = server.createClient({ userId: 'user-1' });
+        client.use({
+            beforeRequest(request) {
+                request.startedAt = Date.now();
+            },
+            afterResponse(response, request) {
+                seen.push([request.method, response.status, typeof request.startedAt]);
+                if (response.ok && typeof response.data.count === 'number') {
+                    response.data = { count: response.data.count + 10 };
+                }
+            }
+        });
+
+        assert.strictEqual(await client.getUnreadCount(), 10);
+        assert.deepStrictEqual(seen, [['GET', 200, 'number']]);
+    });
+
+    it('rejects the request when a request hook throws', async () => {
+        const client = server.createClient({
+            plugins: [{ async beforeRequest() { throw new Error('blocked'); } }]
+        });
+
+        await assert.rejects(client.getNotifications({ userId: 'user-1' }), /blocked/);
+        assert.strictEqual(server.requests.length, 0);
+    });
+
+    it('transforms and drops stream messages and notifications', async () => {
+        const client = server.createClient({ userId: 'user-1' });
+        const received = [];
+        const custom = [];
+        client.on('notification', notification => received.push([notification.title, notification.tag]));
+        client.on('order_update', data => custom.push(data));
+        client.use({
+            onMessage(message) {
+                if (message.type === 'debug') return null;
+                if (message.type === 'order_update') return { ...message, data: { ...message.data, seen: true } };
+            },
+            onNotification(notification, context) {
+                if (notification.priority === 'low') return null;
+                return { ...notification, tag: context.streamId };
+            }
+        });
+
+        client.connectSSE();
+        await server.flush();
+        server.pushNotification('user-1', { title: 'Quiet', priority: 'low' });
+        server.pushNotification('user-1', { title: 'Loud', priority: 'high' });
+        server.sendEvent('user-1', { type: 'debug' });
+        server.sendEvent('user-1', { type: 'order_update', id: 1 });
+        await server.flush();
+        client.disconnectSSE();
+
+        assert.deepStrictEqual(received, [['Loud', 'user:user-1']]);
+        assert.deepStrictEqual(custom, [{ type: 'order_update', id: 1, seen: true }]);
+        assert.deepStrictEqual(client.getSnapshot().notifications.map(n => n.title), ['Loud']);
+    });
+
+    it('reports a throwing stream hook and keeps delivering', async () => {
+        const client = server.createClient({ userId: 'user-1' });
+        const errors = [];
+        const received = [];
+        client.on('error', error => errors.push(error.code));
+        client.on('notification', notification => received.push(notification.title));
+        client.use({ name: 'broken', onNotification() { throw new Error('oops'); } });
+
+        client.connectSSE();
+        await server.flush();
+        server.pushNotification('user-1', { title: 'Still here' });
+        await server.flush();
+        client.disconnectSSE();
+
+        assert.deepStrictEqual(errors, ['PLUGIN_ERROR']);
+        assert.deepStrictEqual(received, ['Still here']);
+    });
+
+    it('calls lifecycle hooks once per connection', async () => {
+        const client = server.createClient({ userId: 'user-1' });
+        const calls = [];
+        client.use({
+            onConnect: info => calls.push(['connect', info.streamId]),
+            onDisconnect: info => calls.push(['disconnect', info.reason])
+        });
+
+        client.connectSSE();
+        await server.flush();
+        client.disconnectSSE();
+
+        assert.deepStrictEqual(calls, [['connect', 'user:user-1'], ['disconnect', 'manual']]);
+    });
+
+    it('runs setup and teardown', () => {
+        const client = server.createClient();
+        const calls = [];
+        const remove = client.use({
+            setup(hermes) {
+                calls.push(hermes === client);
+                return () => calls.push('teardown');
+            }
+        });
+
+        remove();
+        remove();
+
+        assert.deepStrictEqual(calls, [true, 'teardown']);
+        assert.strictEqual(client.plugins.length, 0);
+    });
+});
@@ -0,0 +1,129 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { JSDOM } from 'jsdom';
+import testing from '../hermes-testing.js';
+
+const { MockHermesServer } = testing;
+
+// react-dom needs a browser environment before it loads
+const dom = new JSDOM('<!DOCTYPE html><body></body>');
+globalThis.window = dom.window;
+globalThis.document = dom.window.document;
+Object.defineProperty(globalThis, 'navigator', { value: dom.window.navigator, configurable: true });
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const { act, createElement } = await import('react');
+const { createRoot } = await import('react-dom/client');
+const {
+    HermesProvider,
+    useHermesEvent,
+    useHermesStatus,
+    useNotifications,
+    useUnreadCount
+} = await import('../adapters/react.mjs');
+
+/**
+ * Record listeners added with on() and removed with off()
+ */
+function trackListeners(client) {
+    const active = [];
+    const on = client.on.bind(client);
+    const off = client.off.bind(client);
+
+    client.on = (event, callback) => {
+        active.push([event, callback]);
+        return on(event, callback);
+    };
+    client.off = (event, callback) => {
+        const index = active.findIndex(([name, fn]) => name === event && fn === callback);
+        if (index > -1) active.splice(index, 1);
+        return off(event, callback);
+    };
+    return active;
+}
+
+describe('React adapter', () => {
+    let server;
+    let client;
+    let listeners;
+    let container;
+    let root;
+
+    beforeEach(() => {
+        server = new MockHermesServer();
+        client = server.createClient({ userId: 'user-1' });
+        listeners = trackListeners(client);
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        root = createRoot(container);
+    });
+
+    afterEach(() => {
+        client.disconnectSSE();
+        container.remove();
+    });
+
+    function Bell({ renders, events }) {
+        const notifications = useNotifications();
+        const unreadCount = useUnreadCount();
+        const status = useHermesStatus();
+        useHermesEvent('notification', notification => events.push(notification.title));
+        renders.push({ count: notifications.length, unreadCount, state: status.state });
+        return createElement('span', null, `${unreadCount}`);
+    }
+
+    async function mount(props = {}) {
+        const renders = [];
+        const events = [];
+        await act(async () => {
+            root.render(createElement(HermesProvider, { client, ...props }, createElement(Bell, { renders, events })));
+        });
+        await act(() => server.flush());
+        return { renders, events };
+    }
+
+    it('renders the store and the status, then follows the stream', async () => {
+        server.addNotification('user-1', { title: 'Preloaded' });
+        const { renders, events } = await mount();
+
+        await act(async () => {
+            server.pushNotification('user-1', { title: 'Live' });
+            await server.flush();
+        });
+
+        assert.deepStrictEqual(events, ['Live']);
+        assert.deepStrictEqual(renders[renders.length - 1], { count: 2, unreadCount: 2, state: 'open' });
+        assert.strictEqual(container.textContent, '2');
+        await act(async () => root.unmount());
+    });
+
+    it('removes every listener and store subscription on unmount', async () => {
+        const { renders, events } = await mount({ connect: false, preload: false });
+        assert.ok(listeners.length > 0);
+        assert.strictEqual(client.store.subscribers.length > 0, true);
+
+        await act(async () => root.unmount());
+        const rendered = renders.length;
+        await act(async () => {
+            client.store.setUnreadCount(5);
+            client.emit('notification', { title: 'After unmount' });
+            client.emit('stateChange', { state: 'open' });
+        });
+
+        assert.strictEqual(listeners.length, 0);
+        assert.strictEqual(client.store.subscribers.length, 0);
+        assert.strictEqual(renders.length, rendered);
+        assert.deepStrictEqual(events, []);
+    });
+
+    it('closes the stream it opened on unmount', async () => {
+        await mount({ preload: false });
+        assert.strictEqual(server.connectionCount('user-1'), 1);
+
+        await act(async () => root.unmount());
+        await server.flush();
+
+        assert.strictEqual(server.connectionCount('user-1'), 0);
+        assert.strictEqual(client.getStatus().state, 'closed');
+    });
+});
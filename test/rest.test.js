@@ -0,0 +1,226 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const HermesClient = require('../hermes-client.js');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+describe('REST API', () => {
+    let server;
+    let client;
+
+    beforeEach(() => {
+        server = new MockHermesServer();
+        client = server.createClient({ userId: 'user-1', retryDelay: 1 });
+    });
+
+    it('sends a notification with an idempotency key', async () => {
+        const result = await client.sendNotification({ userId: 'user-1', title: 'Hello', body: 'World' });
+        const [request] = server.getRequests('POST', '/api/notifications/send');
+
+        assert.strictEqual(result.title, 'Hello');
+        assert.strictEqual(request.body.user_id, 'user-1');
+        assert.ok(request.headers['idempotency-key']);
+        assert.strictEqual(request.headers['authorization'], 'Bearer test-app-token');
+    });
+
+    it('validates the payload before sending', async () => {
+        await assert.rejects(client.sendNotification({ userId: 'user-1' }), /title/);
+        assert.strictEqual(server.requests.length, 0);
+    });
+
+    it('fills the local store from fetched pages', async () => {
+        server.addNotification('user-1', { title: 'First' });
+        server.addNotification('user-1', { title: 'Second' });
+
+        const result = await client.getNotifications();
+
+        assert.strictEqual(result.count, 2);
+        assert.deepStrictEqual(client.getSnapshot().notifications.map(n => n.title), ['Second', 'First']);
+    });
+
+    it('iterates over every page', async () => {
+        for (let i = 0; i < 5; i++) {
+            server.addNotification('user-1', { title: `N${i}` });
+        }
+
+        const titles = [];
+        for await (const notification of client.iterateNotifications({ pageSize: 2 })) {
+            titles.push(notification.title);
+        }
+
+        assert.deepStrictEqual(titles, ['N4', 'N3', 'N2', 'N1', 'N0']);
+        assert.strictEqual(server.getRequests('GET', '/api/notifications/user/user-1').length, 3);
+    });
+
+    it('follows next and previous links', async () => {
+        for (let i = 0; i < 3; i++) {
+            server.addNotification('user-1', { title: `N${i}` });
+        }
+
+        const first = await client.fetchNotifications({ limit: 2 });
+        const second = await client.fetchNotifications({ cursor: first.next });
+        const back = await client.fetchNotifications({ cursor: second.previous });
+
+        assert.deepStrictEqual(first.results.map(n => n.title), ['N2', 'N1']);
+        assert.deepStrictEqual(second.results.map(n => n.title), ['N0']);
+        assert.strictEqual(second.next, null);
+        assert.deepStrictEqual(back.results.map(n => n.title), ['N2', 'N1']);
+    });
+
+    it('never sends the token to a look-alike host from a cursor', async () => {
+        const urls = [];
+        client = server.createClient({
+            userId: 'user-1',
+            fetch: (input, init) => {
+                urls.push(String(input));
+                return server.fetch(input, init);
+            }
+        });
+
+        await client.fetchNotifications({ cursor: `${server.baseUrl}.evil.net/api/notifications/user/user-1?offset=2` });
+        await client.fetchNotifications({ cursor: 'https://evil.net/api/notifications/user/user-1' });
+
+        assert.deepStrictEqual(urls, [
+            `${server.baseUrl}/api/notifications/user/user-1?offset=2`,
+            `${server.baseUrl}/api/notifications/user/user-1`
+        ]);
+    });
+
+    it('keeps the base path of cursors to the configured server', () => {
+        client = server.createClient({ baseUrl: 'https://hermes.example.com/hermes' });
+
+        assert.strictEqual(
+            client.resolveCursor('https://hermes.example.com/hermes/api/notifications/user/u?offset=20'),
+            '/api/notifications/user/u?offset=20'
+        );
+        assert.strictEqual(
+            client.resolveCursor('https://hermes.example.com.evil.net/hermes/api/x'),
+            '/hermes/api/x'
+        );
+    });
+
+    it('sends filters as query parameters', async () => {
+        await client.getNotifications({ isRead: false, priority: ['high', 'urgent'], sourceSystem: 'billing' });
+        const [request] = server.getRequests('GET');
+
+        assert.strictEqual(request.query.get('is_read'), 'false');
+        assert.deepStrictEqual(request.query.getAll('priority'), ['high', 'urgent']);
+        assert.strictEqual(request.query.get('source_system'), 'billing');
+    });
+
+    it('marks notifications as read on the server and in the store', async () => {
+        const notification = server.addNotification('user-1');
+        await client.getNotifications();
+        await client.getUnreadCount();
+
+        await client.markAsRead(notification.id);
+
+        assert.strictEqual(server.notifications.get(notification.id).is_read, true);
+        assert.strictEqual(client.getSnapshot().unreadCount, 0);
+        assert.strictEqual(client.getSnapshot().notifications[0].is_read, true);
+    });
+
+    it('marks several notifications as read in one request', async () => {
+        const first = server.addNotification('user-1');
+        const second = server.addNotification('user-1');
+        server.addNotification('user-1');
+        await client.getNotifications();
+        await client.getUnreadCount();
+
+        await client.markManyAsRead([first.id, second.id]);
+        const [request] = server.getRequests('PATCH', '/api/notifications/read-many');
+
+        assert.deepStrictEqual(request.body.notification_ids, [first.id, second.id]);
+        assert.strictEqual(server.getUnreadCount('user-1'), 1);
+        assert.strictEqual(client.getSnapshot().unreadCount, 1);
+        await assert.rejects(client.markManyAsRead([]), /non-empty array/);
+    });
+
+    it('marks a notification as unread again', async () => {
+        const notification = server.addNotification('user-1', { is_read: true });
+        await client.getNotifications();
+        await client.getUnreadCount();
+
+        await client.markAsUnread(notification.id);
+
+        assert.strictEqual(server.notifications.get(notification.id).is_read, false);
+        assert.strictEqual(client.getSnapshot().notifications[0].is_read, false);
+        assert.strictEqual(client.getSnapshot().unreadCount, 1);
+    });
+
+    it('archives and deletes notifications, removing them from the store', async () => {
+        const archived = server.addNotification('user-1', { title: 'Archived' });
+        const deleted = server.addNotification('user-1', { title: 'Deleted' });
+        server.addNotification('user-1', { title: 'Kept' });
+        await client.getNotifications();
+
+        await client.archive(archived.id);
+        await client.deleteNotification(deleted.id);
+
+        assert.strictEqual(server.notifications.get(archived.id).is_archived, true);
+        assert.strictEqual(server.notifications.has(deleted.id), false);
+        assert.deepStrictEqual(client.getSnapshot().notifications.map(n => n.title), ['Kept']);
+        await assert.rejects(client.deleteNotification(deleted.id), error => error.code === 'NOT_FOUND');
+    });
+
+    it('retries idempotent requests on server errors', async () => {
+        server.fail({ method: 'GET', status: 503, times: 2 });
+
+        const count = await client.getUnreadCount();
+
+        assert.strictEqual(count, 0);
+        assert.strictEqual(server.getRequests('GET').length, 3);
+    });
+
+    it('retries sends with the same idempotency key', async () => {
+        server.fail({ method: 'POST', status: 500 });
+
+        await client.sendNotification({ userId: 'user-1', title: 'Hi', body: 'There' });
+        const keys = server.getRequests('POST').map(request => request.headers['idempotency-key']);
+
+        assert.strictEqual(keys.length, 2);
+        assert.strictEqual(keys[0], keys[1]);
+        assert.strictEqual(server.getNotifications('user-1').length, 1);
+    });
+
+    it('throws HermesError with the server message and code', async () => {
+        server.fail({ path: '/api/notifications/user', status: 422, body: { error: 'Bad filter', code: 'INVALID_FILTER' } });
+
+        await assert.rejects(client.getNotifications(), (error) => {
+            assert.ok(error instanceof HermesClient.HermesError);
+            assert.strictEqual(error.message, 'Bad filter');
+            assert.strictEqual(error.code, 'INVALID_FILTER');
+            assert.strictEqual(error.status, 422);
+            assert.strictEqual(error.request.method, 'GET');
+            return true;
+        });
+    });
+
+    it('reports network errors and timeouts', async () => {
+        client.retries = 0;
+        client.timeout = 20;
+
+        server.fail({ networkError: true });
+        await assert.rejects(client.getUnreadCount(), { code: 'NETWORK_ERROR' });
+
+        server.fail({ delay: 200 });
+        await assert.rejects(client.getUnreadCount(), { code: 'TIMEOUT' });
+    });
+
+    it('refreshes an expired token once and retries', async () => {
+        let refreshes = 0;
+        client = server.createClient({
+            userId: 'user-1',
+            refreshToken: async () => {
+                refreshes++;
+                return 'fresh-token';
+            }
+        });
+        server.setTokens(['fresh-token']);
+
+        const count = await client.getUnreadCount();
+
+        assert.strictEqual(count, 0);
+        assert.strictEqual(refreshes, 1);
+        assert.strictEqual(client.profileToken, 'fresh-token');
+    });
+});
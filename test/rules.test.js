@@ -0,0 +1,68 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+describe('NotificationRules', () => {
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    const connect = async (rules) => {
+        const server = new MockHermesServer();
+        const client = server.createClient({ userId: 'user-1', rules });
+        const events = [];
+        client.on('notification', notification => events.push(['notification', notification.title]));
+        client.on('notificationSuppressed', ({ notification, reason }) => events.push([reason, notification.title]));
+        client.on('digest', ({ count }) => events.push(['digest', count]));
+
+        client.connectSSE();
+        await server.flush();
+        return { server, client, events };
+    };
+
+    it('keeps muted notifications out of the notification event', async () => {
+        const { server, client, events } = await connect({ mute: { sourceSystems: ['billing'] } });
+
+        server.pushNotification('user-1', { title: 'Invoice', source_system: 'billing' });
+        server.pushNotification('user-1', { title: 'Reply', source_system: 'chat' });
+        await server.flush();
+        client.disconnectSSE();
+
+        assert.deepStrictEqual(events, [['muted', 'Invoice'], ['notification', 'Reply']]);
+        assert.strictEqual(client.getSnapshot().notifications.length, 2);
+    });
+
+    it('collapses bursts into a digest', async () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        const { server, client, events } = await connect({ digest: { window: 1000, threshold: 2 } });
+
+        ['a', 'b', 'c', 'd'].forEach(title => server.pushNotification('user-1', { title }));
+        await server.flush();
+        mock.timers.tick(1000);
+        client.disconnectSSE();
+
+        assert.deepStrictEqual(events, [
+            ['notification', 'a'],
+            ['notification', 'b'],
+            ['digest', 'c'],
+            ['digest', 'd'],
+            ['digest', 2]
+        ]);
+    });
+
+    it('groups notifications by a metadata key', async () => {
+        const { client } = await connect({ groupBy: 'thread' });
+        client.disconnectSSE();
+
+        const groups = client.groupNotifications([
+            { id: 1, metadata: { thread: 't1' } },
+            { id: 2, metadata: {} },
+            { id: 3, metadata: { thread: 't1' }, is_read: true }
+        ]);
+
+        assert.deepStrictEqual(groups.map(group => [group.key, group.notifications.length, group.unreadCount]), [
+            ['t1', 2, 1],
+            [null, 1, 1]
+        ]);
+    });
+});
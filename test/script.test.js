@@ -0,0 +1,53 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const source = (file) => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+
+// Classic <script> tags, where top-level declarations share one global scope
+describe('script tags', () => {
+    let window;
+    let errors;
+
+    beforeEach(() => {
+        errors = [];
+        const virtualConsole = new VirtualConsole();
+        virtualConsole.on('jsdomError', error => errors.push(error.message));
+        window = new JSDOM('<!DOCTYPE html><body></body>', { runScripts: 'dangerously', virtualConsole }).window;
+    });
+
+    function load(code) {
+        const script = window.document.createElement('script');
+        script.textContent = code;
+        window.document.body.appendChild(script);
+    }
+
+    it('exposes only HermesClient, next to page globals of the same names', () => {
+        load('class Logger {} const NotificationStore = 1; window.pageLogger = Logger;');
+        load(source('hermes-client.js'));
+        load('window.result = { logger: typeof Logger, same: Logger === window.pageLogger, store: NotificationStore };');
+
+        assert.deepStrictEqual(errors, []);
+        assert.strictEqual(typeof window.HermesClient, 'function');
+        assert.strictEqual(typeof window.HermesClient.Logger, 'function');
+        assert.notStrictEqual(window.HermesClient.Logger, window.pageLogger);
+        assert.deepStrictEqual({ ...window.result }, { logger: 'function', same: true, store: 1 });
+        assert.strictEqual(window.HermesError, undefined);
+    });
+
+    it('loads the testing utilities after the client', () => {
+        // Browsers have it, jsdom does not
+        window.TextEncoder = TextEncoder;
+        load('const ROUTES = [];');
+        load(source('hermes-client.js'));
+        load(source('hermes-testing.js'));
+        load('window.client = new HermesTesting.MockHermesServer().createClient({ userId: "user-1" });');
+
+        assert.deepStrictEqual(errors, []);
+        assert.strictEqual(typeof window.HermesTesting.MockHermesServer, 'function');
+        assert.ok(window.client instanceof window.HermesClient);
+        assert.strictEqual(window.MockHermesServer, undefined);
+    });
+});
@@ -0,0 +1,128 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { HermesSender, HermesError } = require('../hermes-sender.js');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+describe('HermesSender', () => {
+    let server;
+    let sender;
+
+    beforeEach(() => {
+        server = new MockHermesServer();
+        sender = new HermesSender({
+            baseUrl: server.baseUrl,
+            appToken: 'test-app-token',
+            fetch: server.fetch,
+            retryDelay: 1,
+            templates: {
+                order_shipped: {
+                    title: 'Order {{order.id}} shipped',
+                    body: 'Arriving {{ date }}',
+                    priority: 'high'
+                }
+            }
+        });
+    });
+
+    it('requires an app token', () => {
+        assert.throws(() => new HermesSender({ profileToken: 'token' }), /appToken/);
+    });
+
+    it('sends with the app token and an idempotency key', async () => {
+        await sender.send({ userId: 'user-1', title: 'Hi', body: 'There' });
+        const [request] = server.getRequests('POST', '/api/notifications/send');
+
+        assert.strictEqual(request.headers['authorization'], 'Bearer test-app-token');
+        assert.ok(request.headers['idempotency-key']);
+        assert.strictEqual(request.body.source_system, 'server');
+    });
+
+    it('renders templates, letting explicit fields win', async () => {
+        await sender.send({
+            userId: 'user-1',
+            template: 'order_shipped',
+            vars: { order: { id: 42 }, date: 'Friday' },
+            priority: 'urgent'
+        });
+        const [request] = server.getRequests('POST', '/api/notifications/send');
+
+        assert.strictEqual(request.body.title, 'Order 42 shipped');
+        assert.strictEqual(request.body.body, 'Arriving Friday');
+        assert.strictEqual(request.body.priority, 'urgent');
+    });
+
+    it('rejects missing template variables before sending', async () => {
+        await assert.rejects(
+            sender.send({ userId: 'user-1', template: 'order_shipped', vars: { date: 'Friday' } }),
+            /order\.id/
+        );
+        await assert.rejects(sender.send({ userId: 'user-1', template: 'nope' }), /Unknown template/);
+        assert.strictEqual(server.requests.length, 0);
+    });
+
+    it('schedules with sendAt', async () => {
+        const sendAt = new Date('2030-01-01T09:00:00Z');
+        await sender.send({ userId: 'user-1', title: 'Later', body: 'Soon', sendAt });
+        const [request] = server.getRequests('POST', '/api/notifications/send');
+
+        assert.strictEqual(request.body.scheduled_at, '2030-01-01T09:00:00.000Z');
+        await assert.rejects(
+            sender.send({ userId: 'user-1', title: 'Later', body: 'Soon', sendAt: 'not a date' }),
+            /sendAt/
+        );
+    });
+
+    it('retries server errors with the same idempotency key', async () => {
+        server.fail({ path: '/api/notifications/send', status: 503, times: 2 });
+
+        const result = await sender.send({ userId: 'user-1', title: 'Hi', body: 'There' });
+        const keys = server.getRequests('POST', '/api/notifications/send').map(r => r.headers['idempotency-key']);
+
+        assert.strictEqual(result.title, 'Hi');
+        assert.strictEqual(keys.length, 3);
+        assert.strictEqual(new Set(keys).size, 1);
+    });
+
+    it('throws HermesError once retries run out', async () => {
+        server.fail({ path: '/api/notifications/send', status: 500, times: 4 });
+
+        await assert.rejects(
+            sender.send({ userId: 'user-1', title: 'Hi', body: 'There' }),
+            error => error instanceof HermesError && error.status === 500
+        );
+    });
+
+    it('fans out a templated batch', async () => {
+        const results = await sender.sendBatch({
+            userIds: ['user-1', 'user-2'],
+            template: 'order_shipped',
+            vars: { order: { id: 7 }, date: 'today' }
+        });
+
+        assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'fulfilled']);
+        assert.deepStrictEqual(server.getNotifications().map(n => [n.user_id, n.title]).sort(), [
+            ['user-1', 'Order 7 shipped'],
+            ['user-2', 'Order 7 shipped']
+        ]);
+    });
+
+    it('rejects only the batch items whose template fails to render', async () => {
+        const results = await sender.sendBatch([
+            { userId: 'user-1', template: 'order_shipped', vars: { order: { id: 1 }, date: 'today' } },
+            { userId: 'user-2', template: 'order_shipped', vars: { date: 'today' } },
+            { userId: 'user-3', title: 'Hi', body: 'There' }
+        ]);
+
+        assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+        assert.match(results[1].reason.message, /order\.id/);
+        assert.strictEqual(results[1].params.userId, 'user-2');
+        assert.deepStrictEqual(server.getNotifications().map(n => n.user_id).sort(), ['user-1', 'user-3']);
+    });
+
+    it('does not expose SSE methods or its client', () => {
+        assert.strictEqual(sender.connectSSE, undefined);
+        assert.strictEqual(sender.on, undefined);
+        assert.strictEqual(sender.client, undefined);
+        assert.deepStrictEqual(Object.keys(sender), ['templates']);
+    });
+});
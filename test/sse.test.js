@@ -0,0 +1,253 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const HermesClient = require('../hermes-client.js');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('SSE', () => {
+    let server;
+    let client;
+
+    beforeEach(() => {
+        server = new MockHermesServer();
+        client = server.createClient({ userId: 'user-1', reconnectDelay: 5, reconnectJitter: 0 });
+    });
+
+    afterEach(() => {
+        client.disconnectSSE();
+    });
+
+    it('delivers pushed notifications and stores them', async () => {
+        const received = [];
+        client.on('notification', notification => received.push(notification.title));
+
+        client.connectSSE();
+        await server.flush();
+        server.pushNotification('user-1', { title: 'Hello' });
+        await server.flush();
+
+        assert.strictEqual(client.getStatus().state, 'open');
+        assert.deepStrictEqual(received, ['Hello']);
+        assert.strictEqual(client.getSnapshot().notifications.length, 1);
+    });
+
+    it('skips duplicate notifications', async () => {
+        const received = [];
+        client.on('notification', notification => received.push(notification.id));
+
+        client.connectSSE();
+        await server.flush();
+        const notification = server.pushNotification('user-1');
+        server.sendEvent('user-1', { type: 'notification', ...notification });
+        await server.flush();
+
+        assert.deepStrictEqual(received, [notification.id]);
+    });
+
+    it('updates the unread count', async () => {
+        const counts = [];
+        client.on('unreadCount', count => counts.push(count));
+
+        client.connectSSE();
+        await server.flush();
+        server.sendEvent('user-1', { type: 'unread_count', count: 4 });
+        await server.flush();
+
+        assert.deepStrictEqual(counts, [4]);
+        assert.strictEqual(client.getSnapshot().unreadCount, 4);
+    });
+
+    it('reconnects after a drop and resumes from the last event id', async () => {
+        const received = [];
+        client.on('notification', notification => received.push(notification.title));
+
+        client.connectSSE();
+        await server.flush();
+        const first = server.pushNotification('user-1', { title: 'Before' });
+        await server.flush();
+
+        server.drop('user-1');
+        server.pushNotification('user-1', { title: 'During' });
+        await wait(30);
+
+        const reconnect = server.getRequests('GET', '/sse/').pop();
+        assert.strictEqual(client.getStatus().state, 'open');
+        assert.strictEqual(reconnect.headers['last-event-id'], String(server.history.get('user:user-1')[0].id));
+        assert.deepStrictEqual(received, ['Before', 'During']);
+        assert.ok(first);
+    });
+
+    it('catches up on notifications the stream missed while down', async () => {
+        const received = [];
+        client.on('notification', notification => received.push(notification.title));
+
+        client.connectSSE();
+        await server.flush();
+        server.pushNotification('user-1', { title: 'Before' });
+        await server.flush();
+
+        // Stored while the stream was down, never sent as an event
+        server.drop('user-1');
+        server.addNotification('user-1', { title: 'Missed' });
+        await wait(30);
+
+        const [catchUp] = server.getRequests('GET', '/api/notifications/user/user-1');
+        assert.strictEqual(client.getStatus().state, 'open');
+        assert.strictEqual(catchUp.query.get('limit'), '50');
+        assert.deepStrictEqual(received, ['Before', 'Missed']);
+        assert.deepStrictEqual(client.getSnapshot().notifications.map(n => n.title), ['Missed', 'Before']);
+    });
+
+    it('does not catch up when catchUpOnReconnect is off', async () => {
+        client = server.createClient({ userId: 'user-1', reconnectDelay: 5, reconnectJitter: 0, catchUpOnReconnect: false });
+
+        client.connectSSE();
+        await server.flush();
+        server.drop('user-1');
+        server.addNotification('user-1', { title: 'Missed' });
+        await wait(30);
+
+        assert.strictEqual(client.getStatus().state, 'open');
+        assert.strictEqual(server.getRequests('GET', '/api/notifications/').length, 0);
+        assert.strictEqual(client.getSnapshot().notifications.length, 0);
+    });
+
+    it('gives up after maxReconnectAttempts', async () => {
+        client = server.createClient({ userId: 'user-1', reconnectDelay: 1, maxReconnectAttempts: 2 });
+        const failures = [];
+        client.on('reconnectFailed', event => failures.push(event.attempts));
+
+        server.fail({ path: '/sse/', status: 500, times: 3 });
+        client.connectSSE();
+        await wait(30);
+
+        assert.deepStrictEqual(failures, [2]);
+        assert.strictEqual(client.getStatus().state, 'failed');
+    });
+
+    it('refreshes the token when the stream is rejected with 401', async () => {
+        client = server.createClient({ userId: 'user-1', refreshToken: async () => 'fresh-token' });
+        server.setTokens(['fresh-token']);
+
+        client.connectSSE();
+        await wait(10);
+
+        assert.strictEqual(client.getStatus().state, 'open');
+        assert.strictEqual(server.getRequests('GET', '/sse/').pop().headers['authorization'], 'Bearer fresh-token');
+    });
+
+    it('refreshes the token once per outage when EventSource keeps failing', async () => {
+        global.EventSource = class {
+            constructor() {
+                setTimeout(() => this.onerror && this.onerror({ type: 'error' }), 1);
+            }
+            addEventListener() {}
+            removeEventListener() {}
+            close() {}
+        };
+        let refreshes = 0;
+        const failures = [];
+        client = server.createClient({
+            userId: 'user-1',
+            transport: 'eventsource',
+            reconnectDelay: 1,
+            reconnectJitter: 0,
+            maxReconnectAttempts: 5,
+            refreshToken: async () => `token-${++refreshes}`
+        });
+        client.on('reconnectFailed', ({ attempts }) => failures.push(attempts));
+
+        try {
+            client.connectSSE();
+            await wait(150);
+        } finally {
+            delete global.EventSource;
+        }
+
+        assert.deepStrictEqual(failures, [5]);
+        assert.strictEqual(refreshes, 1);
+    });
+
+    it('forwards custom and named server events', async () => {
+        const events = [];
+        client.on('order_update', data => events.push(['order_update', data.id]));
+        client.on('message', ({ type }) => events.push(['message', type]));
+
+        client.connectSSE();
+        await server.flush();
+        server.sendEvent('user-1', { type: 'order_update', id: 1 });
+        server.sendEvent('user-1', { id: 2 }, { event: 'order_update' });
+        await server.flush();
+
+        assert.deepStrictEqual(events, [
+            ['message', 'order_update'],
+            ['order_update', 1],
+            ['message', 'order_update'],
+            ['order_update', 2]
+        ]);
+    });
+
+    it('treats prototype-named server events as plain events', async () => {
+        const events = [];
+        const errors = [];
+        client.on('message', ({ type }) => events.push(type));
+        client.on('constructor', data => events.push(['constructor', data.id]));
+        client.on('error', error => errors.push(error));
+
+        client.connectSSE();
+        await server.flush();
+        server.sendEvent('user-1', { id: 1 }, { event: 'constructor' });
+        server.sendEvent('user-1', { type: 'hasOwnProperty' });
+        server.sendEvent('user-1', { id: 2 }, { event: '__proto__' });
+        await server.flush();
+
+        assert.deepStrictEqual(events, ['constructor', ['constructor', 1], 'hasOwnProperty', '__proto__']);
+        assert.deepStrictEqual(errors, []);
+        assert.strictEqual(client.getStatus().state, 'open');
+        assert.strictEqual(server.getRequests('GET', '/sse/').length, 1);
+    });
+
+    it('keeps extra streams separate from the main one', async () => {
+        const main = [];
+        const team = [];
+        client.on('notification', notification => main.push(notification.title));
+
+        client.connectSSE();
+        const stream = client.connectStream({ topic: 'support' });
+        stream.on('notification', notification => team.push(notification.title));
+        await server.flush();
+
+        server.pushNotification('user-1', { title: 'Mine' });
+        server.sendEvent({ topic: 'support' }, { type: 'notification', id: 't1', title: 'Team' });
+        await server.flush();
+
+        assert.deepStrictEqual(main, ['Mine']);
+        assert.deepStrictEqual(team, ['Team']);
+        assert.deepStrictEqual(Object.keys(client.getStatus().streams), ['user:user-1', 'topic:support']);
+        assert.strictEqual(client.getSnapshot().notifications.length, 1);
+    });
+
+    it('closes every stream on disconnect', async () => {
+        client.connectSSE();
+        client.connectStream({ userId: 'user-2' });
+        await server.flush();
+        assert.strictEqual(server.connectionCount(), 2);
+
+        client.disconnectSSE();
+        await server.flush();
+
+        assert.strictEqual(server.connectionCount(), 0);
+        assert.strictEqual(client.getStatus().state, 'closed');
+    });
+
+    it('uses fetch by default, even where EventSource exists', () => {
+        global.EventSource = function EventSource() {};
+        try {
+            assert.strictEqual(new HermesClient().getTransportType(), 'fetch');
+            assert.strictEqual(new HermesClient({ transport: 'auto' }).getTransportType(), 'eventsource');
+        } finally {
+            delete global.EventSource;
+        }
+    });
+});
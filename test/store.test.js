@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const HermesClient = require('../hermes-client.js');
+
+const { NotificationStore } = HermesClient;
+
+const notification = (id, createdAt, fields = {}) => ({
+    id,
+    title: `Notification ${id}`,
+    is_read: false,
+    created_at: createdAt,
+    ...fields
+});
+
+describe('NotificationStore', () => {
+    it('de-duplicates by id and keeps the newest first', () => {
+        const store = new NotificationStore();
+        store.upsert([notification('a', '2024-01-01T00:00:00Z'), notification('b', '2024-01-02T00:00:00Z')]);
+        const added = store.upsert(notification('a', '2024-01-01T00:00:00Z', { title: 'Updated' }));
+
+        const { notifications } = store.getSnapshot();
+        assert.deepStrictEqual(added, []);
+        assert.deepStrictEqual(notifications.map(n => n.id), ['b', 'a']);
+        assert.strictEqual(notifications[1].title, 'Updated');
+    });
+
+    it('produces a new snapshot only when something changed', () => {
+        const store = new NotificationStore();
+        store.upsert(notification('a', '2024-01-01T00:00:00Z'));
+        const before = store.getSnapshot();
+
+        store.upsert(notification('a', '2024-01-01T00:00:00Z'));
+        assert.strictEqual(store.getSnapshot(), before);
+
+        store.markRead(['a']);
+        assert.notStrictEqual(store.getSnapshot(), before);
+        assert.ok(Object.isFrozen(store.getSnapshot()));
+    });
+
+    it('keeps the server unread count in sync with local changes', () => {
+        const store = new NotificationStore();
+        store.upsert([notification('a', '2024-01-01T00:00:00Z'), notification('b', '2024-01-02T00:00:00Z')]);
+        store.setUnreadCount(10);
+
+        store.markRead(['a']);
+        assert.strictEqual(store.getSnapshot().unreadCount, 9);
+
+        store.upsert(notification('c', '2024-01-03T00:00:00Z'), { live: true });
+        assert.strictEqual(store.getSnapshot().unreadCount, 10);
+
+        store.markAllRead();
+        assert.strictEqual(store.getSnapshot().unreadCount, 0);
+    });
+
+    it('notifies subscribers until they unsubscribe', () => {
+        const store = new NotificationStore();
+        const snapshots = [];
+        const unsubscribe = store.subscribe(snapshot => snapshots.push(snapshot));
+
+        store.upsert(notification('a', '2024-01-01T00:00:00Z'));
+        unsubscribe();
+        store.upsert(notification('b', '2024-01-02T00:00:00Z'));
+
+        assert.strictEqual(snapshots.length, 1);
+    });
+
+    it('reports throwing subscribers through onError and keeps going', () => {
+        const errors = [];
+        const store = new NotificationStore({ onError: error => errors.push(error.message) });
+        const snapshots = [];
+        store.subscribe(() => { throw new Error('boom'); });
+        store.subscribe(snapshot => snapshots.push(snapshot));
+
+        store.upsert(notification('a', '2024-01-01T00:00:00Z'));
+
+        assert.deepStrictEqual(errors, ['boom']);
+        assert.strictEqual(snapshots.length, 1);
+    });
+
+    it('drops the oldest notifications beyond the limit', () => {
+        const store = new NotificationStore({ limit: 2 });
+        store.upsert([
+            notification('a', '2024-01-01T00:00:00Z'),
+            notification('b', '2024-01-02T00:00:00Z'),
+            notification('c', '2024-01-03T00:00:00Z')
+        ]);
+
+        assert.deepStrictEqual(store.getSnapshot().notifications.map(n => n.id), ['c', 'b']);
+    });
+});
@@ -0,0 +1,111 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const HermesClient = require('../hermes-client.js');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+const { TemplateRegistry } = HermesClient;
+
+const templates = {
+    order_shipped: {
+        title: 'Order {{order.id}} shipped',
+        body: '{{count|one:# item is|other:# items are}} on the way',
+        priority: 'high',
+        locales: {
+            pt: {
+                title: 'Pedido {{order.id}} enviado',
+                body: '{{count|=0:Nenhum item|one:# item está|other:# itens estão}} a caminho'
+            }
+        }
+    }
+};
+
+describe('TemplateRegistry', () => {
+    it('renders variables, plurals and default fields', () => {
+        const registry = new TemplateRegistry(templates);
+
+        assert.deepStrictEqual(registry.render('order_shipped', { order: { id: 7 }, count: 1 }), {
+            title: 'Order 7 shipped',
+            body: '1 item is on the way',
+            priority: 'high'
+        });
+        assert.strictEqual(registry.render('order_shipped', { order: { id: 7 }, count: 1200 }).body, '1,200 items are on the way');
+    });
+
+    it('falls back from a regional locale to its language', () => {
+        const registry = new TemplateRegistry(templates);
+        const rendered = registry.render('order_shipped', { order: { id: 7 }, count: 0 }, 'pt-BR');
+
+        assert.strictEqual(rendered.title, 'Pedido 7 enviado');
+        assert.strictEqual(rendered.body, 'Nenhum item a caminho');
+        assert.strictEqual(registry.render('order_shipped', { order: { id: 7 }, count: 2 }, 'de').title, 'Order 7 shipped');
+    });
+
+    it('uses the short one/other plural form', () => {
+        assert.strictEqual(TemplateRegistry.pluralize(1, '# message|# messages', 'en'), '1 message');
+        assert.strictEqual(TemplateRegistry.pluralize(3, '# message|# messages', 'en'), '3 messages');
+    });
+
+    it('throws on unknown templates and missing variables', () => {
+        const registry = new TemplateRegistry(templates);
+
+        assert.throws(() => registry.render('nope'), /Unknown template/);
+        assert.throws(() => registry.render('order_shipped', { count: 1 }), /order\.id/);
+        assert.throws(() => registry.register('broken', { title: 'No body' }), /title and a body/);
+    });
+});
+
+describe('client templates', () => {
+    let server;
+    let client;
+
+    beforeEach(() => {
+        server = new MockHermesServer();
+        client = server.createClient({ userId: 'user-1', templates, locale: 'en' });
+    });
+
+    it('sends a rendered template with its name and vars in the metadata', async () => {
+        await client.sendNotification({
+            userId: 'user-2',
+            template: 'order_shipped',
+            vars: { order: { id: 9 }, count: 2 },
+            locale: 'pt-BR',
+            priority: 'urgent'
+        });
+        const [request] = server.getRequests('POST', '/api/notifications/send');
+
+        assert.strictEqual(request.body.title, 'Pedido 9 enviado');
+        assert.strictEqual(request.body.body, '2 itens estão a caminho');
+        assert.strictEqual(request.body.priority, 'urgent');
+        assert.deepStrictEqual(request.body.metadata, {
+            template: 'order_shipped',
+            vars: { order: { id: 9 }, count: 2 }
+        });
+    });
+
+    it('validates the template before posting', async () => {
+        await assert.rejects(
+            client.sendNotification({ userId: 'user-2', template: 'order_shipped', vars: {} }),
+            /Missing variable/
+        );
+        assert.strictEqual(server.requests.length, 0);
+    });
+
+    it('renders received notifications in the client locale', () => {
+        const notification = {
+            id: 1,
+            title: 'Pedido 9 enviado',
+            body: '2 itens estão a caminho',
+            metadata: { template: 'order_shipped', vars: { order: { id: 9 }, count: 2 } }
+        };
+
+        const rendered = client.renderNotification(notification);
+
+        assert.strictEqual(rendered.title, 'Order 9 shipped');
+        assert.strictEqual(rendered.id, 1);
+        assert.strictEqual(client.renderNotification({ ...notification, metadata: {} }).title, 'Pedido 9 enviado');
+        assert.strictEqual(
+            client.renderNotification({ ...notification, metadata: { template: 'order_shipped' } }).title,
+            'Pedido 9 enviado'
+        );
+    });
+});
@@ -0,0 +1,49 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+describe('MockHermesServer', () => {
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    it('reconnects on schedule under fake timers', async () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        const server = new MockHermesServer();
+        const client = server.createClient({ userId: 'user-1', reconnectDelay: 1000, reconnectJitter: 0 });
+
+        client.connectSSE();
+        await server.flush();
+        server.drop('user-1');
+        await server.flush();
+        assert.strictEqual(client.getStatus().state, 'reconnecting');
+
+        mock.timers.tick(999);
+        await server.flush();
+        assert.strictEqual(server.connectionCount('user-1'), 0);
+
+        mock.timers.tick(1);
+        await server.flush();
+        assert.strictEqual(client.getStatus().state, 'open');
+        client.disconnectSSE();
+    });
+
+    it('rejects revoked tokens', async () => {
+        const server = new MockHermesServer();
+        const client = server.createClient({ userId: 'user-1', retries: 0 });
+
+        server.revokeToken('test-profile-token');
+
+        await assert.rejects(client.getUnreadCount(), error => error.status === 401);
+    });
+
+    it('answers injected faults only as often as requested', async () => {
+        const server = new MockHermesServer();
+        const client = server.createClient({ userId: 'user-1', retries: 0 });
+
+        server.fail({ method: 'GET', path: '/api/notifications/user/', status: 503, times: 1 });
+
+        await assert.rejects(client.getUnreadCount(), error => error.status === 503);
+        assert.strictEqual(await client.getUnreadCount(), 0);
+    });
+});
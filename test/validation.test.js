@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const HermesClient = require('../hermes-client.js');
+const { MockHermesServer } = require('../hermes-testing.js');
+
+const { NotificationSchema } = HermesClient;
+
+describe('NotificationSchema', () => {
+    const valid = {
+        user_id: 'user-1',
+        title: 'Hello',
+        body: 'World',
+        source_system: 'web-app',
+        priority: 'normal',
+        channels: ['in_app'],
+        metadata: {}
+    };
+
+    it('accepts a valid payload', () => {
+        assert.deepStrictEqual(new NotificationSchema().validateSend(valid), []);
+    });
+
+    it('reports enum, length and metadata size issues', () => {
+        const schema = new NotificationSchema({ maxTitleLength: 5, maxMetadataSize: 20 });
+        const issues = schema.validateSend({
+            ...valid,
+            title: 'Too long',
+            priority: 'critical',
+            channels: ['in_app', 'pigeon'],
+            metadata: { note: 'x'.repeat(50) }
+        });
+
+        assert.strictEqual(issues.length, 4);
+        assert.match(issues[0], /title must be at most 5/);
+        assert.match(issues[1], /priority must be one of low, normal, high, urgent/);
+        assert.match(issues[2], /channel "pigeon"/);
+        assert.match(issues[3], /metadata must be at most 20 bytes/);
+    });
+
+    it('checks known stream messages only', () => {
+        const schema = new NotificationSchema();
+
+        assert.deepStrictEqual(schema.validateMessage('notification', { id: 1, title: 'Hi' }), []);
+        assert.deepStrictEqual(schema.validateMessage('notification', { title: 1 }), [
+            'id must be a string or a number',
+            'title must be a string'
+        ]);
+        assert.deepStrictEqual(schema.validateMessage('unread_count', { count: -1 }), ['count must be a non-negative integer']);
+        assert.deepStrictEqual(schema.validateMessage('order_update', 'text'), []);
+        assert.deepStrictEqual(schema.validateMessage(undefined, {}), ['message has no type']);
+    });
+});
+
+describe('validation', () => {
+    let server;
+
+    beforeEach(() => {
+        server = new MockHermesServer();
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('rejects invalid payloads in strict mode', async () => {
+        const client = server.createClient({ validation: 'strict' });
+
+        await assert.rejects(
+            client.sendNotification({ userId: 'user-1', title: 'Hi', body: 'There', priority: 'critical' }),
+            error => error instanceof HermesClient.HermesError &&
+                error.code === 'VALIDATION_ERROR' &&
+                error.issues.length === 1
+        );
+        assert.strictEqual(server.requests.length, 0);
+    });
+
+    it('warns and sends in lenient mode', async () => {
+        const client = server.createClient();
+
+        await client.sendNotification({ userId: 'user-1', title: 'Hi', body: 'There', channels: ['fax'] });
+
+        assert.strictEqual(server.requests.length, 1);
+        assert.strictEqual(console.warn.mock.callCount(), 1);
+    });
+
+    it('skips validation when disabled', async () => {
+        const client = server.createClient({ validation: false });
+
+        await client.sendNotification({ userId: 'user-1', title: 'Hi', body: 'There', priority: 'critical' });
+
+        assert.strictEqual(console.warn.mock.callCount(), 0);
+    });
+
+    it('emits invalidMessage for malformed stream data', async () => {
+        const client = server.createClient({ userId: 'user-1' });
+        const invalid = [];
+        client.on('invalidMessage', event => invalid.push(event.issues));
+
+        client.connectSSE();
+        await server.flush();
+        server.sendEvent('user-1', '{not json');
+        server.sendEvent('user-1', { hello: 'world' });
+        await server.flush();
+        client.disconnectSSE();
+
+        assert.deepStrictEqual(invalid, [['data is not valid JSON'], ['message has no type']]);
+    });
+
+    it('drops invalid notifications in strict mode and delivers them in lenient mode', async () => {
+        const deliver = async (validation) => {
+            const client = server.createClient({ userId: 'user-1', validation });
+            const received = [];
+            const invalid = [];
+            client.on('notification', notification => received.push(notification.id));
+            client.on('invalidMessage', ({ issues }) => invalid.push(...issues));
+
+            client.connectSSE();
+            await server.flush();
+            server.sendEvent('user-1', { type: 'notification', id: `n-${validation}`, title: 'Hi', priority: 'critical' });
+            await server.flush();
+            client.disconnectSSE();
+            return { received, invalid };
+        };
+
+        const strict = await deliver('strict');
+        const lenient = await deliver('lenient');
+
+        assert.deepStrictEqual(strict.received, []);
+        assert.deepStrictEqual(lenient.received, ['n-lenient']);
+        assert.strictEqual(strict.invalid.length, 1);
+        assert.strictEqual(lenient.invalid.length, 1);
+    });
+});
@@ -0,0 +1,129 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { JSDOM } from 'jsdom';
+import testing from '../hermes-testing.js';
+
+const { MockHermesServer } = testing;
+
+// Vue's DOM renderer looks up the document when it loads
+const dom = new JSDOM('<!DOCTYPE html><body></body>');
+globalThis.window = dom.window;
+globalThis.document = dom.window.document;
+globalThis.Element = dom.window.Element;
+globalThis.SVGElement = dom.window.SVGElement;
+Object.defineProperty(globalThis, 'navigator', { value: dom.window.navigator, configurable: true });
+
+const { createApp, h, nextTick } = await import('vue');
+const {
+    HermesPlugin,
+    useHermesEvent,
+    useNotifications,
+    useUnreadCount
+} = await import('../adapters/vue.mjs');
+
+/**
+ * Record listeners added with on() and removed with off()
+ */
+function trackListeners(client) {
+    const active = [];
+    const on = client.on.bind(client);
+    const off = client.off.bind(client);
+
+    client.on = (event, callback) => {
+        active.push([event, callback]);
+        return on(event, callback);
+    };
+    client.off = (event, callback) => {
+        const index = active.findIndex(([name, fn]) => name === event && fn === callback);
+        if (index > -1) active.splice(index, 1);
+        return off(event, callback);
+    };
+    return active;
+}
+
+describe('Vue adapter', () => {
+    let server;
+    let client;
+    let listeners;
+    let container;
+
+    beforeEach(() => {
+        server = new MockHermesServer();
+        client = server.createClient({ userId: 'user-1' });
+        listeners = trackListeners(client);
+        container = document.createElement('div');
+        document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+        client.disconnectSSE();
+        container.remove();
+    });
+
+    async function mount(options = {}) {
+        const renders = [];
+        const events = [];
+        const Bell = {
+            setup() {
+                const { notifications, unreadCount, status } = useNotifications();
+                const count = useUnreadCount();
+                useHermesEvent('notification', notification => events.push(notification.title));
+
+                return () => {
+                    renders.push({ count: notifications.value.length, unreadCount: count.value, state: status.value.state });
+                    return h('span', String(unreadCount.value));
+                };
+            }
+        };
+
+        const app = createApp(Bell);
+        app.use(HermesPlugin, { client, ...options });
+        app.mount(container);
+        await server.flush();
+        await nextTick();
+        return { app, renders, events };
+    }
+
+    it('renders the store and the status, then follows the stream', async () => {
+        server.addNotification('user-1', { title: 'Preloaded' });
+        const { app, renders, events } = await mount();
+
+        server.pushNotification('user-1', { title: 'Live' });
+        await server.flush();
+        await nextTick();
+
+        assert.deepStrictEqual(events, ['Live']);
+        assert.deepStrictEqual(renders[renders.length - 1], { count: 2, unreadCount: 2, state: 'open' });
+        assert.strictEqual(container.textContent, '2');
+        app.unmount();
+    });
+
+    it('removes every listener and store subscription on unmount', async () => {
+        const { app, renders, events } = await mount({ connect: false, preload: false });
+        assert.ok(listeners.length > 0);
+        assert.ok(client.store.subscribers.length > 0);
+
+        app.unmount();
+        const rendered = renders.length;
+        client.store.setUnreadCount(5);
+        client.emit('notification', { title: 'After unmount' });
+        client.emit('stateChange', { state: 'open' });
+        await nextTick();
+
+        assert.strictEqual(listeners.length, 0);
+        assert.strictEqual(client.store.subscribers.length, 0);
+        assert.strictEqual(renders.length, rendered);
+        assert.deepStrictEqual(events, []);
+    });
+
+    it('closes the stream it opened when the app unmounts', async () => {
+        const { app } = await mount({ preload: false });
+        assert.strictEqual(server.connectionCount('user-1'), 1);
+
+        app.unmount();
+        await server.flush();
+
+        assert.strictEqual(server.connectionCount('user-1'), 0);
+        assert.strictEqual(client.getStatus().state, 'closed');
+    });
+});